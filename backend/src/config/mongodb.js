@@ -1,8 +1,14 @@
+const EventEmitter = require('events');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const { getContext, detachContext } = require('../utils/requestContext');
+const { ReconnectionManager } = require('./reconnection');
 
-class MongoDBConnection {
+const COMMAND_LOGGING = Symbol('commandLogging');
+
+class MongoDBConnection extends EventEmitter {
   constructor() {
+    super();
     this.status = {
       connected: false,
       message: 'Not initialized',
@@ -11,13 +17,27 @@ class MongoDBConnection {
       lastError: null,
       topology: null,
       replicaSet: null,
-      nodes: []
+      nodes: [],
+      replication: null,
+      server: null,
+      routers: [],
+      configServers: null
     };
     
-    this.maxRetries = parseInt(process.env.MONGO_MAX_RETRIES) || 10;
-    this.retryDelay = parseInt(process.env.MONGO_RETRY_DELAY) || 5000;
-    this.currentRetry = 0;
-    this.isReconnecting = false;
+    this.lifecycle = new ReconnectionManager('mongodb', { prefix: 'MONGO' });
+    this.lifecycle.on('transition', (event) => this.emit('lifecycle', event));
+    this.connectInFlight = false;
+    // Set at runtime through the admin API; takes precedence over MONGO_URI
+    this.uriOverride = null;
+
+    // Replica set timeline (elections, stepdowns, lost primary)
+    this.pollInterval = parseInt(process.env.MONGO_TOPOLOGY_POLL_INTERVAL) || 10000;
+    this.maxTopologyEvents = parseInt(process.env.MONGO_TOPOLOGY_MAX_EVENTS) || 100;
+    this.pollTimer = null;
+    this.lastPrimary = undefined;
+    this.lastTerm = null;
+    this.topologyEvents = [];
+    this.topologySignature = null;
     
     this.setupEventListeners();
   }
@@ -25,8 +45,7 @@ class MongoDBConnection {
   setupEventListeners() {
     // Connection successful
     mongoose.connection.on('connected', () => {
-      this.currentRetry = 0;
-      this.isReconnecting = false;
+      this.lifecycle.connected();
       this.updateStatus({
         connected: true,
         message: 'Connected successfully',
@@ -52,20 +71,20 @@ class MongoDBConnection {
         connected: false,
         message: 'Disconnected',
         topology: null,
-        nodes: []
+        nodes: [],
+        replication: null
       });
       logger.warn('⚠️  MongoDB disconnected');
       
-      // Attempt reconnection if not already reconnecting
-      if (!this.isReconnecting && this.currentRetry < this.maxRetries) {
-        this.handleReconnection();
+      // Idle means disconnect() was called on purpose; a failing connect() schedules its own retry
+      if (this.lifecycle.state !== 'idle' && !this.connectInFlight && !this.lifecycle.hasPendingRetry()) {
+        this.lifecycle.scheduleRetry(new Error('Disconnected'), () => this.handleReconnection());
       }
     });
 
     // Reconnected
     mongoose.connection.on('reconnected', () => {
-      this.currentRetry = 0;
-      this.isReconnecting = false;
+      this.lifecycle.connected('Reconnected');
       this.updateStatus({
         connected: true,
         message: 'Reconnected successfully',
@@ -93,25 +112,43 @@ class MongoDBConnection {
   }
 
   updateStatus(updates) {
+    const previous = this.status;
     this.status = {
       ...this.status,
       ...updates,
       lastChecked: new Date().toISOString(),
       connectionAttempts: this.status.connectionAttempts + 1
     };
+
+    if (previous.connected !== this.status.connected || previous.message !== this.status.message) {
+      this.emit('status', {
+        service: 'mongodb',
+        connected: this.status.connected,
+        previouslyConnected: previous.connected,
+        message: this.status.message,
+        lastError: this.status.lastError,
+        timestamp: this.status.lastChecked
+      });
+    }
   }
 
-  async updateTopology() {
+  async updateTopology(options = {}) {
     try {
       const admin = mongoose.connection.db.admin();
       
       // Get server status
-      const serverStatus = await admin.serverStatus();
+      const [serverStatus, buildInfo] = await Promise.all([
+        admin.serverStatus(),
+        admin.buildInfo().catch(() => null)
+      ]);
       
       // Detect topology type
       let topology = 'standalone';
       let replicaSet = null;
       let nodes = [];
+      let replication = null;
+      let routers = [];
+      let configServers = null;
 
       // Check if it's actually a replica set (must have setName)
       if (serverStatus.repl && serverStatus.repl.setName) {
@@ -123,15 +160,47 @@ class MongoDBConnection {
           const replStatus = await admin.command({ replSetGetStatus: 1 });
           
           if (replStatus && replStatus.members) {
-            nodes = replStatus.members.map(member => ({
-              host: member.name,
-              role: member.stateStr === 'PRIMARY' ? 'primary' : 
-                    member.stateStr === 'SECONDARY' ? 'secondary' : 
-                    member.stateStr.toLowerCase(),
-              health: member.health === 1 ? 'healthy' : 'unhealthy',
-              state: member.stateStr,
-              uptime: member.uptime
-            }));
+            const primary = replStatus.members.find(member => member.stateStr === 'PRIMARY');
+            const primaryOptime = primary && primary.optimeDate ? new Date(primary.optimeDate).getTime() : null;
+
+            nodes = replStatus.members.map(member => {
+              const optime = member.optimeDate ? new Date(member.optimeDate).getTime() : null;
+              const lagSeconds = member.stateStr === 'SECONDARY' && primaryOptime !== null && optime !== null
+                ? Math.max(0, (primaryOptime - optime) / 1000)
+                : null;
+
+              return {
+                host: member.name,
+                role: member.stateStr === 'PRIMARY' ? 'primary' : 
+                      member.stateStr === 'SECONDARY' ? 'secondary' : 
+                      member.stateStr.toLowerCase(),
+                health: member.health === 1 ? 'healthy' : 'unhealthy',
+                state: member.stateStr,
+                uptime: member.uptime,
+                self: !!member.self,
+                optime: optime !== null ? new Date(optime).toISOString() : null,
+                lagSeconds,
+                syncSource: member.syncSourceHost || null,
+                lastHeartbeat: member.lastHeartbeat ? new Date(member.lastHeartbeat).toISOString() : null,
+                lastHeartbeatMessage: member.lastHeartbeatMessage || null,
+                pingMs: member.pingMs !== undefined ? member.pingMs : null,
+                electionDate: member.electionDate ? new Date(member.electionDate).toISOString() : null
+              };
+            });
+
+            const lags = nodes.filter(node => node.lagSeconds !== null).map(node => node.lagSeconds);
+            replication = {
+              term: replStatus.term !== undefined ? Number(replStatus.term) : null,
+              primary: primary ? primary.name : null,
+              electionDate: primary && primary.electionDate ? new Date(primary.electionDate).toISOString() : null,
+              maxLagSeconds: lags.length > 0 ? Math.max(...lags) : null,
+              heartbeatIntervalMs: replStatus.heartbeatIntervalMillis !== undefined
+                ? Number(replStatus.heartbeatIntervalMillis)
+                : null,
+              lastPolled: new Date().toISOString()
+            };
+
+            this.detectPrimaryChange(replication);
           }
         } catch (replError) {
           // If replSetGetStatus command fails, it's not actually a replica set
@@ -157,17 +226,63 @@ class MongoDBConnection {
               host: shard.host,
               role: 'shard',
               name: shard._id,
-              state: shard.state === 1 ? 'active' : 'inactive'
+              state: shard.state === 1 ? 'active' : 'inactive',
+              ...this.parseShardHost(shard.host)
             }));
           }
         } catch (shardError) {
           logger.error('Error getting shard info:', shardError.message);
         }
+
+        // Every router that has pinged the config servers, and the config server replica set
+        const [shardMap, mongosList] = await Promise.all([
+          admin.command({ getShardMap: 1 }).catch(() => null),
+          mongoose.connection.getClient().db('config').collection('mongos').find({}).sort({ _id: 1 }).toArray().catch(() => [])
+        ]);
+        routers = mongosList.map(router => ({
+          host: router._id,
+          version: router.mongoVersion || null,
+          lastPing: router.ping ? new Date(router.ping).toISOString() : null
+        }));
+        configServers = shardMap && shardMap.map && shardMap.map.config ? this.parseShardHost(shardMap.map.config) : null;
       }
 
+      const changed = this.status.topology !== topology || this.status.replicaSet !== replicaSet;
+
       this.status.topology = topology;
       this.status.replicaSet = replicaSet;
       this.status.nodes = nodes;
+      this.status.replication = replication;
+      this.status.routers = routers;
+      this.status.configServers = configServers;
+      // The server this connection talks to: a mongod, or the mongos in a sharded cluster
+      this.status.server = {
+        address: `${mongoose.connection.host}:${mongoose.connection.port}`,
+        process: serverStatus.process || null,
+        version: buildInfo ? buildInfo.version : serverStatus.version || null
+      };
+
+      // Without a primary the set still serves secondary reads, but not writes
+      if (topology === 'replicaSet' && replication && !replication.primary) {
+        this.lifecycle.degraded('Replica set has no primary');
+      } else {
+        this.lifecycle.recovered();
+      }
+
+      const signature = JSON.stringify([topology, replicaSet, nodes.map(node => [node.host, node.role, node.health])]);
+      if (signature !== this.topologySignature) {
+        this.topologySignature = signature;
+        this.emit('topology', {
+          service: 'mongodb',
+          topology,
+          replicaSet,
+          nodes,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Periodic polls only log when something changed
+      if (!changed && options.quiet) return;
 
       logger.info(`📊 MongoDB topology: ${topology}${replicaSet ? ` (ReplicaSet: ${replicaSet})` : ''}`);
 
@@ -177,42 +292,257 @@ class MongoDBConnection {
       this.status.topology = 'standalone';
       this.status.replicaSet = null;
       this.status.nodes = [];
+      this.status.replication = null;
+      this.status.routers = [];
+      this.status.configServers = null;
     }
   }
 
-  async handleReconnection() {
-    if (this.isReconnecting) return;
-    
-    this.isReconnecting = true;
-    this.currentRetry++;
+  detectPrimaryChange(replication) {
+    const previous = this.lastPrimary;
+    const current = replication.primary;
+    const termChanged = this.lastTerm !== null && replication.term !== null && replication.term !== this.lastTerm;
 
-    logger.info(`🔄 Attempting MongoDB reconnection (${this.currentRetry}/${this.maxRetries})...`);
+    this.lastPrimary = current;
+    this.lastTerm = replication.term;
 
-    setTimeout(async () => {
-      try {
-        if (mongoose.connection.readyState === 0) {
-          await this.connect();
-        }
-        this.isReconnecting = false;
-      } catch (error) {
-        logger.error(`Reconnection attempt ${this.currentRetry} failed:`, error.message);
-        this.isReconnecting = false;
-        
-        if (this.currentRetry < this.maxRetries) {
-          this.handleReconnection();
-        } else {
-          logger.error('❌ Max reconnection attempts reached for MongoDB');
-          this.updateStatus({
-            message: 'Max reconnection attempts reached',
-            lastError: 'Failed to reconnect after maximum retries'
-          });
-        }
+    // First observation only establishes the baseline
+    if (previous === undefined) return;
+
+    if (previous && previous !== current) {
+      this.recordTopologyEvent({
+        type: 'stepdown',
+        host: previous,
+        term: replication.term,
+        message: `Primary ${previous} stepped down`
+      });
+    }
+
+    if (current && (current !== previous || termChanged)) {
+      this.recordTopologyEvent({
+        type: 'election',
+        host: current,
+        previousPrimary: previous || null,
+        term: replication.term,
+        electionDate: replication.electionDate,
+        message: `${current} elected primary (term ${replication.term})`
+      });
+    } else if (!current && previous) {
+      this.recordTopologyEvent({
+        type: 'no-primary',
+        host: null,
+        previousPrimary: previous,
+        term: replication.term,
+        message: 'Replica set has no primary'
+      });
+    }
+  }
+
+  recordTopologyEvent(event) {
+    const entry = { ...event, timestamp: new Date().toISOString() };
+    this.topologyEvents = [entry, ...this.topologyEvents].slice(0, this.maxTopologyEvents);
+    this.emit('topology-event', { service: 'mongodb', ...entry });
+
+    if (event.type === 'election') {
+      logger.warn(`🗳️  MongoDB ${event.message}`);
+    } else {
+      logger.warn(`⚠️  MongoDB ${event.message}`);
+    }
+  }
+
+  getTopologyEvents() {
+    return this.topologyEvents;
+  }
+
+  // Shard and config server hosts look like "rsName/host1:port,host2:port"
+  parseShardHost(host) {
+    const separator = host.indexOf('/');
+    return {
+      replicaSet: separator >= 0 ? host.slice(0, separator) : null,
+      members: (separator >= 0 ? host.slice(separator + 1) : host).split(',').filter(Boolean)
+    };
+  }
+
+  async getShardingDetails() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected');
+    }
+    if (this.status.topology !== 'sharded') {
+      throw new Error(`Not a sharded cluster (topology: ${this.status.topology || 'unknown'})`);
+    }
+
+    const admin = mongoose.connection.db.admin();
+    const config = mongoose.connection.getClient().db('config');
+
+    const [shardMap, balancer, shards, routers, collections, chunkCounts, activeMigrations, recentMigrations] = await Promise.all([
+      admin.command({ getShardMap: 1 }).catch(() => null),
+      admin.command({ balancerStatus: 1 }).catch((error) => ({ error: error.message })),
+      config.collection('shards').find({}).toArray(),
+      config.collection('mongos').find({}).sort({ _id: 1 }).toArray(),
+      config.collection('collections').find({ dropped: { $ne: true } }).toArray(),
+      // Chunks reference collections by uuid since 5.0 and by ns before that
+      config.collection('chunks').aggregate([
+        { $group: { _id: { uuid: '$uuid', ns: '$ns', shard: '$shard' }, count: { $sum: 1 } } }
+      ]).toArray(),
+      config.collection('migrations').countDocuments({}).catch(() => 0),
+      config.collection('changelog')
+        .find({ what: { $in: ['moveChunk.start', 'moveChunk.commit', 'moveChunk.from', 'moveChunk.error'] } })
+        .sort({ time: -1 })
+        .limit(10)
+        .toArray()
+        .catch(() => [])
+    ]);
+
+    const configServers = shardMap && shardMap.map && shardMap.map.config
+      ? this.parseShardHost(shardMap.map.config)
+      : { replicaSet: null, members: [] };
+
+    const totalsByShard = {};
+    const sharded = collections.map(collection => {
+      const counts = chunkCounts.filter(entry =>
+        (entry._id.uuid && collection.uuid && entry._id.uuid.equals(collection.uuid)) ||
+        (entry._id.ns && entry._id.ns === collection._id)
+      );
+
+      const distribution = {};
+      for (const entry of counts) {
+        distribution[entry._id.shard] = (distribution[entry._id.shard] || 0) + entry.count;
+        totalsByShard[entry._id.shard] = (totalsByShard[entry._id.shard] || 0) + entry.count;
+      }
+
+      return {
+        namespace: collection._id,
+        key: collection.key,
+        unique: !!collection.unique,
+        chunks: counts.reduce((total, entry) => total + entry.count, 0),
+        distribution
+      };
+    });
+
+    return {
+      shards: shards.map(shard => ({
+        name: shard._id,
+        host: shard.host,
+        state: shard.state === 1 ? 'active' : 'inactive',
+        draining: !!shard.draining,
+        tags: shard.tags || [],
+        chunks: totalsByShard[shard._id] || 0,
+        ...this.parseShardHost(shard.host)
+      })),
+      configServers,
+      routers: routers.map(router => ({
+        host: router._id,
+        version: router.mongoVersion || null,
+        lastPing: router.ping ? new Date(router.ping).toISOString() : null,
+        uptime: router.up !== undefined ? router.up : null,
+        waiting: router.waiting !== undefined ? router.waiting : null
+      })),
+      balancer: balancer.error
+        ? { error: balancer.error }
+        : {
+            mode: balancer.mode,
+            enabled: balancer.mode !== 'off',
+            inBalancerRound: !!balancer.inBalancerRound,
+            numBalancerRounds: balancer.numBalancerRounds || 0
+          },
+      migrations: {
+        running: (balancer && !!balancer.inBalancerRound) || activeMigrations > 0,
+        active: activeMigrations,
+        recent: recentMigrations.map(entry => ({
+          event: entry.what,
+          namespace: entry.ns,
+          time: entry.time ? new Date(entry.time).toISOString() : null,
+          from: entry.details && entry.details.from ? entry.details.from : null,
+          to: entry.details && entry.details.to ? entry.details.to : null
+        }))
+      },
+      collections: sharded,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  startTopologyPoller() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      if (mongoose.connection.readyState === 1) {
+        this.updateTopology({ quiet: true });
       }
-    }, this.retryDelay * this.currentRetry);
+    }, this.pollInterval);
+  }
+
+  stopTopologyPoller() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // Hold reconnection attempts until the given time (fault injection)
+  pauseReconnection(until) {
+    this.lifecycle.pause(until);
+  }
+
+  resumeReconnection() {
+    this.lifecycle.resume();
+    if (this.lifecycle.hasPendingRetry()) {
+      this.lifecycle.deferRetry(0, () => this.handleReconnection());
+    }
+  }
+
+  // Runs when a scheduled retry fires; failures reschedule through connect()
+  async handleReconnection() {
+    if (mongoose.connection.readyState !== 0) return;
+
+    const pausedFor = this.lifecycle.getPause();
+    if (pausedFor > 0) {
+      logger.warn(`⏸️  MongoDB reconnection paused for ${Math.ceil(pausedFor / 1000)}s`);
+      this.lifecycle.deferRetry(pausedFor, () => this.handleReconnection());
+      return;
+    }
+
+    try {
+      await this.connect();
+    } catch (error) {
+      // connect() has already scheduled the next attempt
+    }
+  }
+
+  // LOG_DB_COMMANDS=true: one debug line per command, tagged with the request that issued it
+  instrumentCommandLogging() {
+    const client = mongoose.connection.getClient();
+    if (process.env.LOG_DB_COMMANDS !== 'true' || client[COMMAND_LOGGING]) return;
+
+    client.on('commandSucceeded', (event) => {
+      logger.debug(`🍃 MongoDB ${event.commandName} ${event.duration}ms`, { databaseName: event.databaseName });
+    });
+    client.on('commandFailed', (event) => {
+      logger.debug(`🍃 MongoDB ${event.commandName} failed after ${event.duration}ms: ${event.failure.message}`);
+    });
+    client[COMMAND_LOGGING] = true;
+  }
+
+  // Set explicitly (MONGO_URI or the admin override) rather than falling back to the default
+  isConfigured() {
+    return !!(this.uriOverride || process.env.MONGO_URI);
+  }
+
+  getUri() {
+    return this.uriOverride || process.env.MONGO_URI || 'mongodb://mongodb:27017/devops-demo';
+  }
+
+  setUri(uri) {
+    if (!/^mongodb(\+srv)?:\/\//.test(uri || '')) {
+      throw new Error('MongoDB URI must start with mongodb:// or mongodb+srv://');
+    }
+    this.uriOverride = uri;
   }
 
   async connect() {
-    const mongoURI = process.env.MONGO_URI || 'mongodb://mongodb:27017/devops-demo';
+    // The client outlives the admin request that may have started it
+    if (getContext()) return detachContext(() => this.connect());
+
+    const mongoURI = this.getUri();
     
     const options = {
       serverSelectionTimeoutMS: 5000,
@@ -223,11 +553,17 @@ class MongoDBConnection {
       retryWrites: true,
       retryReads: true,
       connectTimeoutMS: 10000,
+      monitorCommands: process.env.LOG_DB_COMMANDS === 'true'
     };
 
+    this.startTopologyPoller();
+
     try {
       logger.info('🔌 Connecting to MongoDB...');
+      this.lifecycle.connecting();
+      this.connectInFlight = true;
       await mongoose.connect(mongoURI, options);
+      this.instrumentCommandLogging();
     } catch (error) {
       this.updateStatus({
         connected: false,
@@ -235,20 +571,43 @@ class MongoDBConnection {
         lastError: error.message
       });
       
-      logger.error('❌ MongoDB initial connection failed:', error.message);
+      logger.error('❌ MongoDB connection attempt failed:', error.message);
       
-      // Start reconnection attempts
-      if (this.currentRetry < this.maxRetries) {
-        this.handleReconnection();
-      }
+      // Keep retrying with backoff; after the threshold the circuit opens and retries slow down
+      this.lifecycle.scheduleRetry(error, () => this.handleReconnection());
       
       throw error;
+    } finally {
+      this.connectInFlight = false;
+    }
+  }
+
+  // Drop the current connection (if any) and connect again with fresh counters
+  async reconnect() {
+    await this.disconnect();
+    this.lifecycle.reset();
+    await this.connect();
+  }
+
+  // Forget accumulated failures and retry now if a retry is pending
+  resetRetries() {
+    this.lifecycle.reset();
+    if (this.lifecycle.hasPendingRetry()) {
+      this.lifecycle.deferRetry(0, () => this.handleReconnection());
+    }
+  }
+
+  async refreshTopology() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected');
     }
+    await this.updateTopology();
   }
 
   getStatus() {
     return {
       ...this.status,
+      lifecycle: this.lifecycle.getStatus(),
       readyState: mongoose.connection.readyState,
       readyStateLabel: this.getReadyStateLabel(mongoose.connection.readyState)
     };
@@ -265,6 +624,9 @@ class MongoDBConnection {
   }
 
   async disconnect() {
+    this.stopTopologyPoller();
+    this.lifecycle.stop();
+
     try {
       await mongoose.disconnect();
       logger.info('MongoDB disconnected gracefully');
@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { detachContext } = require('../utils/requestContext');
+
+const STATES = ['idle', 'connecting', 'connected', 'degraded', 'backing-off', 'open-circuit'];
+
+const envInt = (name) => parseInt(process.env[name]) || undefined;
+
+// Thrown by request handlers when a dependency's circuit is open
+class CircuitOpenError extends Error {
+  constructor(service, retryAt) {
+    super(`${service} circuit is open; retrying in the background${retryAt ? ` (next attempt ${retryAt})` : ''}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.statusCode = 503;
+    this.service = service;
+  }
+}
+
+// Connection lifecycle shared by the MongoDB and Redis connectors:
+//   idle -> connecting -> connected <-> degraded
+//   any failure -> backing-off (exponential backoff with jitter)
+//   threshold consecutive failures -> open-circuit (fail fast, slow background retry that never stops)
+class ReconnectionManager extends EventEmitter {
+  constructor(service, { prefix } = {}) {
+    super();
+    this.service = service;
+
+    // Per-service variables (MONGO_*, REDIS_*) override the shared RECONNECT_* ones
+    this.baseDelay = envInt(`${prefix}_RETRY_DELAY`) || envInt('RECONNECT_BASE_DELAY') || 1000;
+    this.maxDelay = envInt(`${prefix}_MAX_RETRY_DELAY`) || envInt('RECONNECT_MAX_DELAY') || 30000;
+    this.failureThreshold = envInt(`${prefix}_MAX_RETRIES`) || envInt('RECONNECT_CIRCUIT_THRESHOLD') || 10;
+    this.backgroundInterval = envInt(`${prefix}_BACKGROUND_RETRY_INTERVAL`) || envInt('RECONNECT_BACKGROUND_INTERVAL') || 60000;
+    this.maxTransitions = envInt('RECONNECT_MAX_TRANSITIONS') || 50;
+
+    this.state = 'idle';
+    this.since = new Date().toISOString();
+    this.reason = null;
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.lastError = null;
+    this.nextRetryAt = null;
+    this.pausedUntil = null;
+    this.retryTimer = null;
+    this.transitions = [];
+  }
+
+  transition(state, reason = null) {
+    if (!STATES.includes(state)) throw new Error(`Unknown lifecycle state ${state}`);
+
+    // Repeated failures in the same state only refresh the reason
+    if (state === this.state) {
+      this.reason = reason;
+      return;
+    }
+
+    const event = {
+      service: this.service,
+      from: this.state,
+      to: state,
+      reason,
+      timestamp: new Date().toISOString()
+    };
+
+    this.state = state;
+    this.since = event.timestamp;
+    this.reason = reason;
+
+    this.transitions.unshift(event);
+    if (this.transitions.length > this.maxTransitions) this.transitions.length = this.maxTransitions;
+
+    logger.info(`🔁 ${this.service} ${event.from} → ${event.to}${reason ? ` (${reason})` : ''}`);
+    this.emit('transition', event);
+  }
+
+  connecting(reason = 'Connection attempt') {
+    this.nextRetryAt = null;
+    // Attempts made while the circuit is open are half-open probes; keep failing fast until one succeeds
+    if (this.state !== 'open-circuit') {
+      this.transition('connecting', reason);
+    }
+  }
+
+  connected(reason = 'Connected') {
+    this.clearRetry();
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+    this.transition('connected', reason);
+  }
+
+  // Connected but not fully healthy (no primary, cluster state fail, ...)
+  degraded(reason) {
+    if (this.state === 'connected' || this.state === 'degraded') {
+      this.transition('degraded', reason);
+    }
+  }
+
+  recovered(reason = 'Healthy') {
+    if (this.state === 'degraded') {
+      this.transition('connected', reason);
+    }
+  }
+
+  // Record a failed attempt or lost connection; returns the delay before the next attempt
+  failed(error) {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastError = error ? (error.message || String(error)) : null;
+
+    let delay;
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      delay = this.withJitter(this.backgroundInterval);
+      this.transition('open-circuit', `${this.consecutiveFailures} consecutive failures`);
+    } else {
+      const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, this.consecutiveFailures - 1));
+      delay = this.withJitter(exponential);
+      this.transition('backing-off', this.lastError);
+    }
+
+    // A pause (fault injection) holds the next attempt until it expires
+    delay = Math.max(delay, this.getPause());
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    return delay;
+  }
+
+  // Equal jitter: half fixed, half random, so reconnecting instances spread out
+  withJitter(delay) {
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  // For connectors that drive their own retries (mongoose); one pending attempt at a time
+  scheduleRetry(error, attempt) {
+    const delay = this.failed(error);
+    this.deferRetry(delay, attempt);
+    logger.info(`🔄 ${this.service} reconnect attempt ${this.consecutiveFailures} in ${delay}ms`);
+    return delay;
+  }
+
+  // Run the attempt later without counting a failure
+  deferRetry(delay, attempt) {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    this.retryTimer = detachContext(() => setTimeout(() => {
+      this.retryTimer = null;
+      attempt();
+    }, delay));
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  hasPendingRetry() {
+    return this.retryTimer !== null;
+  }
+
+  // Intentional disconnect: no further retries
+  stop(reason = 'Disconnected') {
+    this.clearRetry();
+    this.transition('idle', reason);
+  }
+
+  // Forget accumulated failures, e.g. after an operator fixes the dependency
+  reset() {
+    this.consecutiveFailures = 0;
+    if (this.state === 'open-circuit') {
+      this.transition('backing-off', 'Circuit reset');
+    }
+  }
+
+  pause(until) {
+    this.pausedUntil = until;
+  }
+
+  resume() {
+    this.pausedUntil = null;
+  }
+
+  getPause() {
+    return this.pausedUntil ? Math.max(0, this.pausedUntil - Date.now()) : 0;
+  }
+
+  isOpen() {
+    return this.state === 'open-circuit';
+  }
+
+  // Request handlers call this to fail fast instead of waiting on timeouts
+  assertAvailable() {
+    if (this.isOpen()) {
+      throw new CircuitOpenError(this.service, this.nextRetryAt);
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.since,
+      reason: this.reason,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      lastError: this.lastError,
+      nextRetryAt: this.nextRetryAt,
+      pausedUntil: this.getPause() > 0 ? new Date(this.pausedUntil).toISOString() : null,
+      circuitThreshold: this.failureThreshold,
+      transitions: this.transitions
+    };
+  }
+}
+
+module.exports = { ReconnectionManager, CircuitOpenError, STATES };
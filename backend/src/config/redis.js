@@ -1,8 +1,14 @@
+const EventEmitter = require('events');
 const Redis = require('ioredis');
 const logger = require('../utils/logger');
+const { getContext, detachContext } = require('../utils/requestContext');
+const { ReconnectionManager } = require('./reconnection');
+const { withTimeout } = require('../utils/timeout');
+const SentinelMonitor = require('./sentinel');
 
-class RedisConnection {
+class RedisConnection extends EventEmitter {
   constructor() {
+    super();
     this.client = null;
     this.status = {
       connected: false,
@@ -12,24 +18,52 @@ class RedisConnection {
       lastError: null,
       mode: null,
       role: null,
-      clusterNodes: []
+      clusterNodes: [],
+      clusterInfo: null,
+      server: null
     };
     
-    this.maxRetries = parseInt(process.env.REDIS_MAX_RETRIES) || 30;
-    this.retryDelay = parseInt(process.env.REDIS_RETRY_DELAY) || 5000;
-    this.currentRetry = 0;
-    this.isReconnecting = false;
+    this.lifecycle = new ReconnectionManager('redis', { prefix: 'REDIS' });
+    this.lifecycle.on('transition', (event) => this.emit('lifecycle', event));
     this.isSentinel = false;
     this.isCluster = false;
+    this.clusterRefreshTimer = null;
+    this.sentinelMonitor = null;
+    // Set at runtime through the admin API; replaces the REDIS_* connection variables
+    this.overrides = null;
   }
 
   updateStatus(updates) {
+    const previous = this.status;
     this.status = {
       ...this.status,
       ...updates,
       lastChecked: new Date().toISOString(),
       connectionAttempts: this.status.connectionAttempts + 1
     };
+
+    if (previous.connected !== this.status.connected || previous.message !== this.status.message) {
+      this.emit('status', {
+        service: 'redis',
+        connected: this.status.connected,
+        previouslyConnected: previous.connected,
+        message: this.status.message,
+        lastError: this.status.lastError,
+        timestamp: this.status.lastChecked
+      });
+    }
+  }
+
+  emitTopology() {
+    this.emit('topology', {
+      service: 'redis',
+      mode: this.status.mode,
+      role: this.status.role,
+      clusterNodes: this.status.clusterNodes,
+      clusterInfo: this.status.clusterInfo,
+      sentinel: this.sentinelMonitor ? this.sentinelMonitor.getStatus() : null,
+      timestamp: new Date().toISOString()
+    });
   }
 
   async getRedisInfo() {
@@ -44,16 +78,19 @@ class RedisConnection {
 
     try {
       if (this.isCluster) {
-        this.status.mode = 'cluster';
-        this.status.role = 'cluster-node';
-        logger.info(`📊 Redis architecture: cluster`);
+        await this.updateClusterTopology();
         return;
       }
 
       if (this.isSentinel) {
+        const info = this.parseRedisInfo(await this.client.info());
+        const sentinel = this.sentinelMonitor ? await this.sentinelMonitor.refresh() : null;
+
         this.status.mode = 'sentinel';
-        this.status.role = 'managed-by-sentinel';
-        logger.info(`📊 Redis architecture: sentinel`);
+        this.status.role = info.role || 'master';
+        this.status.server = this.describeServer(info);
+        logger.info(`📊 Redis architecture: sentinel (master: ${sentinel && sentinel.master ? sentinel.master.address : 'unknown'})`);
+        this.emitTopology();
         return;
       }
 
@@ -75,14 +112,201 @@ class RedisConnection {
       this.status.mode = mode;
       this.status.role = role;
       this.status.clusterNodes = clusterNodes;
+      this.status.server = this.describeServer(infoObj);
 
-      logger.info(`📊 Redis architecture: \${mode} (role: \${role})`);
+      logger.info(`📊 Redis architecture: ${mode} (role: ${role})`);
+      this.emitTopology();
 
     } catch (error) {
       logger.error('Error getting Redis info:', error.message);
     }
   }
 
+  async updateClusterTopology() {
+    if (!this.isCluster || !this.client || this.client.status !== 'ready') return;
+
+    try {
+      const [nodesRaw, infoRaw] = await Promise.all([
+        this.client.cluster('NODES'),
+        this.client.cluster('INFO')
+      ]);
+
+      const nodes = this.parseClusterNodes(nodesRaw);
+
+      // CLUSTER SLOTS is what ioredis routes by, so prefer its slot ranges
+      try {
+        const slots = await this.client.cluster('SLOTS');
+        this.applyClusterSlots(nodes, slots);
+      } catch (slotsError) {
+        logger.debug('CLUSTER SLOTS unavailable, using ranges from CLUSTER NODES:', slotsError.message);
+      }
+
+      await this.applyNodeVersions(nodes);
+
+      const info = this.parseRedisInfo(infoRaw);
+      const masters = nodes.filter(node => node.role === 'master');
+
+      this.status.mode = 'cluster';
+      this.status.role = 'cluster';
+      this.status.clusterNodes = nodes;
+      this.status.server = {
+        address: null,
+        version: [...new Set(nodes.map(node => node.version).filter(Boolean))].join(', ') || null
+      };
+      this.status.clusterInfo = {
+        state: info.cluster_state || 'unknown',
+        slotsAssigned: parseInt(info.cluster_slots_assigned) || 0,
+        slotsOk: parseInt(info.cluster_slots_ok) || 0,
+        slotsPfail: parseInt(info.cluster_slots_pfail) || 0,
+        slotsFail: parseInt(info.cluster_slots_fail) || 0,
+        knownNodes: parseInt(info.cluster_known_nodes) || nodes.length,
+        size: parseInt(info.cluster_size) || masters.length,
+        currentEpoch: parseInt(info.cluster_current_epoch) || 0,
+        masters: masters.length,
+        replicas: nodes.length - masters.length,
+        lastRefreshed: new Date().toISOString()
+      };
+
+      // Some slots are unserved while the cluster state is fail
+      if (this.status.clusterInfo.state !== 'ok') {
+        this.lifecycle.degraded(`Cluster state ${this.status.clusterInfo.state}`);
+      } else {
+        this.lifecycle.recovered();
+      }
+
+      logger.info(`📊 Redis architecture: cluster (${masters.length} masters, ${nodes.length - masters.length} replicas, state: ${this.status.clusterInfo.state})`);
+      this.emitTopology();
+
+    } catch (error) {
+      logger.error('Error getting Redis Cluster topology:', error.message);
+    }
+  }
+
+  // Parse CLUSTER NODES output:
+  // <id> <ip:port@cport[,hostname]> <flags> <master> <ping-sent> <pong-recv> <config-epoch> <link-state> <slot> ...
+  parseClusterNodes(raw) {
+    const nodes = String(raw)
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const parts = line.split(' ');
+        const [id, addressField, flagsField, masterId, , , configEpoch, linkState, ...slotFields] = parts;
+
+        const address = addressField.split(',')[0].split('@')[0];
+        const separator = address.lastIndexOf(':');
+        const flags = flagsField.split(',');
+
+        const slots = [];
+        const migrating = [];
+        for (const field of slotFields) {
+          // Migrating/importing slots look like [slot->-id] or [slot-<-id]
+          if (field.startsWith('[')) {
+            migrating.push(field);
+            continue;
+          }
+          const [start, end] = field.split('-').map(Number);
+          slots.push([start, end !== undefined ? end : start]);
+        }
+
+        return {
+          id,
+          address,
+          host: address.slice(0, separator),
+          port: parseInt(address.slice(separator + 1)) || null,
+          role: flags.includes('master') ? 'master' : flags.includes('slave') ? 'replica' : 'unknown',
+          masterId: masterId !== '-' ? masterId : null,
+          masterAddress: null,
+          slots,
+          slotRanges: [],
+          slotCount: 0,
+          migrating,
+          linkState,
+          configEpoch: parseInt(configEpoch) || 0,
+          flags: flags.filter(flag => flag !== 'master' && flag !== 'slave' && flag !== 'myself'),
+          failState: flags.includes('fail') ? 'fail' : flags.includes('fail?') ? 'pfail' : 'ok',
+          healthy: linkState === 'connected' && !flags.includes('fail') && !flags.includes('fail?')
+        };
+      });
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    for (const node of nodes) {
+      if (node.masterId && byId.has(node.masterId)) {
+        node.masterAddress = byId.get(node.masterId).address;
+      }
+      this.setNodeSlots(node, node.slots);
+    }
+
+    // Masters first, each followed by its replicas
+    return nodes.sort((a, b) => {
+      const groupA = a.masterAddress || a.address;
+      const groupB = b.masterAddress || b.address;
+      if (groupA !== groupB) return groupA.localeCompare(groupB);
+      return a.role === 'master' ? -1 : b.role === 'master' ? 1 : a.address.localeCompare(b.address);
+    });
+  }
+
+  // Overlay CLUSTER SLOTS ranges: [[start, end, [ip, port, id], [ip, port, id], ...], ...]
+  applyClusterSlots(nodes, slots) {
+    if (!Array.isArray(slots) || slots.length === 0) return;
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const ranges = new Map();
+
+    for (const [start, end, master] of slots) {
+      const id = master && master[2];
+      if (!id || !byId.has(id)) return; // Older servers omit node ids
+      if (!ranges.has(id)) ranges.set(id, []);
+      ranges.get(id).push([start, end]);
+    }
+
+    for (const node of nodes) {
+      if (node.role === 'master') {
+        this.setNodeSlots(node, (ranges.get(node.id) || []).sort((a, b) => a[0] - b[0]));
+      }
+    }
+  }
+
+  setNodeSlots(node, slots) {
+    node.slots = slots;
+    node.slotRanges = slots.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`));
+    node.slotCount = slots.reduce((total, [start, end]) => total + (end - start + 1), 0);
+  }
+
+  // The server behind a standalone or Sentinel connection (options.host is the current master for Sentinel)
+  describeServer(info) {
+    return {
+      address: this.client.options.host ? `${this.client.options.host}:${this.client.options.port}` : null,
+      version: info.redis_version || null
+    };
+  }
+
+  // INFO server on every node ioredis knows; nodes are matched by address
+  async applyNodeVersions(nodes) {
+    const versions = new Map(await Promise.all(this.client.nodes('all').map(async (node) => {
+      try {
+        const info = this.parseRedisInfo(await node.info('server'));
+        return [`${node.options.host}:${node.options.port}`, info.redis_version || null];
+      } catch (error) {
+        return [`${node.options.host}:${node.options.port}`, null];
+      }
+    })));
+
+    for (const node of nodes) {
+      node.version = versions.get(node.address) || null;
+    }
+  }
+
+  // Coalesce bursts of +node/-node events into a single refresh
+  scheduleClusterRefresh() {
+    if (this.clusterRefreshTimer) return;
+
+    this.clusterRefreshTimer = setTimeout(async () => {
+      this.clusterRefreshTimer = null;
+      await this.updateClusterTopology();
+    }, 1000);
+  }
+
   parseRedisInfo(info) {
     const lines = info.split('\r\n');
     const result = {};
@@ -99,19 +323,38 @@ class RedisConnection {
     return result;
   }
 
+  // LOG_DB_COMMANDS=true: one debug line per command, tagged with the request that issued it
+  instrumentCommandLogging() {
+    if (process.env.LOG_DB_COMMANDS !== 'true') return;
+
+    const client = this.client;
+    const sendCommand = client.sendCommand;
+    client.sendCommand = (command, ...args) => {
+      const start = Date.now();
+      const result = sendCommand.call(client, command, ...args);
+      command.promise.then(
+        () => logger.debug(`📦 Redis ${command.name} ${Date.now() - start}ms`),
+        (error) => logger.debug(`📦 Redis ${command.name} failed after ${Date.now() - start}ms: ${error.message}`)
+      );
+      return result;
+    };
+  }
+
   // ✅ FIXED: Separate event handlers for Cluster vs Standard
   setupEventListeners() {
     if (!this.client) return;
 
+    this.instrumentCommandLogging();
+
     if (this.isCluster) {
       // ✅ Cluster-specific event handlers
       this.client.on('connect', () => {
+        this.lifecycle.connecting('Handshake');
         logger.info('⚡ Redis Cluster connecting...');
       });
 
       this.client.on('ready', async () => {
-        this.currentRetry = 0;
-        this.isReconnecting = false;
+        this.lifecycle.connected();
         this.updateStatus({
           connected: true,
           message: 'Connected successfully',
@@ -137,33 +380,41 @@ class RedisConnection {
           message: 'Connection closed',
           mode: null,
           role: null,
-          clusterNodes: []
+          clusterNodes: [],
+          clusterInfo: null
         });
         logger.warn('⚠️  Redis Cluster connection closed');
       });
 
       // ✅ Cluster-specific events
       this.client.on('node error', (err, node) => {
-        logger.error(`❌ Redis node \${node} error:`, err.message);
+        logger.error(`❌ Redis node ${node} error:`, err.message);
       });
 
       this.client.on('+node', (node) => {
-        logger.info(`➕ Redis node added: \${node.options.host}:\${node.options.port}`);
+        logger.info(`➕ Redis node added: ${node.options.host}:${node.options.port}`);
+        this.scheduleClusterRefresh();
       });
 
       this.client.on('-node', (node) => {
-        logger.warn(`➖ Redis node removed: \${node.options.host}:\${node.options.port}`);
+        logger.warn(`➖ Redis node removed: ${node.options.host}:${node.options.port}`);
+        this.scheduleClusterRefresh();
       });
 
     } else {
       // ✅ Standard/Sentinel event handlers
       this.client.on('connect', () => {
+        this.lifecycle.connecting('Handshake');
         logger.info('⚡ Redis connecting...');
       });
 
       this.client.on('ready', async () => {
-        this.currentRetry = 0;
-        this.isReconnecting = false;
+        this.lifecycle.connected();
+        // Sentinel clients resolve the master per connection; record it so command spans name the real server
+        if (this.isSentinel && this.client.stream && this.client.stream.remoteAddress) {
+          this.client.options.host = this.client.stream.remoteAddress;
+          this.client.options.port = this.client.stream.remotePort;
+        }
         this.updateStatus({
           connected: true,
           message: 'Connected successfully',
@@ -203,13 +454,68 @@ class RedisConnection {
     }
   }
 
+  // Hold reconnection attempts until the given time (fault injection)
+  pauseReconnection(until) {
+    this.lifecycle.pause(until);
+  }
+
+  resumeReconnection() {
+    this.lifecycle.resume();
+  }
+
+  // Shared by the standalone, Sentinel and Cluster clients. Never returns null, so ioredis
+  // never gives up; past the circuit threshold attempts continue at the background interval.
+  retryStrategy() {
+    const pausedFor = this.lifecycle.getPause();
+    const delay = this.lifecycle.failed(this.status.lastError);
+
+    if (pausedFor > 0) {
+      logger.warn(`⏸️  Redis reconnection paused for ${Math.ceil(pausedFor / 1000)}s`);
+    } else {
+      logger.info(`🔄 Redis reconnect attempt ${this.lifecycle.consecutiveFailures} in ${delay}ms`);
+    }
+    return delay;
+  }
+
+  getConfig() {
+    if (this.overrides) return this.overrides;
+    return {
+      sentinelHosts: process.env.REDIS_SENTINEL_HOSTS,
+      sentinelMaster: process.env.REDIS_SENTINEL_MASTER || 'mymaster',
+      clusterNodes: process.env.REDIS_CLUSTER_NODES,
+      uri: process.env.REDIS_URI
+    };
+  }
+
+  // Exactly one of uri, clusterNodes or sentinelHosts selects the mode
+  setConfig({ uri, clusterNodes, sentinelHosts, sentinelMaster }) {
+    if ([uri, clusterNodes, sentinelHosts].filter(Boolean).length !== 1) {
+      throw new Error('Provide exactly one of uri, clusterNodes or sentinelHosts');
+    }
+    if (uri && !/^rediss?:\/\//.test(uri)) {
+      throw new Error('Redis URI must start with redis:// or rediss://');
+    }
+    this.overrides = {
+      sentinelHosts,
+      sentinelMaster: sentinelMaster || process.env.REDIS_SENTINEL_MASTER || 'mymaster',
+      clusterNodes,
+      uri
+    };
+  }
+
+  // Any of the three connection modes counts as configured
+  isConfigured() {
+    const { sentinelHosts, clusterNodes, uri } = this.getConfig();
+    return !!(sentinelHosts || clusterNodes || uri);
+  }
+
   async connect() {
-    const sentinelHosts = process.env.REDIS_SENTINEL_HOSTS;
-    const sentinelMaster = process.env.REDIS_SENTINEL_MASTER || 'mymaster';
-    const clusterNodes = process.env.REDIS_CLUSTER_NODES;
-    const redisURI = process.env.REDIS_URI;
+    // The client outlives the admin request that may have started it
+    if (getContext()) return detachContext(() => this.connect());
+
+    const { sentinelHosts, sentinelMaster, clusterNodes, uri: redisURI } = this.getConfig();
     
-    if (!sentinelHosts && !redisURI && !clusterNodes) {
+    if (!this.isConfigured()) {
       this.updateStatus({
         connected: false,
         message: 'Redis not configured (optional)',
@@ -219,6 +525,10 @@ class RedisConnection {
       return;
     }
 
+    this.lifecycle.connecting();
+    this.isCluster = false;
+    this.isSentinel = false;
+
     try {
       // ===== REDIS CLUSTER CONFIGURATION =====
       if (clusterNodes) {
@@ -229,22 +539,14 @@ class RedisConnection {
           return { host, port: parseInt(port) || 7001 };
         });
 
-        logger.info(`🔍 Cluster nodes: \${JSON.stringify(nodes)}`);
+        logger.info(`🔍 Cluster nodes: ${JSON.stringify(nodes)}`);
 
         this.client = new Redis.Cluster(nodes, {
           redisOptions: {
             connectTimeout: 10000,
             maxRetriesPerRequest: 3,
           },
-          clusterRetryStrategy: (times) => {
-            if (times > this.maxRetries) {
-              logger.error('❌ Max Redis cluster reconnection attempts reached');
-              return null;
-            }
-            const delay = Math.min(times * this.retryDelay, 30000);
-            logger.info(`🔄 Redis cluster reconnect attempt \${times} in \${delay}ms`);
-            return delay;
-          },
+          clusterRetryStrategy: () => this.retryStrategy(),
           enableReadyCheck: true,
           // ✅ ADD: These improve cluster stability
           scaleReads: 'slave',  // Read from replicas when possible
@@ -266,8 +568,8 @@ class RedisConnection {
           return { host: hostname, port: parseInt(port) || 26379 };
         });
 
-        logger.info(`🔍 Sentinel hosts: \${JSON.stringify(sentinels)}`);
-        logger.info(`🔍 Sentinel master name: \${sentinelMaster}`);
+        logger.info(`🔍 Sentinel hosts: ${JSON.stringify(sentinels)}`);
+        logger.info(`🔍 Sentinel master name: ${sentinelMaster}`);
 
         this.client = new Redis({
           sentinels: sentinels,
@@ -278,24 +580,21 @@ class RedisConnection {
               return null;
             }
             const delay = Math.min(times * 1000, 5000);
-            logger.info(`🔄 Sentinel retry attempt \${times} in \${delay}ms`);
-            return delay;
-          },
-          retryStrategy: (times) => {
-            if (times > this.maxRetries) {
-              logger.error('❌ Max Redis reconnection attempts reached');
-              return null;
-            }
-            const delay = Math.min(times * this.retryDelay, 30000);
-            logger.info(`🔄 Redis reconnect attempt \${times} in \${delay}ms`);
+            logger.info(`🔄 Sentinel retry attempt ${times} in ${delay}ms`);
             return delay;
           },
+          retryStrategy: () => this.retryStrategy(),
           enableReadyCheck: true,
           maxRetriesPerRequest: 3,
           connectTimeout: 10000,
         });
 
         this.isSentinel = true;
+        this.sentinelMonitor = new SentinelMonitor(sentinels, sentinelMaster);
+        this.sentinelMonitor.on('event', (event) => {
+          this.emit('topology-event', { service: 'redis', ...event });
+        });
+        this.sentinelMonitor.start();
         this.setupEventListeners();
         logger.info('🔌 Connecting to Redis via Sentinel...');
 
@@ -305,15 +604,7 @@ class RedisConnection {
         logger.info('🔌 Connecting to Redis (standard mode)...');
         
         this.client = new Redis(redisURI, {
-          retryStrategy: (times) => {
-            if (times > this.maxRetries) {
-              logger.error('❌ Max Redis reconnection attempts reached');
-              return null;
-            }
-            const delay = Math.min(times * this.retryDelay, 30000);
-            logger.info(`🔄 Redis reconnect attempt \${times} in \${delay}ms`);
-            return delay;
-          },
+          retryStrategy: () => this.retryStrategy(),
           enableReadyCheck: true,
           maxRetriesPerRequest: 3,
           connectTimeout: 10000,
@@ -338,34 +629,102 @@ class RedisConnection {
       ...this.status,
       clientStatus: this.client ? this.client.status : 'not_initialized',
       isCluster: this.isCluster,
-      isSentinel: this.isSentinel
+      isSentinel: this.isSentinel,
+      lifecycle: this.lifecycle.getStatus(),
+      sentinel: this.sentinelMonitor ? this.sentinelMonitor.getStatus() : null
     };
   }
 
   async disconnect() {
+    this.lifecycle.stop();
+
+    if (this.clusterRefreshTimer) {
+      clearTimeout(this.clusterRefreshTimer);
+      this.clusterRefreshTimer = null;
+    }
+
+    if (this.sentinelMonitor) {
+      await this.sentinelMonitor.stop();
+      this.sentinelMonitor = null;
+    }
+
     if (this.client) {
+      const client = this.client;
       try {
-        // ✅ Different disconnect methods for cluster vs standard
-        if (this.isCluster) {
-          await this.client.quit();
+        // QUIT would queue behind reconnection on a client that is not ready
+        if (client.status !== 'ready') {
+          client.disconnect();
+        } else if (this.isCluster) {
+          await client.quit();
           logger.info('Redis Cluster disconnected gracefully');
         } else {
-          await this.client.quit();
+          await client.quit();
           logger.info('Redis disconnected gracefully');
         }
       } catch (error) {
         logger.error('Error disconnecting Redis:', error.message);
         try {
-          this.client.disconnect();
+          client.disconnect();
         } catch (e) {
           logger.error('Error force disconnecting Redis:', e.message);
         }
       }
+
+      // A later connect() creates a fresh client; the old one must not report into the status
+      client.removeAllListeners();
+      this.client = null;
+      this.updateStatus({
+        connected: false,
+        message: 'Disconnected',
+        role: null,
+        clusterNodes: [],
+        clusterInfo: null
+      });
+    }
+  }
+
+  // Resolves once the client is ready; rejects with the last connection error on timeout
+  async waitForReady(timeout) {
+    const client = this.client;
+    if (!client) throw new Error('Redis is not configured');
+    if (client.status === 'ready') return;
+
+    let onReady;
+    try {
+      await withTimeout(new Promise(resolve => {
+        onReady = resolve;
+        client.once('ready', onReady);
+      }), timeout);
+    } catch (error) {
+      throw new Error(this.status.lastError || error.message);
+    } finally {
+      client.off('ready', onReady);
+    }
+  }
+
+  // Drop the current client (if any) and connect again with fresh counters
+  async reconnect(timeout = 10000) {
+    await this.disconnect();
+    this.lifecycle.reset();
+    await this.connect();
+    if (this.client) await this.waitForReady(timeout);
+  }
+
+  // Forget accumulated failures; ioredis uses the new delay on its next attempt
+  resetRetries() {
+    this.lifecycle.reset();
+  }
+
+  async refreshTopology() {
+    if (!this.client || this.client.status !== 'ready') {
+      throw new Error('Redis is not connected');
     }
+    await this.getRedisInfo();
   }
 
   async ping() {
-    if (!this.client) {
+    // An open circuit fails fast instead of queueing behind reconnection
+    if (!this.client || this.lifecycle.isOpen()) {
       return false;
     }
 
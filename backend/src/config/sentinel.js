@@ -0,0 +1,302 @@
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+const SENTINEL_CHANNELS = ['+switch-master', '+sdown', '-sdown', '+odown', '-odown'];
+const MAX_EVENTS = parseInt(process.env.REDIS_SENTINEL_MAX_EVENTS) || 50;
+
+// Sentinel replies are flat [key, value, key, value, ...] arrays
+const toObject = (pairs) => {
+  const result = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    result[pairs[i]] = pairs[i + 1];
+  }
+  return result;
+};
+
+const hasFlag = (flags, flag) => (flags || '').split(',').includes(flag);
+
+class SentinelMonitor extends EventEmitter {
+  constructor(sentinels, masterName) {
+    super();
+    this.sentinels = sentinels;
+    this.masterName = masterName;
+    this.clients = new Map();
+    this.subscribers = new Map();
+    this.refreshTimer = null;
+    this.refreshInterval = parseInt(process.env.REDIS_SENTINEL_REFRESH_INTERVAL) || 15000;
+    this.pendingRefresh = null;
+
+    this.status = {
+      masterName,
+      master: null,
+      replicas: [],
+      sentinels: [],
+      quorum: null,
+      events: [],
+      lastFailover: null,
+      lastRefreshed: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    for (const sentinel of this.sentinels) {
+      const key = `${sentinel.host}:${sentinel.port}`;
+      const options = {
+        host: sentinel.host,
+        port: sentinel.port,
+        connectTimeout: 5000,
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false,
+        retryStrategy: (times) => Math.min(times * 1000, 10000)
+      };
+
+      const client = new Redis(options);
+      client.on('error', (err) => {
+        logger.debug(`Sentinel ${key} query connection error: ${err.message}`);
+      });
+      this.clients.set(key, client);
+
+      // Pub/sub needs its own connection
+      const subscriber = new Redis(options);
+      subscriber.on('error', (err) => {
+        logger.debug(`Sentinel ${key} subscriber error: ${err.message}`);
+      });
+      subscriber.on('ready', () => {
+        subscriber.subscribe(...SENTINEL_CHANNELS).catch((err) => {
+          logger.error(`Failed to subscribe to Sentinel ${key} events:`, err.message);
+        });
+      });
+      subscriber.on('message', (channel, message) => this.handleEvent(key, channel, message));
+      this.subscribers.set(key, subscriber);
+    }
+
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    logger.info(`👁️  Monitoring ${this.sentinels.length} Redis Sentinel(s) for master "${this.masterName}"`);
+  }
+
+  async stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    if (this.pendingRefresh) {
+      clearTimeout(this.pendingRefresh);
+      this.pendingRefresh = null;
+    }
+
+    const connections = [...this.clients.values(), ...this.subscribers.values()];
+    this.clients.clear();
+    this.subscribers.clear();
+
+    await Promise.all(connections.map(async (connection) => {
+      try {
+        await connection.quit();
+      } catch (error) {
+        connection.disconnect();
+      }
+    }));
+  }
+
+  handleEvent(sentinel, channel, message) {
+    const parts = message.split(' ');
+    const event = {
+      type: channel,
+      sentinel,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    if (channel === '+switch-master') {
+      // <master name> <oldip> <oldport> <newip> <newport>
+      const [name, oldHost, oldPort, newHost, newPort] = parts;
+      if (name !== this.masterName) return;
+
+      event.from = `${oldHost}:${oldPort}`;
+      event.to = `${newHost}:${newPort}`;
+
+      // Every sentinel announces the same switch; record it once
+      const previous = this.status.lastFailover;
+      if (previous && previous.from === event.from && previous.to === event.to &&
+          Date.now() - new Date(previous.timestamp).getTime() < 60000) {
+        return;
+      }
+
+      this.status.lastFailover = event;
+      logger.warn(`🔀 Redis Sentinel failover: ${this.masterName} switched from ${event.from} to ${event.to}`);
+    } else {
+      // <instance-type> <name> <ip> <port> [@ <master-name> <master-ip> <master-port>]
+      const [instanceType, name, host, port] = parts;
+      const masterIndex = parts.indexOf('@');
+      const master = masterIndex >= 0 ? parts[masterIndex + 1] : name;
+      if (master !== this.masterName) return;
+
+      event.instanceType = instanceType;
+      event.instance = instanceType === 'master' || instanceType === 'slave' || instanceType === 'sentinel'
+        ? `${host}:${port}`
+        : name;
+
+      const log = channel.startsWith('+') ? logger.warn : logger.info;
+      log.call(logger, `👁️  Sentinel ${sentinel}: ${channel} ${instanceType} ${event.instance}`);
+    }
+
+    this.status.events = [event, ...this.status.events].slice(0, MAX_EVENTS);
+    this.emit('event', event);
+    this.scheduleRefresh();
+  }
+
+  scheduleRefresh() {
+    if (this.pendingRefresh) return;
+
+    this.pendingRefresh = setTimeout(() => {
+      this.pendingRefresh = null;
+      this.refresh();
+    }, 1000);
+  }
+
+  async querySentinel(key, client) {
+    const started = Date.now();
+    try {
+      const [master, replicas, sentinels, masterAddr] = await Promise.all([
+        client.sentinel('MASTER', this.masterName),
+        client.sentinel('REPLICAS', this.masterName),
+        client.sentinel('SENTINELS', this.masterName),
+        client.sentinel('GET-MASTER-ADDR-BY-NAME', this.masterName)
+      ]);
+
+      let quorumCheck = null;
+      try {
+        quorumCheck = { ok: true, message: await client.sentinel('CKQUORUM', this.masterName) };
+      } catch (ckError) {
+        quorumCheck = { ok: false, message: ckError.message };
+      }
+
+      return {
+        key,
+        reachable: true,
+        latency: Date.now() - started,
+        master: toObject(master),
+        replicas: replicas.map(toObject),
+        sentinels: sentinels.map(toObject),
+        masterAddress: masterAddr ? `${masterAddr[0]}:${masterAddr[1]}` : null,
+        quorumCheck
+      };
+    } catch (error) {
+      return {
+        key,
+        reachable: false,
+        latency: Date.now() - started,
+        error: error.message
+      };
+    }
+  }
+
+  async refresh() {
+    if (this.clients.size === 0) return this.status;
+
+    const results = await Promise.all(
+      [...this.clients.entries()].map(([key, client]) => this.querySentinel(key, client))
+    );
+    const reachable = results.filter(result => result.reachable);
+
+    if (reachable.length === 0) {
+      this.status = {
+        ...this.status,
+        master: null,
+        replicas: [],
+        sentinels: results.map(result => ({
+          address: result.key,
+          reachable: false,
+          agreesOnMaster: false,
+          error: result.error
+        })),
+        quorum: {
+          required: this.status.quorum ? this.status.quorum.required : null,
+          agreeing: 0,
+          reachableSentinels: 0,
+          totalSentinels: results.length,
+          reachable: false,
+          message: 'No Sentinel reachable'
+        },
+        lastRefreshed: new Date().toISOString(),
+        lastError: 'No Sentinel reachable'
+      };
+      return this.status;
+    }
+
+    // Majority view of the master address across reachable sentinels
+    const votes = new Map();
+    for (const result of reachable) {
+      votes.set(result.masterAddress, (votes.get(result.masterAddress) || 0) + 1);
+    }
+    const [consensusAddress, agreeing] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+    const primary = reachable.find(result => result.masterAddress === consensusAddress);
+
+    const master = primary.master;
+    const required = parseInt(master.quorum) || null;
+
+    this.status = {
+      ...this.status,
+      master: {
+        name: master.name,
+        address: consensusAddress,
+        host: master.ip,
+        port: parseInt(master.port) || null,
+        flags: master.flags,
+        healthy: hasFlag(master.flags, 'master') && !hasFlag(master.flags, 's_down') && !hasFlag(master.flags, 'o_down'),
+        subjectivelyDown: hasFlag(master.flags, 's_down'),
+        objectivelyDown: hasFlag(master.flags, 'o_down'),
+        failoverInProgress: hasFlag(master.flags, 'failover_in_progress'),
+        numReplicas: parseInt(master['num-slaves']) || 0,
+        numOtherSentinels: parseInt(master['num-other-sentinels']) || 0,
+        configEpoch: parseInt(master['config-epoch']) || 0,
+        downAfterMs: parseInt(master['down-after-milliseconds']) || null,
+        failoverTimeoutMs: parseInt(master['failover-timeout']) || null
+      },
+      replicas: primary.replicas.map(replica => ({
+        address: `${replica.ip}:${replica.port}`,
+        host: replica.ip,
+        port: parseInt(replica.port) || null,
+        role: 'replica',
+        flags: replica.flags,
+        healthy: !hasFlag(replica.flags, 's_down') && !hasFlag(replica.flags, 'disconnected') &&
+                 replica['master-link-status'] === 'ok',
+        masterLinkStatus: replica['master-link-status'],
+        masterAddress: `${replica['master-host']}:${replica['master-port']}`,
+        replicationOffset: parseInt(replica['slave-repl-offset']) || 0,
+        priority: parseInt(replica['slave-priority'] || replica['replica-priority']) || 0,
+        lastPingReplyMs: parseInt(replica['last-ok-ping-reply']) || null
+      })),
+      sentinels: results.map(result => ({
+        address: result.key,
+        reachable: result.reachable,
+        latency: result.latency,
+        masterAddress: result.masterAddress || null,
+        agreesOnMaster: result.reachable && result.masterAddress === consensusAddress,
+        error: result.error || null
+      })),
+      quorum: {
+        required,
+        agreeing,
+        reachableSentinels: reachable.length,
+        totalSentinels: results.length,
+        // CKQUORUM also checks the majority needed to authorize a failover
+        reachable: primary.quorumCheck ? primary.quorumCheck.ok : (required !== null && agreeing >= required),
+        message: primary.quorumCheck ? primary.quorumCheck.message : null
+      },
+      lastRefreshed: new Date().toISOString(),
+      lastError: null
+    };
+
+    return this.status;
+  }
+
+  getStatus() {
+    return this.status;
+  }
+}
+
+module.exports = SentinelMonitor;
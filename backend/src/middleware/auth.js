@@ -0,0 +1,85 @@
+const authService = require('../services/auth');
+const logger = require('../utils/logger');
+const { redactForViewer } = require('../utils/redact');
+
+const reject = (res, statusCode, message, code) => res.status(statusCode).json({
+  error: statusCode === 401 ? 'Unauthorized' : 'Forbidden',
+  message,
+  ...(code && { code }),
+  timestamp: new Date().toISOString()
+});
+
+// Bearer JWT or API key, X-API-Key, legacy X-Admin-Token; EventSource cannot set headers, so
+// the stream also accepts ?access_token=
+const readCredential = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+  if (req.get('x-api-key')) return req.get('x-api-key');
+  if (req.get('x-admin-token')) return req.get('x-admin-token');
+  if (req.method === 'GET' && req.path === '/api/stream' && req.query.access_token) {
+    return String(req.query.access_token);
+  }
+  return null;
+};
+
+const describeActor = (req, principal) => {
+  if (principal.type === 'user') return principal.name;
+  if (principal.type === 'api-key') return `api-key:${principal.name}`;
+  return req.get('x-admin-user') || `admin@${req.ip}`;
+};
+
+// Resolves req.principal; with AUTH_ENABLED every path outside publicPaths needs credentials.
+// beforeReject runs ahead of each 401 and resolves false when it has answered the request itself.
+const authenticate = ({ publicPaths = [], beforeReject = async () => true } = {}) => async (req, res, next) => {
+  req.principal = null;
+  const credential = readCredential(req);
+
+  if (credential) {
+    try {
+      req.principal = authService.authenticateToken(credential);
+      req.actor = describeActor(req, req.principal);
+    } catch (error) {
+      // Paths are logged without the query: the event stream carries its token in ?access_token=
+      logger.warn(`🔒 Rejected credentials for ${req.method} ${req.originalUrl.split('?')[0]} from ${req.ip}: ${error.message}`);
+      if (!(await beforeReject(req, res))) return;
+      return reject(res, 401, error.message, error.code);
+    }
+  }
+
+  if (authService.enabled && !req.principal && !publicPaths.includes(req.path)) {
+    if (!(await beforeReject(req, res))) return;
+    return reject(res, 401, 'Authentication required', 'AUTH_REQUIRED');
+  }
+  next();
+};
+
+// Route guard; viewer routes stay open when authentication is disabled
+const requireRole = (role) => (req, res, next) => {
+  if (!authService.enabled && role === 'viewer') return next();
+
+  if (role === 'admin' && !authService.isAdminConfigured()) {
+    return reject(res, 403, 'Admin API is disabled; set AUTH_ENABLED=true or ADMIN_TOKEN to enable it');
+  }
+  if (!req.principal) {
+    logger.warn(`🔒 Rejected ${role} request ${req.method} ${req.originalUrl.split('?')[0]} from ${req.ip}`);
+    return reject(res, 401, `A valid ${role} credential is required`, 'AUTH_REQUIRED');
+  }
+  if (!authService.hasRole(req.principal, role)) {
+    logger.warn(`🔒 ${req.actor} lacks the ${role} role for ${req.method} ${req.originalUrl.split('?')[0]}`);
+    return reject(res, 403, `The ${role} role is required`, 'INSUFFICIENT_ROLE');
+  }
+  next();
+};
+
+// Viewers (and anonymous health checks) get hostnames, PIDs and versions masked
+const isRedacted = (req) => authService.enabled && !authService.hasRole(req.principal, 'admin');
+
+const redactResponses = (req, res, next) => {
+  if (isRedacted(req)) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(redactForViewer(body));
+  }
+  next();
+};
+
+module.exports = { authenticate, requireRole, redactResponses, isRedacted };
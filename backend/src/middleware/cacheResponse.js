@@ -0,0 +1,25 @@
+const cache = require('../services/cache');
+
+// Same path with the same query -> same entry, whatever order the parameters came in
+const defaultKey = (req) => {
+  const query = Object.keys(req.query).sort().map(name => `${name}=${req.query[name]}`).join('&');
+  return `${req.baseUrl}${req.path}${query ? `?${query}` : ''}`;
+};
+
+// Answers a GET route from the Redis cache with the JSON body load(req) resolves to; X-Cache tells HIT,
+// STALE, MISS or BYPASS. Stale entries are refreshed in the background through load, not by running the
+// route again. Load errors go to the next error handler. Viewer redaction wraps res.json outside this
+// middleware, so entries hold the unredacted body.
+const cacheResponse = ({ namespace, ttl, staleTtl, tags, key = defaultKey, load }) => async (req, res, next) => {
+  try {
+    const { value, state, storedAt } = await cache.lookup(namespace, key(req), () => load(req), { ttl, staleTtl, tags });
+
+    res.set('X-Cache', state.toUpperCase());
+    if (storedAt) res.set('Age', String(Math.floor((Date.now() - storedAt) / 1000)));
+    res.json(value);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = cacheResponse;
@@ -0,0 +1,49 @@
+const rateLimiter = require('../services/rateLimiter');
+const logger = require('../utils/logger');
+
+// Authenticated callers are limited per credential, anonymous ones per IP
+const clientId = (req) => (req.principal ? `${req.principal.type}:${req.principal.name}` : `ip:${req.ip}`);
+
+// Takes a token from client's bucket and sets the RateLimit-* headers; once the bucket is empty it
+// answers with a 429 in the error handler's shape and resolves false
+const consume = async (req, res, policy, client) => {
+  const result = await rateLimiter.take(policy, client);
+
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset),
+    'RateLimit-Policy': `${result.limit};w=${result.window / 1000}`
+  });
+  if (result.allowed) return true;
+
+  // Without the query, which carries the event stream's ?access_token=
+  logger.warn(`🚦 Rate limited ${client} on ${req.method} ${req.originalUrl.split('?')[0]} (${policy.name})`);
+  res.set('Retry-After', String(result.retryAfter));
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message: `Limit of ${result.limit} requests per ${result.window / 1000}s exceeded; retry in ${result.retryAfter}s`,
+    code: 'RATE_LIMITED',
+    requestId: req.id,
+    timestamp: new Date().toISOString()
+  });
+  return false;
+};
+
+const rateLimit = async (req, res, next) => {
+  const policy = rateLimiter.match(req.path);
+  if (!policy) return next();
+
+  if (await consume(req, res, policy, clientId(req))) next();
+};
+
+// For requests authentication is about to reject: they count against the caller's IP, so guessing
+// API keys or tokens is limited like any anonymous traffic. Resolves false once it has sent a 429.
+const limitRejected = async (req, res) => {
+  const policy = rateLimiter.match(req.path);
+  if (!policy) return true;
+
+  return consume(req, res, policy, `ip:${req.ip}`);
+};
+
+module.exports = { rateLimit, limitRejected };
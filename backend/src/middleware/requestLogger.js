@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../services/metrics');
+const { runWithContext } = require('../utils/requestContext');
+
+// Accept the caller's ID (browser, proxy, another service) when it looks sane
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Assigns X-Request-Id, runs the rest of the chain inside its async context and
+// writes one structured access log line when the response completes
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // Count body bytes as written; Content-Length is absent on streamed responses
+  let bytes = 0;
+  const write = res.write;
+  const end = res.end;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  const logRequest = (durationSeconds, completed) => {
+    const entry = {
+      type: 'access',
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationSeconds * 1000 * 100) / 100,
+      bytes,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      actor: req.actor || null,
+      completed
+    };
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger.log(level, `${entry.method} ${entry.path} ${entry.status} ${entry.durationMs}ms`, entry);
+  };
+
+  // 'close' without 'finish' means the client went away first (SSE disconnects, aborted uploads)
+  let logged = false;
+  const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+  res.on('finish', () => {
+    logged = true;
+    const durationSeconds = elapsed();
+    metrics.recordHttpRequest(req, res, durationSeconds);
+    logRequest(durationSeconds, true);
+  });
+  res.on('close', () => {
+    if (!logged) logRequest(elapsed(), false);
+  });
+
+  runWithContext({ requestId }, next);
+};
+
+module.exports = requestLogger;
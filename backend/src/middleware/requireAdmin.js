@@ -0,0 +1,4 @@
+const { requireRole } = require('./auth');
+
+// Admin routes accept an admin session, an admin API key or the legacy ADMIN_TOKEN
+module.exports = requireRole('admin');
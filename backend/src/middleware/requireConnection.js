@@ -0,0 +1,30 @@
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+
+const connectors = { mongodb: mongoConnection, redis: redisConnection };
+
+// Fail fast with 503 while a dependency's circuit is open instead of waiting on driver timeouts
+const requireConnection = (service) => (req, res, next) => {
+  const lifecycle = connectors[service].lifecycle;
+
+  try {
+    lifecycle.assertAvailable();
+    next();
+  } catch (error) {
+    const retryIn = lifecycle.nextRetryAt ? Math.ceil((Date.parse(lifecycle.nextRetryAt) - Date.now()) / 1000) : 0;
+    res.set('Retry-After', String(Math.max(1, retryIn)));
+    res.status(error.statusCode).json({
+      error: 'Service Unavailable',
+      message: error.message,
+      code: error.code,
+      lifecycle: {
+        state: lifecycle.state,
+        consecutiveFailures: lifecycle.consecutiveFailures,
+        nextRetryAt: lifecycle.nextRetryAt
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = requireConnection;
@@ -0,0 +1,52 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { buildDocument } = require('../openapi/openapi');
+const { findRoute } = require('../openapi/registry');
+const logger = require('../utils/logger');
+
+// Development aid: checks JSON responses against the OpenAPI document and logs any drift.
+// Responses are still sent unchanged.
+const createResponseValidator = () => {
+  const document = buildDocument();
+  const ajv = new Ajv2020({ allErrors: true, strict: false });
+  addFormats(ajv);
+  ajv.addSchema({ $id: 'openapi', components: document.components });
+
+  const validators = new Map();
+  const getValidator = (schemaName) => {
+    if (!validators.has(schemaName)) {
+      validators.set(schemaName, ajv.getSchema(`openapi#/components/schemas/${schemaName}`));
+    }
+    return validators.get(schemaName);
+  };
+
+  return (req, res, next) => {
+    const route = findRoute(req.method, req.baseUrl + req.path);
+    if (!route) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      const operation = `${req.method} ${route.path} ${status}`;
+      const response = route.responses[status] || (status === 401 || status === 403 || status >= 500 ? 'Error' : undefined);
+
+      if (response === undefined) {
+        logger.warn(`📐 Response validation: ${operation} is not documented`);
+        res.set('X-Response-Validation', 'undocumented');
+      } else if (typeof response === 'string') {
+        const validate = getValidator(response);
+        if (!validate(JSON.parse(JSON.stringify(body)))) {
+          logger.warn(`📐 Response validation: ${operation} does not match ${response}`, {
+            errors: validate.errors.slice(0, 10).map(error => `${error.instancePath || '/'} ${error.message}`)
+          });
+          res.set('X-Response-Validation', 'invalid');
+        }
+      }
+
+      return json(body);
+    };
+    next();
+  };
+};
+
+module.exports = createResponseValidator;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['viewer', 'admin'];
+
+// Local dashboard/API users; passwords are stored as bcrypt hashes only
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  // Bumped on logout and password change to revoke outstanding refresh tokens
+  tokenVersion: { type: Number, default: 0 },
+  lastLoginAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: process.env.AUTH_USERS_COLLECTION || 'users'
+});
+
+userSchema.methods.toPublic = function toPublic() {
+  return {
+    username: this.username,
+    role: this.role,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = { User, ROLES };
@@ -0,0 +1,151 @@
+const { routes } = require('./registry');
+const { schemas, ref } = require('./schemas');
+const rateLimiter = require('../services/rateLimiter');
+
+const ERROR_RESPONSES = {
+  401: 'Missing or invalid credentials',
+  403: 'Role not allowed',
+  429: 'Rate limit exceeded',
+  500: 'Unexpected error'
+};
+
+// /api/chaos/faults/:id -> /api/chaos/faults/{id}
+const toOpenApiPath = (path) => path.replace(/:([^/]+)/g, '{$1}');
+
+const describeStatus = (status) => ({
+  200: 'OK',
+  201: 'Created',
+  400: 'Invalid request',
+  401: ERROR_RESPONSES[401],
+  404: 'Not found',
+  406: 'No acceptable representation',
+  409: 'Already exists',
+  503: 'Dependency unavailable'
+}[status] || 'Response');
+
+const buildResponses = (route) => {
+  const responses = {};
+
+  for (const [status, response] of Object.entries(route.responses)) {
+    if (typeof response === 'string') {
+      responses[status] = {
+        description: describeStatus(status),
+        content: { 'application/json': { schema: ref(response) } }
+      };
+    } else {
+      responses[status] = {
+        description: response.description,
+        content: { [response.contentType]: { schema: { type: 'string' } } }
+      };
+    }
+  }
+
+  for (const contentType of route.produces || []) {
+    responses[200].content[contentType] = { schema: { type: 'string' } };
+  }
+
+  const implied = [500];
+  if (route.access !== 'public') implied.push(401);
+  if (route.access === 'admin') implied.push(403);
+  // The docs are mounted ahead of the rate limiter
+  if (route.tag !== 'Docs' && rateLimiter.match(route.path)) implied.push(429);
+  for (const status of implied) {
+    if (!responses[status]) {
+      responses[status] = {
+        description: ERROR_RESPONSES[status],
+        content: { 'application/json': { schema: ref('Error') } }
+      };
+    }
+  }
+
+  return responses;
+};
+
+const buildParameters = (route) => {
+  const pathParams = (route.path.match(/:([^/]+)/g) || []).map(name => name.slice(1)).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: (route.params && route.params[name]) || { type: 'string' }
+  }));
+
+  const queryParams = Object.entries(route.query || {}).map(([name, { description, ...schema }]) => ({
+    name,
+    in: 'query',
+    required: false,
+    description,
+    schema
+  }));
+
+  return [...pathParams, ...queryParams];
+};
+
+const buildOperation = (route) => {
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: `${route.method}${route.path.replace(/[^a-zA-Z0-9]+(.)?/g, (_, char) => (char ? char.toUpperCase() : ''))}`,
+    'x-required-role': route.access
+  };
+
+  const parameters = buildParameters(route);
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: ref(route.body) } }
+    };
+  }
+
+  // Any credential works as a bearer token; API keys can also go in X-API-Key
+  operation.security = route.access === 'public' ? [] : [{ bearerAuth: [] }, { apiKey: [] }];
+  operation.responses = buildResponses(route);
+  return operation;
+};
+
+let cached = null;
+
+// Built once; the registry and schemas are static
+const buildDocument = () => {
+  if (cached) return cached;
+
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: buildOperation(route) };
+  }
+
+  cached = {
+    openapi: '3.1.0',
+    info: {
+      title: 'MERN DevOps Demo API',
+      version: '2.0.0',
+      description: 'Status, health, topology and administration API of the MERN DevOps demo backend. '
+        + 'When AUTH_ENABLED is set, non-public operations need a JWT access token or an API key; '
+        + 'x-required-role shows the role each operation needs.'
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'JWT access token from /api/auth/login, or an API key'
+        },
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
+        }
+      }
+    }
+  };
+
+  return cached;
+};
+
+module.exports = { buildDocument, toOpenApiPath };
@@ -0,0 +1,138 @@
+// Single list of every route the API serves. The OpenAPI document, the 404 handler's
+// availableEndpoints, the architecture endpoint list and public path handling all read it.
+//
+// access: public (no credentials), viewer (any authenticated principal) or admin.
+// responses map a status code to a schema name; 401/403/500 are added from access.
+// Paths use Express syntax (/faults/:id); openapi.js converts them to {id}.
+// produces lists extra media types a 200 can be negotiated into.
+
+const { FORMATS: ARCHITECTURE_FORMATS } = require('../services/architectureExport');
+
+const SERVICE_PARAM = { service: { type: 'string', enum: ['mongodb', 'redis'], description: 'Connection to act on' } };
+const LIMIT_QUERY = { limit: { type: 'integer', minimum: 1, description: 'Maximum number of entries to return' } };
+
+const group = (tag, routes) => routes.map(route => ({ tag, access: 'viewer', ...route }));
+
+const routes = [
+  ...group('Status', [
+    { method: 'get', path: '/api/', summary: 'Basic status', access: 'public', responses: { 200: 'RootStatus' } },
+    { method: 'get', path: '/api/health', summary: 'Health check', access: 'public', responses: { 200: 'Health', 503: 'Health' } },
+    { method: 'get', path: '/api/health/live', summary: 'Liveness probe', access: 'public', responses: { 200: 'Liveness' } },
+    { method: 'get', path: '/api/health/ready', summary: 'Readiness probe', access: 'public', responses: { 200: 'Readiness', 503: 'Readiness' } },
+    { method: 'get', path: '/api/health/startup', summary: 'Startup probe', access: 'public', responses: { 200: 'Startup', 503: 'Startup' } },
+    { method: 'get', path: '/api/status', summary: 'Detailed status', responses: { 200: 'Status' } },
+    {
+      method: 'get',
+      path: '/api/architecture',
+      summary: 'Architecture info, as JSON or a Mermaid, DOT, PlantUML (C4) or SVG diagram',
+      query: {
+        format: {
+          type: 'string',
+          enum: ['json', ...Object.keys(ARCHITECTURE_FORMATS)],
+          description: 'Overrides the Accept header'
+        }
+      },
+      produces: Object.values(ARCHITECTURE_FORMATS).map(entry => entry.contentType),
+      responses: { 200: 'Architecture', 400: 'Error', 406: 'Error' }
+    },
+    { method: 'get', path: '/api/architecture/compose', summary: 'Parsed docker-compose topology', responses: { 200: 'ComposeFile', 404: 'Error', 503: 'Error' } }
+  ]),
+
+  ...group('Topology', [
+    { method: 'get', path: '/api/topology', summary: 'MongoDB topology and replication lag', responses: { 200: 'Topology' } },
+    { method: 'get', path: '/api/topology/events', summary: 'Election and stepdown timeline', query: LIMIT_QUERY, responses: { 200: 'TopologyEvents' } },
+    { method: 'get', path: '/api/topology/sharding', summary: 'Shards, routers, balancer and chunks', responses: { 200: 'Sharding', 404: 'Error', 503: 'Error' } }
+  ]),
+
+  ...group('Monitoring', [
+    { method: 'get', path: '/api/probes', summary: 'Round-trip data-path probe results', responses: { 200: 'ProbeResults' } },
+    { method: 'post', path: '/api/probes/run', summary: 'Run data-path probes now', access: 'admin', responses: { 200: 'ProbeResults' } },
+    {
+      method: 'get',
+      path: '/api/stream',
+      summary: 'Live status stream (Server-Sent Events)',
+      query: { access_token: { type: 'string', description: 'Credential for EventSource clients, which cannot send headers' } },
+      responses: { 200: { contentType: 'text/event-stream', description: 'status, probes, topology, lifecycle and cluster events' } }
+    },
+    {
+      method: 'get',
+      path: '/api/history',
+      summary: 'Persisted status history with uptime buckets',
+      query: {
+        from: { type: 'string', description: 'ISO date or epoch milliseconds (default: 24h before to)' },
+        to: { type: 'string', description: 'ISO date or epoch milliseconds (default: now)' },
+        service: { type: 'string', description: 'Comma-separated services, e.g. mongodb,redis' },
+        bucket: { type: 'string', pattern: '^\\d+[mhd]$', description: 'Aggregate into buckets such as 1m, 15m, 1h or 1d' }
+      },
+      responses: { 200: 'History', 400: 'Error', 503: 'Error' }
+    },
+    { method: 'get', path: '/api/alerts', summary: 'Alert rules, firing alerts and notifier status', responses: { 200: 'Alerts' } },
+    { method: 'get', path: '/api/instances', summary: 'Live backend instances and the elected leader', responses: { 200: 'Instances' } },
+    { method: 'get', path: '/api/events', summary: 'Recent events published by every backend instance', query: LIMIT_QUERY, responses: { 200: 'ClusterEvents' } },
+    { method: 'get', path: '/metrics', summary: 'Prometheus metrics', responses: { 200: { contentType: 'text/plain', description: 'Prometheus text exposition format' } } }
+  ]),
+
+  ...group('Chaos', [
+    { method: 'get', path: '/api/chaos', summary: 'Active injected faults and audit trail', access: 'admin', query: LIMIT_QUERY, responses: { 200: 'ChaosStatus' } },
+    { method: 'post', path: '/api/chaos/faults', summary: 'Inject latency, errors or paused reconnection', access: 'admin', body: 'FaultRequest', responses: { 201: 'FaultCreated', 400: 'Error' } },
+    { method: 'delete', path: '/api/chaos/faults', summary: 'Clear every injected fault', access: 'admin', responses: { 200: 'FaultsCleared' } },
+    { method: 'delete', path: '/api/chaos/faults/:id', summary: 'Clear an injected fault', access: 'admin', responses: { 200: 'FaultCleared', 404: 'Error' } },
+    { method: 'post', path: '/api/chaos/:service/disconnect', summary: 'Force-disconnect MongoDB or Redis', access: 'admin', params: SERVICE_PARAM, responses: { 200: 'ForcedDisconnect', 400: 'Error' } }
+  ]),
+
+  ...group('Admin', [
+    { method: 'get', path: '/api/admin', summary: 'Connection targets and admin action log', access: 'admin', query: LIMIT_QUERY, responses: { 200: 'AdminStatus' } },
+    { method: 'post', path: '/api/admin/:service/reconnect', summary: 'Reconnect MongoDB or Redis', access: 'admin', params: SERVICE_PARAM, responses: { 200: 'ConnectionAction', 400: 'Error' } },
+    { method: 'post', path: '/api/admin/:service/disconnect', summary: 'Disconnect MongoDB or Redis', access: 'admin', params: SERVICE_PARAM, responses: { 200: 'ConnectionAction', 400: 'Error' } },
+    { method: 'post', path: '/api/admin/:service/reset', summary: 'Reset retry counters and close the circuit', access: 'admin', params: SERVICE_PARAM, responses: { 200: 'ConnectionAction', 400: 'Error' } },
+    { method: 'post', path: '/api/admin/:service/refresh', summary: 'Re-detect topology now', access: 'admin', params: SERVICE_PARAM, responses: { 200: 'ConnectionAction', 400: 'Error', 503: 'Error' } },
+    { method: 'put', path: '/api/admin/:service/connection', summary: 'Switch MONGO_URI / REDIS_URI at runtime', access: 'admin', params: SERVICE_PARAM, body: 'ConnectionRequest', responses: { 200: 'ConnectionAction', 400: 'Error' } },
+    { method: 'get', path: '/api/admin/log-level', summary: 'Current log level', access: 'admin', responses: { 200: 'LogLevel' } },
+    { method: 'put', path: '/api/admin/log-level', summary: 'Change the log level at runtime, optionally for a duration', access: 'admin', body: 'LogLevelRequest', responses: { 200: 'LogLevel', 400: 'Error' } }
+  ]),
+
+  ...group('Auth', [
+    { method: 'get', path: '/api/auth/config', summary: 'Enabled authentication methods', access: 'public', responses: { 200: 'AuthConfig' } },
+    { method: 'post', path: '/api/auth/login', summary: 'Log in with a local user', access: 'public', body: 'LoginRequest', responses: { 200: 'Tokens', 400: 'Error', 401: 'Error', 404: 'Error', 503: 'Error' } },
+    { method: 'post', path: '/api/auth/refresh', summary: 'Exchange a refresh token for new tokens', access: 'public', body: 'RefreshRequest', responses: { 200: 'Tokens', 400: 'Error', 401: 'Error', 404: 'Error', 503: 'Error' } },
+    { method: 'post', path: '/api/auth/logout', summary: 'Revoke the current user\'s sessions', responses: { 200: 'LoggedOut', 503: 'Error' } },
+    { method: 'get', path: '/api/auth/me', summary: 'Current principal and role', responses: { 200: 'Principal' } },
+    { method: 'get', path: '/api/auth/users', summary: 'List local users', access: 'admin', responses: { 200: 'UserList', 503: 'Error' } },
+    { method: 'post', path: '/api/auth/users', summary: 'Create a local user', access: 'admin', body: 'UserRequest', responses: { 201: 'UserResponse', 400: 'Error', 409: 'Error', 503: 'Error' } },
+    { method: 'patch', path: '/api/auth/users/:username', summary: 'Change a user\'s role or password', access: 'admin', body: 'UserUpdateRequest', responses: { 200: 'UserResponse', 400: 'Error', 404: 'Error', 503: 'Error' } },
+    { method: 'delete', path: '/api/auth/users/:username', summary: 'Delete a local user', access: 'admin', responses: { 200: 'UserDeleted', 404: 'Error', 503: 'Error' } }
+  ]),
+
+  ...group('Docs', [
+    { method: 'get', path: '/api/openapi.json', summary: 'OpenAPI document', access: 'public', responses: { 200: { contentType: 'application/json', description: 'This document' } } },
+    { method: 'get', path: '/api/docs', summary: 'Interactive API docs', access: 'public', responses: { 200: { contentType: 'text/html', description: 'Swagger UI' } } }
+  ])
+];
+
+// Compiled once: Express path -> regex for matching concrete request paths
+const matchers = routes.map(route => ({
+  route,
+  pattern: new RegExp(`^${route.path.replace(/\/$/, '').replace(/:[^/]+/g, '[^/]+')}/?$`)
+}));
+
+// Registry entry serving a request, e.g. ('POST', '/api/admin/redis/reconnect')
+const findRoute = (method, path) => {
+  const lower = method.toLowerCase();
+  const match = matchers.find(({ route, pattern }) => route.method === lower && pattern.test(path));
+  return match ? match.route : null;
+};
+
+// { path, method, description } for the architecture view
+const listEndpoints = () => routes.map(route => ({
+  path: route.path,
+  method: route.method.toUpperCase(),
+  description: route.access === 'admin' ? `${route.summary} (admin)` : route.summary
+}));
+
+// Distinct paths for the 404 handler
+const listPaths = () => [...new Set(routes.map(route => route.path))];
+
+// Paths that work without credentials when AUTH_ENABLED is set
+const listPublicPaths = () => [...new Set(routes.filter(route => route.access === 'public').map(route => route.path))];
+
+module.exports = { routes, findRoute, listEndpoints, listPaths, listPublicPaths };
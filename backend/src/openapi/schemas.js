@@ -0,0 +1,968 @@
+// Response and request body schemas (OpenAPI 3.1 / JSON Schema 2020-12).
+// Objects stay open (extra properties allowed) so additive changes don't fail validation.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { type: ['string', 'null'], format: 'date-time' };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      code: { type: 'string' },
+      requestId: { type: 'string' },
+      timestamp
+    }
+  },
+
+  // Reconnection lifecycle of one connector
+  Lifecycle: {
+    type: 'object',
+    required: ['state', 'consecutiveFailures'],
+    properties: {
+      state: { type: 'string', enum: ['idle', 'connecting', 'connected', 'degraded', 'backing-off', 'open-circuit'] },
+      since: nullableTimestamp,
+      reason: nullable('string'),
+      consecutiveFailures: { type: 'integer' },
+      totalFailures: { type: 'integer' },
+      lastError: nullable('string'),
+      nextRetryAt: nullableTimestamp,
+      pausedUntil: nullableTimestamp,
+      circuitThreshold: { type: 'integer' },
+      transitions: { type: 'array', items: { type: 'object' } }
+    }
+  },
+
+  ProbeSummary: {
+    type: ['object', 'null'],
+    properties: {
+      ok: { type: 'boolean' },
+      skipped: { type: 'boolean' },
+      failedStep: nullable('string'),
+      error: nullable('string'),
+      latency: nullable('number'),
+      timestamp
+    }
+  },
+
+  ProbeResult: {
+    type: ['object', 'null'],
+    required: ['ok', 'steps', 'timestamp'],
+    properties: {
+      ok: { type: 'boolean' },
+      skipped: { type: 'boolean' },
+      failedStep: nullable('string'),
+      error: nullable('string'),
+      latency: { type: 'number' },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['step', 'ok'],
+          properties: {
+            step: { type: 'string' },
+            // Replica set member a read-secondary step was served by
+            member: { type: 'string' },
+            ok: { type: 'boolean' },
+            skipped: { type: 'boolean' },
+            latency: { type: 'number' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      timestamp
+    }
+  },
+
+  ProbeResults: {
+    type: 'object',
+    required: ['enabled', 'interval', 'runs', 'timestamp'],
+    properties: {
+      mongodb: ref('ProbeResult'),
+      redis: ref('ProbeResult'),
+      lastRun: nullableTimestamp,
+      runs: { type: 'integer' },
+      enabled: { type: 'boolean' },
+      interval: { type: 'integer' },
+      timestamp
+    }
+  },
+
+  MongoNode: {
+    type: 'object',
+    required: ['host', 'role'],
+    properties: {
+      host: { type: 'string' },
+      role: { type: 'string' },
+      name: { type: 'string' },
+      health: { type: 'string' },
+      state: { type: 'string' },
+      lagSeconds: nullable('number')
+    }
+  },
+
+  MongoReplication: {
+    type: ['object', 'null'],
+    properties: {
+      term: nullable('number'),
+      primary: nullable('string'),
+      electionDate: nullableTimestamp,
+      maxLagSeconds: nullable('number'),
+      heartbeatIntervalMs: nullable('number'),
+      lastPolled: timestamp
+    }
+  },
+
+  RootStatus: {
+    type: 'object',
+    required: ['status', 'timestamp', 'environment', 'version'],
+    properties: {
+      status: { type: 'string' },
+      timestamp,
+      environment: { type: 'string' },
+      version: { type: 'string' }
+    }
+  },
+
+  HealthCheck: {
+    type: 'object',
+    required: ['name', 'status'],
+    properties: {
+      name: { type: 'string' },
+      required: { type: 'boolean' },
+      status: { type: 'string', enum: ['pass', 'fail', 'skipped', 'pending'] },
+      durationMs: nullable('number'),
+      error: nullable('string'),
+      type: { type: 'string' },
+      lastChecked: nullableTimestamp
+    }
+  },
+
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp', 'checks', 'details'],
+    properties: {
+      status: { type: 'string', enum: ['healthy', 'degraded'] },
+      timestamp,
+      checks: { type: 'object', additionalProperties: { type: 'string' } },
+      details: { type: 'array', items: ref('HealthCheck') }
+    }
+  },
+
+  Liveness: {
+    type: 'object',
+    required: ['status', 'uptime', 'timestamp'],
+    properties: {
+      status: { const: 'pass' },
+      uptime: { type: 'number' },
+      timestamp
+    }
+  },
+
+  Readiness: {
+    type: 'object',
+    required: ['ready', 'status', 'checks', 'timestamp'],
+    properties: {
+      ready: { type: 'boolean' },
+      status: { type: 'string', enum: ['pass', 'fail'] },
+      reason: nullable('string'),
+      checks: { type: 'array', items: ref('HealthCheck') },
+      timestamp
+    }
+  },
+
+  Startup: {
+    type: 'object',
+    required: ['started', 'status', 'timestamp'],
+    properties: {
+      started: { type: 'boolean' },
+      status: { type: 'string', enum: ['pass', 'fail'] },
+      timestamp
+    }
+  },
+
+  ServiceStatus: {
+    type: 'object',
+    required: ['connected', 'message'],
+    properties: {
+      connected: { type: 'boolean' },
+      message: nullable('string'),
+      lastChecked: nullableTimestamp,
+      connectionAttempts: { type: 'integer' },
+      lastError: nullable('string'),
+      lifecycle: ref('Lifecycle'),
+      probe: ref('ProbeSummary'),
+      architecture: { type: 'object' },
+      uri: { type: 'string' }
+    }
+  },
+
+  Status: {
+    type: 'object',
+    required: ['application', 'uptime', 'services', 'chaos', 'memory', 'timestamp'],
+    properties: {
+      application: {
+        type: 'object',
+        required: ['name', 'version', 'environment', 'status'],
+        properties: {
+          name: { type: 'string' },
+          version: { type: 'string' },
+          environment: { type: 'string' },
+          status: { type: 'string' },
+          pid: { type: 'integer' },
+          platform: { type: 'string' },
+          nodeVersion: { type: 'string' }
+        }
+      },
+      uptime: {
+        type: 'object',
+        required: ['milliseconds', 'formatted'],
+        properties: {
+          milliseconds: { type: 'integer' },
+          seconds: { type: 'integer' },
+          minutes: { type: 'integer' },
+          hours: { type: 'integer' },
+          days: { type: 'integer' },
+          formatted: { type: 'string' }
+        }
+      },
+      services: {
+        type: 'object',
+        required: ['backend', 'mongodb', 'redis'],
+        properties: {
+          backend: {
+            type: 'object',
+            properties: {
+              connected: { type: 'boolean' },
+              message: { type: 'string' },
+              status: { type: 'string' },
+              lastChecked: timestamp,
+              port: { type: ['integer', 'string'] },
+              uptime: { type: 'string' }
+            }
+          },
+          mongodb: ref('ServiceStatus'),
+          redis: ref('ServiceStatus')
+        },
+        // Extra dependency checks declared through HEALTH_CHECKS
+        additionalProperties: { type: 'object', required: ['connected', 'status'] }
+      },
+      chaos: {
+        type: 'object',
+        required: ['enabled', 'active'],
+        properties: {
+          enabled: { type: 'boolean' },
+          active: { type: 'array', items: ref('Fault') }
+        }
+      },
+      cache: ref('CacheStats'),
+      memory: { type: 'object', additionalProperties: { type: 'string' } },
+      timestamp
+    }
+  },
+
+  CacheStats: {
+    type: 'object',
+    required: ['enabled', 'active', 'hits', 'stale', 'misses', 'bypassed', 'errors'],
+    properties: {
+      enabled: { type: 'boolean' },
+      // false while Redis is unconfigured, not ready or its circuit is open (lookups bypass the cache)
+      active: { type: 'boolean' },
+      mode: nullable('string'),
+      ttl: { type: 'integer' },
+      staleTtl: { type: 'integer' },
+      hits: { type: 'integer' },
+      stale: { type: 'integer' },
+      misses: { type: 'integer' },
+      bypassed: { type: 'integer' },
+      errors: { type: 'integer' },
+      hitRatio: nullable('number'),
+      invalidations: { type: 'integer' },
+      lastError: nullable('string'),
+      namespaces: { type: 'object', additionalProperties: { type: 'object' } }
+    }
+  },
+
+  Architecture: {
+    type: 'object',
+    required: ['name', 'version', 'components', 'dataFlow'],
+    properties: {
+      name: { type: 'string' },
+      version: { type: 'string' },
+      type: { type: 'string' },
+      topology: {
+        type: 'object',
+        properties: {
+          mongodb: nullable('string'),
+          redis: nullable('string')
+        }
+      },
+      components: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'type', 'status', 'connections'],
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string' },
+            technology: { type: 'string' },
+            host: nullable('string'),
+            port: nullable('integer'),
+            version: nullable('string'),
+            role: nullable('string'),
+            // Id of the component this node belongs to (replica set member, shard, cluster node...)
+            parent: nullable('string'),
+            description: { type: 'string' },
+            status: { type: 'string', enum: ['running', 'configured', 'optional', 'down', 'declared'] },
+            connections: { type: 'array', items: { type: 'string' } },
+            endpoints: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['path', 'method'],
+                properties: {
+                  path: { type: 'string' },
+                  method: { type: 'string' },
+                  description: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      dataFlow: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['from', 'to'],
+          properties: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            protocol: { type: 'string' },
+            description: { type: 'string' }
+          }
+        }
+      },
+      // Compose services annotated with the live node each one matched
+      compose: { anyOf: [ref('ComposeFile'), { type: 'null' }] },
+      drift: { type: 'array', items: ref('Drift') },
+      deployment: { type: 'object' },
+      scaling: { type: 'object' },
+      timestamp
+    }
+  },
+
+  Drift: {
+    type: 'object',
+    required: ['service', 'severity', 'message'],
+    properties: {
+      service: nullable('string'),
+      severity: { type: 'string', enum: ['warning', 'critical'] },
+      message: { type: 'string' }
+    }
+  },
+
+  ComposeFile: {
+    type: 'object',
+    required: ['file', 'services', 'networks', 'volumes', 'dependsOn', 'expected'],
+    properties: {
+      file: { type: 'string' },
+      name: nullable('string'),
+      services: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'kind', 'ports', 'networks', 'volumes', 'dependsOn'],
+          properties: {
+            name: { type: 'string' },
+            containerName: nullable('string'),
+            image: nullable('string'),
+            build: { type: 'boolean' },
+            kind: {
+              type: 'string',
+              enum: [
+                'backend', 'frontend', 'init', 'other', 'mongod', 'mongo-member', 'mongo-shard', 'mongo-config', 'mongos',
+                'redis-server', 'redis-replica', 'redis-sentinel', 'redis-cluster-node'
+              ]
+            },
+            service: { type: ['string', 'null'], enum: ['mongodb', 'redis', null] },
+            replicaSet: nullable('string'),
+            replicas: { type: 'integer' },
+            ports: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  published: nullable('integer'),
+                  target: nullable('integer'),
+                  protocol: { type: 'string' }
+                }
+              }
+            },
+            networks: { type: 'array', items: { type: 'string' } },
+            volumes: { type: 'array', items: { type: 'string' } },
+            healthcheck: {
+              type: ['object', 'null'],
+              properties: {
+                test: { type: 'string' },
+                interval: nullable('string'),
+                timeout: nullable('string'),
+                retries: nullable('integer'),
+                startPeriod: nullable('string')
+              }
+            },
+            dependsOn: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { service: { type: 'string' }, condition: { type: 'string' } }
+              }
+            },
+            // Only in /api/architecture: the matched live component
+            component: nullable('string'),
+            matchedBy: { type: ['string', 'null'], enum: ['address', 'role', 'self', null] },
+            status: { type: 'string', enum: ['running', 'down', 'missing', 'unknown', 'one-shot'] }
+          }
+        }
+      },
+      networks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { name: { type: 'string' }, driver: { type: 'string' }, external: { type: 'boolean' } }
+        }
+      },
+      volumes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { name: { type: 'string' }, driver: { type: 'string' }, external: { type: 'boolean' } }
+        }
+      },
+      dependsOn: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { from: { type: 'string' }, to: { type: 'string' }, condition: { type: 'string' } }
+        }
+      },
+      // Topology the compose file describes
+      expected: {
+        type: 'object',
+        properties: {
+          mongodb: { type: ['object', 'null'] },
+          redis: { type: ['object', 'null'] }
+        }
+      },
+      loadedAt: timestamp
+    }
+  },
+
+  Topology: {
+    type: 'object',
+    required: ['connected', 'nodes', 'timestamp'],
+    properties: {
+      connected: { type: 'boolean' },
+      topology: nullable('string'),
+      replicaSet: nullable('string'),
+      replication: ref('MongoReplication'),
+      nodes: { type: 'array', items: ref('MongoNode') },
+      timestamp
+    }
+  },
+
+  TopologyEvents: {
+    type: 'object',
+    required: ['count', 'events', 'timestamp'],
+    properties: {
+      replicaSet: nullable('string'),
+      count: { type: 'integer' },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'timestamp'],
+          properties: {
+            type: { type: 'string' },
+            host: nullable('string'),
+            previousPrimary: nullable('string'),
+            term: nullable('number'),
+            message: { type: 'string' },
+            timestamp
+          }
+        }
+      },
+      timestamp
+    }
+  },
+
+  Sharding: {
+    type: 'object',
+    required: ['shards', 'routers', 'balancer'],
+    properties: {
+      shards: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'host', 'state'],
+          properties: {
+            name: { type: 'string' },
+            host: { type: 'string' },
+            state: { type: 'string', enum: ['active', 'inactive'] },
+            draining: { type: 'boolean' },
+            tags: { type: 'array', items: { type: 'string' } },
+            chunks: { type: 'integer' }
+          }
+        }
+      },
+      configServers: {},
+      routers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['host'],
+          properties: {
+            host: { type: 'string' },
+            version: nullable('string'),
+            lastPing: nullableTimestamp,
+            uptime: nullable('number'),
+            waiting: nullable('boolean')
+          }
+        }
+      },
+      balancer: { type: 'object' },
+      migrations: { type: 'object' },
+      collections: { type: 'array', items: { type: 'object' } },
+      timestamp
+    }
+  },
+
+  History: {
+    type: 'object',
+    required: ['from', 'to', 'services', 'interval', 'buffered', 'dropped', 'timestamp'],
+    properties: {
+      from: timestamp,
+      to: timestamp,
+      services: { type: 'array', items: { type: 'string' } },
+      bucket: nullable('string'),
+      interval: { type: 'integer' },
+      samples: { type: 'array', items: { type: 'object' } },
+      truncated: { type: 'boolean' },
+      buckets: { type: 'array', items: { type: 'object' } },
+      buffered: { type: 'integer' },
+      dropped: { type: 'integer' },
+      timestamp
+    }
+  },
+
+  Alerts: {
+    type: 'object',
+    required: ['enabled', 'rules', 'active', 'events', 'notifiers', 'timestamp'],
+    properties: {
+      enabled: { type: 'boolean' },
+      evaluationInterval: { type: 'integer' },
+      leader: { type: 'boolean' },
+      rules: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'metric', 'op', 'status'],
+          properties: {
+            name: { type: 'string' },
+            metric: { type: 'string' },
+            op: { type: 'string' },
+            value: {},
+            for: { type: 'number' },
+            cooldown: { type: 'number' },
+            severity: { type: 'string' },
+            summary: nullable('string'),
+            condition: { type: 'string' },
+            notifiers: nullable('array'),
+            status: {
+              type: 'object',
+              required: ['state'],
+              properties: {
+                state: { type: 'string' },
+                activeSince: nullableTimestamp,
+                firedAt: nullableTimestamp,
+                resolvedAt: nullableTimestamp,
+                lastNotifiedAt: nullableTimestamp,
+                suppressed: { type: 'integer' }
+              }
+            }
+          }
+        }
+      },
+      active: { type: 'array', items: { type: 'object' } },
+      events: { type: 'array', items: { type: 'object' } },
+      notifiers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            target: { type: 'string' },
+            sent: { type: 'integer' },
+            failed: { type: 'integer' },
+            lastError: nullable('string'),
+            lastSent: nullableTimestamp
+          }
+        }
+      },
+      // Current value of every metric a rule can reference
+      metrics: { type: 'object' },
+      timestamp
+    }
+  },
+
+  Instance: {
+    type: 'object',
+    required: ['id', 'startedAt', 'leader', 'health'],
+    properties: {
+      id: { type: 'string' },
+      hostname: { type: 'string' },
+      pid: {},
+      version: { type: 'string' },
+      nodeVersion: { type: 'string' },
+      port: { type: 'integer' },
+      startedAt: timestamp,
+      uptime: { type: 'integer' },
+      lastHeartbeat: timestamp,
+      leader: { type: 'boolean' },
+      // This instance's own view of its dependencies
+      health: {
+        type: 'object',
+        properties: {
+          mongodb: { type: 'object' },
+          redis: { type: 'object' }
+        }
+      }
+    }
+  },
+
+  Instances: {
+    type: 'object',
+    required: ['self', 'mode', 'isLeader', 'instances', 'timestamp'],
+    properties: {
+      self: { type: 'string' },
+      // registry: heartbeats in Redis; local: Redis unavailable or registry disabled
+      mode: { type: 'string', enum: ['registry', 'local'] },
+      leader: nullable('string'),
+      isLeader: { type: 'boolean' },
+      leaderSince: nullableTimestamp,
+      heartbeatInterval: { type: 'integer' },
+      ttl: { type: 'integer' },
+      lastHeartbeat: nullableTimestamp,
+      lastError: nullable('string'),
+      instances: { type: 'array', items: ref('Instance') },
+      timestamp
+    }
+  },
+
+  ClusterEvent: {
+    type: 'object',
+    required: ['id', 'type', 'origin', 'timestamp'],
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['connection', 'topology', 'failover', 'admin', 'leadership'] },
+      // Instance id of the publisher
+      origin: { type: 'string' },
+      service: nullable('string'),
+      message: { type: 'string' },
+      timestamp
+    }
+  },
+
+  ClusterEvents: {
+    type: 'object',
+    required: ['mode', 'events', 'timestamp'],
+    properties: {
+      // redis: Stream + pub/sub; local: in-process only
+      mode: { type: 'string', enum: ['redis', 'local'] },
+      types: { type: 'array', items: { type: 'string' } },
+      stream: { type: 'string' },
+      channel: { type: 'string' },
+      maxLength: { type: 'integer' },
+      replayLimit: { type: 'integer' },
+      subscribed: { type: 'boolean' },
+      published: { type: 'integer' },
+      received: { type: 'integer' },
+      pending: { type: 'integer' },
+      lastError: nullable('string'),
+      events: { type: 'array', items: ref('ClusterEvent') },
+      timestamp
+    }
+  },
+
+  Fault: {
+    type: 'object',
+    required: ['id', 'service', 'type', 'startedAt', 'expiresAt'],
+    properties: {
+      id: { type: 'string' },
+      service: { type: 'string', enum: ['mongodb', 'redis'] },
+      type: { type: 'string', enum: ['latency', 'errors', 'pause-reconnect'] },
+      reason: nullable('string'),
+      actor: nullable('string'),
+      startedAt: timestamp,
+      expiresAt: timestamp,
+      latencyMs: { type: 'integer' },
+      jitterMs: { type: 'integer' },
+      errorRate: { type: 'number' }
+    }
+  },
+
+  ChaosStatus: {
+    type: 'object',
+    required: ['enabled', 'active', 'audit', 'timestamp'],
+    properties: {
+      enabled: { type: 'boolean' },
+      defaultDuration: { type: 'number' },
+      maxDuration: { type: 'number' },
+      active: { type: 'array', items: ref('Fault') },
+      audit: { type: 'array', items: { type: 'object' } },
+      timestamp
+    }
+  },
+
+  FaultRequest: {
+    type: 'object',
+    required: ['service', 'type'],
+    properties: {
+      service: { type: 'string', enum: ['mongodb', 'redis'] },
+      type: { type: 'string', enum: ['latency', 'errors', 'pause-reconnect'] },
+      duration: { type: ['string', 'number'], description: 'e.g. 30s, 5m or milliseconds' },
+      latencyMs: { type: 'integer' },
+      jitterMs: { type: 'integer' },
+      errorRate: { type: 'number', minimum: 0, maximum: 1 },
+      reason: { type: 'string' }
+    }
+  },
+
+  FaultCreated: {
+    type: 'object',
+    required: ['fault', 'timestamp'],
+    properties: { fault: ref('Fault'), timestamp }
+  },
+
+  FaultCleared: {
+    type: 'object',
+    required: ['cleared', 'timestamp'],
+    properties: { cleared: ref('Fault'), timestamp }
+  },
+
+  FaultsCleared: {
+    type: 'object',
+    required: ['cleared', 'timestamp'],
+    properties: { cleared: { type: 'array', items: ref('Fault') }, timestamp }
+  },
+
+  ForcedDisconnect: {
+    type: 'object',
+    required: ['disconnected', 'timestamp'],
+    properties: {
+      disconnected: {
+        type: 'object',
+        required: ['service'],
+        properties: {
+          service: { type: 'string', enum: ['mongodb', 'redis'] },
+          reason: nullable('string')
+        }
+      },
+      timestamp
+    }
+  },
+
+  Connection: {
+    type: 'object',
+    required: ['service', 'connected', 'lifecycle'],
+    properties: {
+      service: { type: 'string', enum: ['mongodb', 'redis'] },
+      uri: nullable('string'),
+      clusterNodes: nullable('string'),
+      sentinelHosts: nullable('string'),
+      sentinelMaster: nullable('string'),
+      overridden: { type: 'boolean' },
+      connected: { type: 'boolean' },
+      message: nullable('string'),
+      lifecycle: { type: 'string' }
+    }
+  },
+
+  ConnectionRequest: {
+    type: 'object',
+    properties: {
+      uri: { type: 'string', description: 'mongodb://, mongodb+srv://, redis:// or rediss:// URI' },
+      clusterNodes: { type: 'string', description: 'Redis only: comma-separated host:port list' },
+      sentinelHosts: { type: 'string', description: 'Redis only: comma-separated host:port list' },
+      sentinelMaster: { type: 'string' }
+    }
+  },
+
+  ConnectionAction: {
+    type: 'object',
+    required: ['action', 'connection', 'timestamp'],
+    properties: {
+      action: { type: 'string' },
+      connection: ref('Connection'),
+      timestamp
+    }
+  },
+
+  LogLevel: {
+    type: 'object',
+    required: ['level', 'baseLevel', 'levels'],
+    properties: {
+      level: { type: 'string' },
+      baseLevel: { type: 'string' },
+      expiresAt: nullableTimestamp,
+      levels: { type: 'array', items: { type: 'string' } },
+      timestamp
+    }
+  },
+
+  LogLevelRequest: {
+    type: 'object',
+    required: ['level'],
+    properties: {
+      level: { type: 'string', enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] },
+      duration: { type: ['string', 'number'], description: 'Revert to the configured level after e.g. 10m' }
+    }
+  },
+
+  AdminStatus: {
+    type: 'object',
+    required: ['connections', 'logging', 'audit', 'timestamp'],
+    properties: {
+      connections: { type: 'array', items: ref('Connection') },
+      logging: ref('LogLevel'),
+      audit: { type: 'array', items: { type: 'object' } },
+      timestamp
+    }
+  },
+
+  AuthConfig: {
+    type: 'object',
+    required: ['enabled', 'methods', 'roles'],
+    properties: {
+      enabled: { type: 'boolean' },
+      methods: {
+        type: 'object',
+        properties: {
+          apiKeys: { type: 'boolean' },
+          localUsers: { type: 'boolean' },
+          jwt: { type: 'boolean' }
+        }
+      },
+      roles: { type: 'array', items: { type: 'string' } },
+      accessTokenTtl: { type: 'integer' },
+      timestamp
+    }
+  },
+
+  User: {
+    type: 'object',
+    required: ['username', 'role'],
+    properties: {
+      username: { type: 'string' },
+      role: { type: 'string', enum: ['viewer', 'admin'] },
+      lastLoginAt: nullableTimestamp,
+      createdAt: timestamp
+    }
+  },
+
+  Tokens: {
+    type: 'object',
+    required: ['accessToken', 'refreshToken', 'expiresIn', 'user'],
+    properties: {
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer' },
+      user: ref('User'),
+      timestamp
+    }
+  },
+
+  LoginRequest: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string', format: 'password' }
+    }
+  },
+
+  RefreshRequest: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: { type: 'string' }
+    }
+  },
+
+  Principal: {
+    type: 'object',
+    required: ['authenticated', 'principal'],
+    properties: {
+      authenticated: { type: 'boolean' },
+      principal: {
+        type: ['object', 'null'],
+        properties: {
+          type: { type: 'string', enum: ['user', 'api-key', 'admin-token'] },
+          name: { type: 'string' },
+          role: { type: 'string' }
+        }
+      },
+      timestamp
+    }
+  },
+
+  LoggedOut: {
+    type: 'object',
+    required: ['loggedOut', 'timestamp'],
+    properties: { loggedOut: { const: true }, timestamp }
+  },
+
+  UserList: {
+    type: 'object',
+    required: ['users', 'timestamp'],
+    properties: { users: { type: 'array', items: ref('User') }, timestamp }
+  },
+
+  UserResponse: {
+    type: 'object',
+    required: ['user', 'timestamp'],
+    properties: { user: ref('User'), timestamp }
+  },
+
+  UserDeleted: {
+    type: 'object',
+    required: ['deleted', 'timestamp'],
+    properties: { deleted: { type: 'string' }, timestamp }
+  },
+
+  UserRequest: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string', format: 'password' },
+      role: { type: 'string', enum: ['viewer', 'admin'] }
+    }
+  },
+
+  UserUpdateRequest: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', format: 'password' },
+      role: { type: 'string', enum: ['viewer', 'admin'] }
+    }
+  }
+};
+
+module.exports = { schemas, ref };
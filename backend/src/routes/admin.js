@@ -0,0 +1,66 @@
+const express = require('express');
+const admin = require('../services/admin');
+const requireAdmin = require('../middleware/requireAdmin');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const ERROR_LABELS = { 400: 'Bad Request', 503: 'Service Unavailable' };
+
+// Failures are already logged and audited by the admin service
+const sendError = (res, action, service, error) => {
+  res.status(error.statusCode || 500).json({
+    error: ERROR_LABELS[error.statusCode] || `Failed to ${action === 'configure' ? 'switch connection for' : action} ${service}`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const runAction = (action) => async (req, res) => {
+  const { service } = req.params;
+  try {
+    const connection = await admin.run(service, action, req.actor, req.body || {});
+    res.json({ action, connection, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, action, service, error);
+  }
+};
+
+// Current connection targets and recent admin actions
+router.get('/', (req, res) => {
+  res.json({
+    ...admin.getStatus(parseInt(req.query.limit) || 50),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/log-level', (req, res) => {
+  res.json({ ...admin.getLogLevel(), timestamp: new Date().toISOString() });
+});
+
+// { level, duration? }; with a duration the previous level comes back on its own
+router.put('/log-level', (req, res) => {
+  try {
+    res.json({ ...admin.setLogLevel(req.body || {}, req.actor), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'set', 'log level', error);
+  }
+});
+
+// Drop the connection and connect again with fresh retry counters
+router.post('/:service/reconnect', runAction('reconnect'));
+
+// Close the connection; it stays closed until reconnected
+router.post('/:service/disconnect', runAction('disconnect'));
+
+// Reset retry counters and close an open circuit
+router.post('/:service/reset', runAction('reset'));
+
+// Re-detect replica set / sharding or cluster / sentinel topology now
+router.post('/:service/refresh', runAction('refresh'));
+
+// Switch target and reconnect: { uri } or, for Redis, { clusterNodes } / { sentinelHosts, sentinelMaster }
+router.put('/:service/connection', runAction('configure'));
+
+module.exports = router;
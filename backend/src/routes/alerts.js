@@ -0,0 +1,24 @@
+const express = require('express');
+const alertEngine = require('../services/alerts');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Rule definitions, per-rule state, recent firings/resolutions and notifier delivery stats
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      ...alertEngine.getState(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error retrieving alerts:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve alerts',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
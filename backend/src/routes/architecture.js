@@ -1,125 +1,57 @@
 const express = require('express');
-const mongoConnection = require('../config/mongodb');
-const redisConnection = require('../config/redis');
+const architectureModel = require('../services/architecture');
+const { FORMATS } = require('../services/architectureExport');
+const composeTopology = require('../services/composeTopology');
+const cache = require('../services/cache');
+const { isRedacted } = require('../middleware/auth');
+const { redactForViewer } = require('../utils/redact');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Function to get MongoDB status
-function getMongoStatus() {
-  const mongoStatus = mongoConnection.getStatus();
-  return mongoStatus.connected ? 'running' : 'configured';
-}
+// ?format= wins; otherwise the Accept header picks JSON or one of the diagram types
+const selectFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  const accepted = req.accepts(['application/json', ...Object.values(FORMATS).map(entry => entry.contentType)]);
+  if (!accepted) return null;
+  return Object.keys(FORMATS).find(name => FORMATS[name].contentType === accepted) || 'json';
+};
 
-// Function to get Redis status
-function getRedisStatus() {
-  if (!process.env.REDIS_URI) {
-    return 'optional';
+// Components and data flow built from the live MongoDB / Redis topology
+router.get('/', async (req, res) => {
+  res.vary('Accept');
+  const format = selectFormat(req);
+
+  if (format === null) {
+    return res.status(406).json({
+      error: 'Not Acceptable',
+      message: `Supported types: application/json, ${Object.values(FORMATS).map(entry => entry.contentType).join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (format !== 'json' && !FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `format must be one of json, ${Object.keys(FORMATS).join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
   }
-  
-  const redisStatus = redisConnection.getStatus();
-  return redisStatus.connected ? 'running' : 'configured';
-}
 
-// Get architecture information
-router.get('/', (req, res) => {
   try {
-    const architecture = {
-      name: 'MERN DevOps Demo',
-      version: '2.0.0',
-      type: 'microservices',
-      components: [
-        {
-          id: 'frontend',
-          name: 'React Frontend',
-          type: 'web',
-          technology: 'React + Vite + TailwindCSS',
-          port: 3000,
-          description: 'Real-time monitoring dashboard',
-          status: 'running',
-          connections: ['backend']
-        },
-        {
-          id: 'backend',
-          name: 'Express API',
-          type: 'api',
-          technology: 'Node.js + Express',
-          port: 5000,
-          description: 'RESTful API with health monitoring',
-          status: 'running',
-          connections: ['mongodb', 'redis'],
-          endpoints: [
-            { path: '/api/', method: 'GET', description: 'Basic status' },
-            { path: '/api/health', method: 'GET', description: 'Health check' },
-            { path: '/api/status', method: 'GET', description: 'Detailed status' },
-            { path: '/api/architecture', method: 'GET', description: 'Architecture info' }
-          ]
-        },
-        {
-          id: 'mongodb',
-          name: 'MongoDB',
-          type: 'database',
-          technology: 'MongoDB 7.0',
-          port: 27017,
-          description: 'NoSQL document database',
-          status: getMongoStatus(),
-          connections: []
-        },
-        {
-          id: 'redis',
-          name: 'Redis',
-          type: 'cache',
-          technology: 'Redis 7',
-          port: 6379,
-          description: 'In-memory cache and message broker',
-          status: getRedisStatus(),
-          connections: []
-        }
-      ],
-      dataFlow: [
-        {
-          from: 'frontend',
-          to: 'backend',
-          protocol: 'HTTP/REST',
-          description: 'API requests for status and health'
-        },
-        {
-          from: 'backend',
-          to: 'mongodb',
-          protocol: 'MongoDB Wire Protocol',
-          description: 'Database queries and operations'
-        },
-        {
-          from: 'backend',
-          to: 'redis',
-          protocol: 'RESP',
-          description: 'Cache operations and pub/sub'
-        }
-      ],
-      deployment: {
-        platform: process.env.DEPLOYMENT_PLATFORM || 'Docker Compose',
-        environment: process.env.NODE_ENV || 'development',
-        containerization: 'Docker',
-        orchestration: process.env.ORCHESTRATION || 'Docker Compose',
-        networking: 'Bridge Network (devops-network)',
-        volumes: ['mongodb_data', 'redis_data']
-      },
-      scaling: {
-        frontend: {
-          type: 'horizontal',
-          instances: parseInt(process.env.FRONTEND_REPLICAS) || 1,
-          loadBalancer: process.env.LOAD_BALANCER || 'none'
-        },
-        backend: {
-          type: 'horizontal',
-          instances: parseInt(process.env.BACKEND_REPLICAS) || 1,
-          loadBalancer: process.env.LOAD_BALANCER || 'none'
-        }
-      }
-    };
+    // Cached model, shared by every instance and by all output formats; topology events clear it
+    const { value: architecture, state } = await cache.lookup('architecture', 'model', () => architectureModel.build(), {
+      tags: ['mongodb', 'redis']
+    });
+    res.set('X-Cache', state.toUpperCase());
+
+    logger.info('Architecture information requested', { format });
+    if (format === 'json') return res.json(architecture);
 
-    logger.info('Architecture information requested');
-    res.json(architecture);
+    // Diagrams bypass res.json, so viewer redaction is applied before rendering
+    const { contentType, extension, render } = FORMATS[format];
+    res.type(`${contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `inline; filename="architecture.${extension}"`);
+    res.send(render(isRedacted(req) ? redactForViewer(architecture) : architecture));
   } catch (error) {
     logger.error('Error getting architecture:', error);
     res.status(500).json({
@@ -129,4 +61,26 @@ router.get('/', (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// The mounted docker-compose file as parsed (ARCHITECTURE_COMPOSE_FILE)
+router.get('/compose', (req, res) => {
+  if (!composeTopology.isConfigured()) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'No compose file configured; set ARCHITECTURE_COMPOSE_FILE',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const compose = composeTopology.get();
+  if (!compose) {
+    return res.status(503).json({
+      error: 'Compose file unavailable',
+      message: composeTopology.getError(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json(compose);
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const authService = require('../services/auth');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const ERROR_LABELS = {
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  409: 'Conflict',
+  503: 'Service Unavailable'
+};
+
+const sendError = (res, action, error) => {
+  if (!error.statusCode) {
+    logger.error(`Error during ${action}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    error: ERROR_LABELS[error.statusCode] || `Failed to ${action}`,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Public: lets the dashboard decide whether to show the login screen
+router.get('/config', (req, res) => {
+  res.json({ ...authService.getConfig(), timestamp: new Date().toISOString() });
+});
+
+// { username, password } -> access + refresh tokens
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json({ ...(await authService.login(username, password)), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'log in', error);
+  }
+});
+
+// { refreshToken } -> new access + refresh tokens
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await authService.refresh((req.body || {}).refreshToken);
+    res.json({ ...tokens, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'refresh session', error);
+  }
+});
+
+// Revokes every refresh token of the current user
+router.post('/logout', requireRole('viewer'), async (req, res) => {
+  try {
+    await authService.logout(req.principal);
+    res.json({ loggedOut: true, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'log out', error);
+  }
+});
+
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    authenticated: !!req.principal,
+    principal: req.principal,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ users: await authService.listUsers(), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'list users', error);
+  }
+});
+
+// { username, password, role: viewer|admin }
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await authService.createUser(req.body || {});
+    logger.info(`🔐 ${req.actor} created ${user.role} user ${user.username}`);
+    res.status(201).json({ user, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'create user', error);
+  }
+});
+
+// { password?, role? }; ends the user's existing sessions
+router.patch('/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await authService.updateUser(req.params.username, req.body || {});
+    logger.info(`🔐 ${req.actor} updated user ${user.username}`);
+    res.json({ user, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'update user', error);
+  }
+});
+
+router.delete('/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    await authService.deleteUser(req.params.username);
+    logger.info(`🔐 ${req.actor} deleted user ${req.params.username}`);
+    res.json({ deleted: req.params.username, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'delete user', error);
+  }
+});
+
+module.exports = router;
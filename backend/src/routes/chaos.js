@@ -0,0 +1,76 @@
+const express = require('express');
+const chaos = require('../services/chaos');
+const requireAdmin = require('../middleware/requireAdmin');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.use((req, res, next) => {
+  if (chaos.enabled) return next();
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Fault injection is disabled; set CHAOS_ENABLED=true to enable it',
+    timestamp: new Date().toISOString()
+  });
+});
+
+const sendError = (res, action, error) => {
+  if (!error.statusCode) {
+    logger.error(`Error during chaos ${action}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode === 400 ? 'Bad Request' : `Failed to ${action}`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Active faults and audit trail
+router.get('/', (req, res) => {
+  res.json({
+    ...chaos.getStatus(parseInt(req.query.limit) || 50),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Inject a timed fault: { service, type: latency|errors|pause-reconnect, duration, latencyMs, jitterMs, errorRate, reason }
+router.post('/faults', (req, res) => {
+  try {
+    const fault = chaos.inject(req.body || {}, req.actor);
+    res.status(201).json({ fault, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'inject fault', error);
+  }
+});
+
+// Remove every active fault
+router.delete('/faults', (req, res) => {
+  res.json({ cleared: chaos.clearAll(req.actor), timestamp: new Date().toISOString() });
+});
+
+// Remove one fault before it expires
+router.delete('/faults/:id', (req, res) => {
+  const fault = chaos.clear(req.params.id, req.actor);
+  if (!fault) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No active fault with id ${req.params.id}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  res.json({ cleared: fault, timestamp: new Date().toISOString() });
+});
+
+// Drop the MongoDB or Redis connection and let reconnection take over
+router.post('/:service/disconnect', async (req, res) => {
+  try {
+    const result = await chaos.disconnect(req.params.service, req.actor, req.body && req.body.reason);
+    res.json({ disconnected: result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, 'force disconnect', error);
+  }
+});
+
+module.exports = router;
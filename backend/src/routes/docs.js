@@ -0,0 +1,19 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { buildDocument } = require('../openapi/openapi');
+
+const router = express.Router();
+
+// Sent as a string so viewer redaction never rewrites schema keys such as "host" or "version"
+router.get('/openapi.json', (req, res) => {
+  res.type('application/json').send(JSON.stringify(buildDocument()));
+});
+
+// Swagger UI; "Authorize" accepts an access token or API key for protected operations
+router.use('/docs', swaggerUi.serveFiles(null, { swaggerOptions: { url: '/api/openapi.json' } }));
+router.get('/docs', swaggerUi.setup(null, {
+  customSiteTitle: 'MERN DevOps Demo API',
+  swaggerOptions: { url: '/api/openapi.json', persistAuthorization: true }
+}));
+
+module.exports = router;
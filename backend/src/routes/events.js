@@ -0,0 +1,27 @@
+const express = require('express');
+const eventBus = require('../services/eventBus');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Recent events from every backend instance (Redis Stream, or this instance's own when Redis is down)
+router.get('/', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || eventBus.replayLimit, eventBus.maxLength);
+
+  try {
+    res.json({
+      ...eventBus.getStatus(),
+      events: await eventBus.replay(limit),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error replaying events:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve events',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const historyRecorder = require('../services/history');
+const requireConnection = require('../middleware/requireConnection');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const BUCKET_UNITS = { m: 'minute', h: 'hour', d: 'day' };
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+// "1m", "15m", "1h", "1d" -> { unit, binSize }
+const parseBucket = (bucket) => {
+  const match = /^(\d+)([mhd])$/.exec(bucket);
+  if (!match || parseInt(match[1]) < 1) return null;
+  return { unit: BUCKET_UNITS[match[2]], binSize: parseInt(match[1]) };
+};
+
+// Accepts ISO dates or epoch milliseconds
+const parseDate = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Status samples: ?from=&to=&service=mongodb,redis&bucket=1m|1h
+router.get('/', requireConnection('mongodb'), async (req, res) => {
+  const to = parseDate(req.query.to, new Date());
+  const from = parseDate(req.query.from, to ? new Date(to.getTime() - DEFAULT_RANGE_MS) : null);
+  const service = req.query.service ? String(req.query.service).split(',').filter(Boolean) : [];
+  const bucket = req.query.bucket ? parseBucket(String(req.query.bucket)) : null;
+
+  if (!from || !to || from > to) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'from and to must be valid dates with from before to',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (req.query.bucket && !bucket) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'bucket must look like 1m, 15m, 1h or 1d',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'MongoDB is not connected; samples are being buffered in memory',
+      ...historyRecorder.getBufferStats(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await historyRecorder.query({ from, to, service, bucket });
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      services: service,
+      bucket: req.query.bucket || null,
+      interval: historyRecorder.interval,
+      ...result,
+      ...historyRecorder.getBufferStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error querying status history:', error);
+    res.status(500).json({
+      error: 'Failed to query status history',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
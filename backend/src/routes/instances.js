@@ -0,0 +1,24 @@
+const express = require('express');
+const instanceRegistry = require('../services/instances');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Live backend instances, each with its own view of MongoDB / Redis health
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      ...instanceRegistry.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing instances:', error);
+    res.status(500).json({
+      error: 'Failed to list instances',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { register } = require('../services/metrics');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Prometheus scrape endpoint
+router.get('/', async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).end(`# Failed to collect metrics: ${error.message}\n`);
+  }
+});
+
+module.exports = router;
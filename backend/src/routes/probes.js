@@ -0,0 +1,34 @@
+const express = require('express');
+const probeRunner = require('../services/probes');
+const requireAdmin = require('../middleware/requireAdmin');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Latest probe results
+router.get('/', (req, res) => {
+  res.json({
+    ...probeRunner.getResults(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Run probes on demand; they write to and delete from every data store, so admins only
+router.post('/run', requireAdmin, async (req, res) => {
+  try {
+    await probeRunner.run();
+    res.json({
+      ...probeRunner.getResults(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error running probes:', error);
+    res.status(500).json({
+      error: 'Failed to run probes',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const statusStream = require('../services/statusStream');
+const { isRedacted } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Live status over Server-Sent Events
+router.get('/', (req, res) => {
+  statusStream.addClient(req, res, { redact: isRedacted(req) });
+});
+
+module.exports = router;
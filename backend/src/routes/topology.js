@@ -0,0 +1,82 @@
+const express = require('express');
+const mongoConnection = require('../config/mongodb');
+const requireConnection = require('../middleware/requireConnection');
+const cacheResponse = require('../middleware/cacheResponse');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Current MongoDB topology with per-member replication lag
+router.get('/', (req, res) => {
+  try {
+    const mongoStatus = mongoConnection.getStatus();
+
+    res.json({
+      connected: mongoStatus.connected,
+      topology: mongoStatus.topology,
+      replicaSet: mongoStatus.replicaSet,
+      replication: mongoStatus.replication,
+      nodes: mongoStatus.nodes,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting topology:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve topology',
+      message: error.message
+    });
+  }
+});
+
+// Timeline of elections, stepdowns and lost primaries (newest first)
+router.get('/events', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || undefined;
+    const events = mongoConnection.getTopologyEvents();
+
+    res.json({
+      replicaSet: mongoConnection.getStatus().replicaSet,
+      count: events.length,
+      events: limit ? events.slice(0, limit) : events,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting topology events:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve topology events',
+      message: error.message
+    });
+  }
+});
+
+// Sharding details need a mongos connection
+const requireSharded = (req, res, next) => {
+  const mongoStatus = mongoConnection.getStatus();
+
+  if (mongoStatus.topology !== 'sharded') {
+    return res.status(404).json({
+      error: 'Not Available',
+      message: `Sharding details require a mongos connection (topology: ${mongoStatus.topology || 'unknown'})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+};
+
+// Sharded cluster deep view: shards, config servers, mongos routers, balancer, chunks
+// Several config database queries per call, so responses are cached
+router.get(
+  '/sharding',
+  requireConnection('mongodb'),
+  requireSharded,
+  cacheResponse({ namespace: 'sharding', tags: ['mongodb'], load: () => mongoConnection.getShardingDetails() }),
+  (error, req, res, next) => {
+    logger.error('Error getting sharding details:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve sharding details',
+      message: error.message
+    });
+  }
+);
+
+module.exports = router;
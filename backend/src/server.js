@@ -1,32 +1,112 @@
 require('dotenv').config();
+// Must load before express, mongodb and ioredis so they can be instrumented
+const { shutdownTracing } = require('./tracing');
 const express = require('express');
 const cors = require('cors');
 const mongoConnection = require('./config/mongodb');
 const redisConnection = require('./config/redis');
 const statusRoutes = require('./routes/status');
 const architectureRoutes = require('./routes/architecture');
+const architectureModel = require('./services/architecture');
+const topologyRoutes = require('./routes/topology');
+const probeRoutes = require('./routes/probes');
+const probeRunner = require('./services/probes');
+const metricsRoutes = require('./routes/metrics');
+const streamRoutes = require('./routes/stream');
+const statusStream = require('./services/statusStream');
+const healthService = require('./services/health');
+const dependencyChecks = require('./services/dependencyChecks');
+const historyRoutes = require('./routes/history');
+const historyRecorder = require('./services/history');
+const alertRoutes = require('./routes/alerts');
+const alertEngine = require('./services/alerts');
+const instanceRoutes = require('./routes/instances');
+const instanceRegistry = require('./services/instances');
+const eventRoutes = require('./routes/events');
+const eventBus = require('./services/eventBus');
+const cache = require('./services/cache');
+const chaosRoutes = require('./routes/chaos');
+const chaos = require('./services/chaos');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const authService = require('./services/auth');
+const { authenticate, redactResponses } = require('./middleware/auth');
+const requestLogger = require('./middleware/requestLogger');
+const { rateLimit, limitRejected } = require('./middleware/rateLimit');
+const rateLimiter = require('./services/rateLimiter');
+const createResponseValidator = require('./middleware/validateResponses');
+const docsRoutes = require('./routes/docs');
+const { listPaths, listPublicPaths } = require('./openapi/registry');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer, req.ip (access logs, per-IP rate limits) comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// CORS_ORIGIN is a comma-separated allow-list; '*' allows any origin but never with credentials
+const corsOrigins = (process.env.CORS_ORIGIN || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+const allowAnyOrigin = corsOrigins.includes('*');
+if (allowAnyOrigin && process.env.NODE_ENV === 'production') {
+  logger.warn('⚠️  CORS_ORIGIN allows any origin; set it to the dashboard URL in production');
+}
+
 // Middleware
 app.use(cors({
-  origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  origin: allowAnyOrigin ? '*' : corsOrigins,
+  credentials: !allowAnyOrigin,
+  exposedHeaders: [
+    'X-Request-Id', 'X-Cache', 'Age', 'Retry-After',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+  ]
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path} - ${req.ip}`);
-  next();
-});
+// Request IDs, async request context and access logging
+app.use(requestLogger);
+
+// OpenAPI document and Swagger UI: public, and mounted ahead of viewer redaction
+app.use('/api', docsRoutes);
+
+// With AUTH_ENABLED only routes registered as public work without credentials (probes, login)
+// Requests it rejects still take a token from their IP's bucket, so credentials cannot be guessed unthrottled
+app.use(authenticate({
+  // '/api' is the root route requested without its trailing slash
+  publicPaths: ['/api', ...listPublicPaths()],
+  beforeReject: limitRejected
+}));
+// After authentication, so API keys and users get their own buckets instead of sharing one per IP
+app.use(rateLimit);
+app.use(redactResponses);
+
+// Logs responses that drift from the OpenAPI document; on by default in development
+const validateResponses = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  : (process.env.NODE_ENV || 'development') === 'development';
+if (validateResponses) {
+  app.use(createResponseValidator());
+  logger.info('📐 OpenAPI response validation enabled');
+}
 
 // Routes
 app.use('/api', statusRoutes);
 app.use('/api/architecture', architectureRoutes);
+app.use('/api/topology', topologyRoutes);
+app.use('/api/probes', probeRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/instances', instanceRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/chaos', chaosRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/metrics', metricsRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -34,12 +114,7 @@ app.use('*', (req, res) => {
     error: 'Not Found',
     message: 'The requested endpoint does not exist',
     path: req.originalUrl,
-    availableEndpoints: [
-      '/api/',
-      '/api/health',
-      '/api/status',
-      '/api/architecture'
-    ]
+    availableEndpoints: listPaths()
   });
 });
 
@@ -49,6 +124,7 @@ app.use((err, req, res, next) => {
   res.status(500).json({
     error: 'Internal Server Error',
     message: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.message,
+    requestId: req.id,
     timestamp: new Date().toISOString()
   });
 });
@@ -56,6 +132,33 @@ app.use((err, req, res, next) => {
 // Initialize connections
 const initializeConnections = async () => {
   logger.info('🚀 Initializing connections...');
+
+  // Subscribe before connecting so the first state changes are streamed
+  statusStream.start();
+
+  // Publishes connection, topology, failover and admin events to the other instances
+  eventBus.start();
+
+  // Clears cached responses on connection, topology and failover events from any instance
+  cache.start();
+
+  // Per-client request limits, in Redis once it connects and in memory until then
+  rateLimiter.start();
+
+  // Seeds the bootstrap admin once MongoDB connects (no-op unless AUTH_ENABLED=true)
+  authService.start();
+
+  // Extra dependencies declared through HEALTH_CHECKS / HEALTH_CHECKS_FILE
+  dependencyChecks.start();
+
+  // Extra components declared through ARCHITECTURE_COMPONENTS / ARCHITECTURE_COMPONENTS_FILE
+  architectureModel.loadConfig();
+
+  // Rules watch connection state from the first connect attempt
+  alertEngine.start();
+
+  // Instruments clients for fault injection (no-op unless CHAOS_ENABLED=true)
+  chaos.start();
   
   // MongoDB connection
   try {
@@ -71,24 +174,61 @@ const initializeConnections = async () => {
     logger.error('Redis initial connection failed, will retry in background');
   }
   
+  // Verify data actually flows, then keep probing on a schedule
+  probeRunner.run().catch(error => logger.error('Initial probe run failed:', error.message));
+  probeRunner.start();
+
+  // Heartbeats and leader election; history sampling and alert evaluation run on the leader only
+  instanceRegistry.start();
+
+  // Samples are buffered in memory until MongoDB is reachable
+  historyRecorder.start();
+  
+  healthService.markStartupComplete();
   logger.info('✅ Connection initialization completed');
 };
 
 // Graceful shutdown
+const drainDelay = parseInt(process.env.SHUTDOWN_DRAIN_DELAY) || 0;
+let shuttingDown = false;
+
 const gracefulShutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
   logger.info(`\n${signal} received, closing server gracefully...`);
   
+  // Fail readiness first so load balancers stop routing here
+  healthService.markShuttingDown();
+  if (drainDelay > 0) {
+    logger.info(`⏳ Draining for ${drainDelay}ms before closing server...`);
+    await new Promise(resolve => setTimeout(resolve, drainDelay));
+  }
+
+  probeRunner.stop();
+  dependencyChecks.stop();
+  historyRecorder.stop();
+  alertEngine.stop();
+  chaos.stop();
+  // Open SSE responses would keep server.close() waiting
+  statusStream.stop();
+  eventBus.stop();
+  rateLimiter.stop();
+
   // Stop accepting new connections
   server.close(async () => {
     logger.info('HTTP server closed');
     
     // Close database connections
     try {
+      await historyRecorder.flush();
+      await instanceRegistry.stop();
       await Promise.all([
         mongoConnection.disconnect(),
         redisConnection.disconnect()
       ]);
       logger.info('All connections closed');
+      await shutdownTracing();
       process.exit(0);
     } catch (error) {
       logger.error('Error during graceful shutdown:', error);
@@ -0,0 +1,195 @@
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const eventBus = require('./eventBus');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+const { detachContext } = require('../utils/requestContext');
+
+const SERVICES = ['mongodb', 'redis'];
+const ACTIONS = ['reconnect', 'disconnect', 'reset', 'refresh', 'configure'];
+const LOG_LEVELS = Object.keys(logger.levels);
+
+const connectors = { mongodb: mongoConnection, redis: redisConnection };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Hide credentials before a URI is logged or returned
+const redactUri = (uri) => (uri ? uri.replace(/\/\/[^@/]*@/, '//***@') : uri);
+
+// Operator controls for the MongoDB and Redis connections
+class ConnectionAdmin {
+  constructor() {
+    this.reconnectTimeout = parseDuration(process.env.ADMIN_RECONNECT_TIMEOUT, 10000) || 10000;
+    this.maxAudit = parseInt(process.env.ADMIN_AUDIT_MAX) || 200;
+    this.audit = [];
+    this.maxLogLevelDuration = parseDuration(process.env.ADMIN_LOG_LEVEL_MAX_DURATION, 86400000) || 86400000;
+    this.baseLogLevel = logger.level;
+    this.logLevelTimer = null;
+    this.logLevelExpiresAt = null;
+  }
+
+  async run(service, action, actor, params = {}) {
+    if (!SERVICES.includes(service)) throw badRequest(`service must be one of ${SERVICES.join(', ')}`);
+    if (!ACTIONS.includes(action)) throw badRequest(`action must be one of ${ACTIONS.join(', ')}`);
+
+    const connector = connectors[service];
+    const details = { service };
+
+    try {
+      if (action === 'reconnect') {
+        await this.reconnect(service);
+      } else if (action === 'disconnect') {
+        await connector.disconnect();
+      } else if (action === 'reset') {
+        connector.resetRetries();
+      } else if (action === 'refresh') {
+        await this.refresh(service);
+      } else {
+        Object.assign(details, this.configure(service, params));
+        await this.reconnect(service);
+      }
+    } catch (error) {
+      this.record(action, actor, { ...details, ok: false, error: error.message });
+      logger.warn(`🛠️  Admin ${action} on ${service} by ${actor} failed: ${error.message}`);
+      throw error;
+    }
+
+    this.record(action, actor, { ...details, ok: true });
+    logger.info(`🛠️  Admin ${action} on ${service} by ${actor}`);
+    return this.getConnection(service);
+  }
+
+  async reconnect(service) {
+    if (service === 'mongodb') {
+      await mongoConnection.reconnect();
+    } else {
+      await redisConnection.reconnect(this.reconnectTimeout);
+    }
+  }
+
+  // Topology can only be re-read over a live connection
+  async refresh(service) {
+    try {
+      await connectors[service].refreshTopology();
+    } catch (error) {
+      if (!connectors[service].status.connected) error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  // Validated before the current connection is dropped
+  configure(service, { uri, clusterNodes, sentinelHosts, sentinelMaster }) {
+    try {
+      if (service === 'mongodb') {
+        mongoConnection.setUri(uri);
+        return { uri: redactUri(uri) };
+      }
+      redisConnection.setConfig({ uri, clusterNodes, sentinelHosts, sentinelMaster });
+      return { uri: redactUri(uri), clusterNodes, sentinelHosts, sentinelMaster };
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+  }
+
+  getConnection(service) {
+    if (service === 'mongodb') {
+      return {
+        service,
+        uri: redactUri(mongoConnection.getUri()),
+        overridden: !!mongoConnection.uriOverride,
+        connected: mongoConnection.status.connected,
+        message: mongoConnection.status.message,
+        lifecycle: mongoConnection.lifecycle.state
+      };
+    }
+
+    const config = redisConnection.getConfig();
+    return {
+      service,
+      uri: redactUri(config.uri) || null,
+      clusterNodes: config.clusterNodes || null,
+      sentinelHosts: config.sentinelHosts || null,
+      sentinelMaster: config.sentinelHosts ? config.sentinelMaster : null,
+      overridden: !!redisConnection.overrides,
+      connected: redisConnection.status.connected,
+      message: redisConnection.status.message,
+      lifecycle: redisConnection.lifecycle.state
+    };
+  }
+
+  // Optional duration reverts to the configured level, e.g. debug for 10m while investigating
+  setLogLevel({ level, duration }, actor) {
+    if (!LOG_LEVELS.includes(level)) throw badRequest(`level must be one of ${LOG_LEVELS.join(', ')}`);
+
+    const durationMs = duration === undefined || duration === null ? null : parseDuration(duration, null);
+    if (durationMs !== null && !(durationMs > 0 && durationMs <= this.maxLogLevelDuration)) {
+      throw badRequest(`duration must be a positive duration up to ${this.maxLogLevelDuration / 1000}s`);
+    }
+
+    clearTimeout(this.logLevelTimer);
+    this.logLevelTimer = null;
+    this.logLevelExpiresAt = null;
+
+    const previous = logger.level;
+    logger.level = level;
+
+    if (durationMs) {
+      const revertTo = this.baseLogLevel;
+      this.logLevelExpiresAt = new Date(Date.now() + durationMs).toISOString();
+      this.logLevelTimer = detachContext(() => setTimeout(() => {
+        logger.level = revertTo;
+        this.logLevelTimer = null;
+        this.logLevelExpiresAt = null;
+        this.record('log-level', 'system', { from: level, to: revertTo, ok: true });
+        logger.info(`🛠️  Log level reverted to ${revertTo}`);
+      }, durationMs));
+      this.logLevelTimer.unref();
+    } else {
+      this.baseLogLevel = level;
+    }
+
+    this.record('log-level', actor, { from: previous, to: level, expiresAt: this.logLevelExpiresAt, ok: true });
+    logger.warn(`🛠️  Log level changed from ${previous} to ${level} by ${actor}${durationMs ? ` for ${durationMs / 1000}s` : ''}`);
+    return this.getLogLevel();
+  }
+
+  getLogLevel() {
+    return {
+      level: logger.level,
+      baseLevel: this.baseLogLevel,
+      expiresAt: this.logLevelExpiresAt,
+      levels: LOG_LEVELS
+    };
+  }
+
+  record(action, actor, details) {
+    this.audit.unshift({ action, actor, ...details, timestamp: new Date().toISOString() });
+    if (this.audit.length > this.maxAudit) this.audit.length = this.maxAudit;
+
+    // Other instances' dashboards see the action too
+    eventBus.publish('admin', {
+      source: 'admin',
+      action,
+      actor,
+      service: details.service || null,
+      message: action === 'log-level'
+        ? `${actor} set the log level to ${details.to}`
+        : `${actor} ran ${action} on ${details.service}${details.ok === false ? ' (failed)' : ''}`,
+      details
+    });
+  }
+
+  getStatus(auditLimit = 50) {
+    return {
+      connections: SERVICES.map(service => this.getConnection(service)),
+      logging: this.getLogLevel(),
+      audit: this.audit.slice(0, auditLimit)
+    };
+  }
+}
+
+module.exports = new ConnectionAdmin();
@@ -0,0 +1,450 @@
+const fs = require('fs');
+const os = require('os');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const probeRunner = require('./probes');
+const dependencyChecks = require('./dependencyChecks');
+const instanceRegistry = require('./instances');
+const metrics = require('./metrics');
+const { createNotifiers } = require('./notifiers');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+const { withTimeout } = require('../utils/timeout');
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+// Rule state fields shared through Redis; value is re-read by whichever instance evaluates
+const SHARED_FIELDS = ['state', 'activeSince', 'firedAt', 'resolvedAt', 'lastNotifiedAt', 'notified', 'suppressed'];
+// Shared states outlive a leader change, not a whole deployment being down for a day
+const SHARED_STATE_TTL = 24 * 60 * 60 * 1000;
+const REDIS_TIMEOUT = 1000;
+
+const initialState = () => ({
+  state: 'inactive',
+  value: null,
+  activeSince: null,
+  firedAt: null,
+  resolvedAt: null,
+  lastNotifiedAt: null,
+  notified: false,
+  suppressed: 0
+});
+
+// Shipped rules; a configured rule with the same name replaces one of these
+const DEFAULT_RULES = [
+  { name: 'mongodb-disconnected', metric: 'mongodb.connected', op: '==', value: false, for: '30s', severity: 'critical', summary: 'MongoDB has been disconnected for more than 30s' },
+  { name: 'mongodb-replication-lag', metric: 'mongodb.replication.maxLagSeconds', op: '>', value: 10, severity: 'warning', summary: 'A replica set secondary is more than 10s behind the primary' },
+  { name: 'mongodb-probe-failing', metric: 'probe.mongodb.ok', op: '==', value: false, for: '1m', severity: 'critical', summary: 'MongoDB write/read round trips are failing' },
+  { name: 'redis-disconnected', metric: 'redis.connected', op: '==', value: false, for: '30s', severity: 'critical', summary: 'Redis has been disconnected for more than 30s' },
+  { name: 'redis-ping-p95', metric: 'redis.ping.p95', op: '>', value: 50, severity: 'warning', summary: 'Redis PING p95 latency is above 50ms' },
+  { name: 'redis-probe-failing', metric: 'probe.redis.ok', op: '==', value: false, for: '1m', severity: 'critical', summary: 'Redis SET/GET/DEL round trips are failing' }
+];
+
+const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+// Webhook URLs carry their credentials in the path
+const redactTarget = (target) => {
+  try {
+    return new URL(target).host;
+  } catch (error) {
+    return target;
+  }
+};
+
+class AlertEngine {
+  constructor() {
+    this.enabled = process.env.ALERT_ENABLED !== 'false';
+    this.evaluationInterval = parseInt(process.env.ALERT_EVALUATION_INTERVAL) || 10000;
+    this.defaultCooldown = parseDuration(process.env.ALERT_DEFAULT_COOLDOWN, 300000) || 300000;
+    this.maxEvents = parseInt(process.env.ALERT_MAX_EVENTS) || 100;
+    this.pingWindow = parseInt(process.env.ALERT_PING_WINDOW) || 60;
+    this.instance = `${os.hostname()}:${process.pid}`;
+    // The leader keeps rule states here, so the next leader neither re-fires nor forgets to resolve
+    this.stateKey = `{${process.env.ALERT_KEY_PREFIX || 'mern-devops'}}:alerts:state`;
+
+    this.rules = new Map();
+    this.states = new Map();
+    this.events = [];
+    this.notifiers = [];
+    this.notifierStats = new Map();
+    this.pingSamples = [];
+    this.timer = null;
+    this.restoring = null;
+    this.evaluateNow = () => this.evaluate();
+    this.onLeadership = (leader) => this.changeLeadership(leader);
+  }
+
+  // ALERT_RULES holds a JSON array; ALERT_RULES_FILE points to a JSON file with the same shape
+  loadRules() {
+    let definitions = process.env.ALERT_DEFAULT_RULES === 'false' ? [] : [...DEFAULT_RULES];
+
+    try {
+      let configured = [];
+      if (process.env.ALERT_RULES_FILE) {
+        configured = configured.concat(JSON.parse(fs.readFileSync(process.env.ALERT_RULES_FILE, 'utf8')));
+      }
+      if (process.env.ALERT_RULES) {
+        configured = configured.concat(JSON.parse(process.env.ALERT_RULES));
+      }
+
+      const names = new Set(configured.map(rule => rule.name));
+      definitions = definitions.filter(rule => !names.has(rule.name)).concat(configured);
+    } catch (error) {
+      logger.error('❌ Invalid alert rule configuration:', error.message);
+    }
+
+    for (const definition of definitions) {
+      if (definition.enabled === false) continue;
+      this.register(definition);
+    }
+  }
+
+  register(definition) {
+    const problems = [];
+    const forMs = parseDuration(definition.for, 0);
+    const cooldownMs = parseDuration(definition.cooldown, this.defaultCooldown);
+
+    if (!definition.name) problems.push('missing name');
+    if (this.rules.has(definition.name)) problems.push(`duplicate name "${definition.name}"`);
+    if (!definition.metric) problems.push('missing metric');
+    if (!OPERATORS[definition.op]) problems.push(`unknown operator "${definition.op}"`);
+    if (definition.value === undefined) problems.push('missing value');
+    if (forMs === null) problems.push(`invalid for "${definition.for}"`);
+    if (cooldownMs === null) problems.push(`invalid cooldown "${definition.cooldown}"`);
+    if (definition.severity && !SEVERITIES.includes(definition.severity)) problems.push(`unknown severity "${definition.severity}"`);
+
+    if (problems.length > 0) {
+      logger.error(`❌ Skipping alert rule ${definition.name || '(unnamed)'}: ${problems.join(', ')}`);
+      return;
+    }
+
+    const rule = {
+      name: definition.name,
+      metric: definition.metric,
+      op: definition.op,
+      value: definition.value,
+      forMs,
+      cooldownMs,
+      severity: definition.severity || 'warning',
+      summary: definition.summary || `${definition.metric} ${definition.op} ${definition.value}`,
+      notifiers: definition.notifiers || null
+    };
+    rule.condition = `${rule.metric} ${rule.op} ${JSON.stringify(rule.value)}${forMs ? ` for ${forMs / 1000}s` : ''}`;
+
+    this.rules.set(rule.name, rule);
+    this.states.set(rule.name, initialState());
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.loadRules();
+    this.notifiers = createNotifiers();
+    for (const notifier of this.notifiers) {
+      this.notifierStats.set(notifier.name, { sent: 0, failed: 0, lastError: null, lastSent: null });
+    }
+
+    // Connection and probe changes are evaluated immediately; the timer handles "for" windows
+    mongoConnection.on('status', this.evaluateNow);
+    redisConnection.on('status', this.evaluateNow);
+    probeRunner.on('results', this.evaluateNow);
+    instanceRegistry.on('leadership', this.onLeadership);
+    if (instanceRegistry.isLeader()) this.changeLeadership(true);
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Alert evaluation failed:', error.message));
+    }, this.evaluationInterval);
+
+    const notifierNames = this.notifiers.map(notifier => notifier.name).join(', ') || 'none (log only)';
+    logger.info(`🚨 Alerting on ${this.rules.size} rule(s), notifiers: ${notifierNames}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    mongoConnection.off('status', this.evaluateNow);
+    redisConnection.off('status', this.evaluateNow);
+    probeRunner.off('results', this.evaluateNow);
+    instanceRegistry.off('leadership', this.onLeadership);
+  }
+
+  getClient() {
+    const client = redisConnection.client;
+    if (!client || client.status !== 'ready' || redisConnection.lifecycle.isOpen()) return null;
+    return client;
+  }
+
+  // A former leader forgets its rule states (the new leader fires and resolves them from now on);
+  // a new leader carries on from the shared ones
+  changeLeadership(leader) {
+    if (!leader) {
+      for (const name of this.states.keys()) this.states.set(name, initialState());
+      return;
+    }
+
+    this.restoring = this.restoreStates()
+      .catch(error => logger.warn(`⚠️  Could not restore alert states, starting fresh: ${error.message}`))
+      .finally(() => {
+        this.restoring = null;
+        this.evaluate();
+      });
+  }
+
+  async restoreStates() {
+    for (const name of this.states.keys()) this.states.set(name, initialState());
+
+    const client = this.getClient();
+    if (!client) return;
+
+    const shared = await withTimeout(client.hgetall(this.stateKey), REDIS_TIMEOUT);
+    let restored = 0;
+    for (const [name, raw] of Object.entries(shared)) {
+      const state = this.states.get(name);
+      if (!state) continue;
+
+      Object.assign(state, JSON.parse(raw));
+      // A "for" window has to be observed by the instance that fires, so pending rules start over
+      if (state.state === 'pending') {
+        state.state = 'inactive';
+        state.activeSince = null;
+      }
+      restored++;
+    }
+    if (restored > 0) logger.info(`🚨 Restored ${restored} alert rule state(s) from the previous leader`);
+  }
+
+  // Called after each evaluation by the leader
+  saveStates() {
+    const client = this.getClient();
+    if (!client || this.states.size === 0) return;
+
+    const shared = {};
+    for (const [name, state] of this.states) {
+      shared[name] = JSON.stringify(Object.fromEntries(SHARED_FIELDS.map(field => [field, state[field]])));
+    }
+    withTimeout(client.multi().hset(this.stateKey, shared).pexpire(this.stateKey, SHARED_STATE_TTL).exec(), REDIS_TIMEOUT)
+      .catch(error => logger.debug(`Alert states not shared: ${error.message}`));
+  }
+
+  async tick() {
+    await this.samplePing();
+    this.evaluate();
+  }
+
+  // Rolling window of PING latencies for the redis.ping.* metrics
+  async samplePing() {
+    if (!redisConnection.getStatus().connected) return;
+
+    const started = Date.now();
+    const ok = await redisConnection.ping();
+    const latency = Date.now() - started;
+    metrics.recordRedisPing(latency, ok);
+
+    if (ok) {
+      this.pingSamples.push(latency);
+      if (this.pingSamples.length > this.pingWindow) this.pingSamples.shift();
+    }
+  }
+
+  // Current value of every metric a rule can reference
+  getMetrics() {
+    const mongoStatus = mongoConnection.getStatus();
+    const redisStatus = redisConnection.getStatus();
+    const probes = probeRunner.getResults();
+
+    const values = {
+      'mongodb.connected': mongoStatus.connected,
+      'mongodb.replication.maxLagSeconds': mongoStatus.replication ? mongoStatus.replication.maxLagSeconds : null,
+      'mongodb.connectionAttempts': mongoStatus.connectionAttempts,
+      'redis.connected': redisConnection.isConfigured() ? redisStatus.connected : null,
+      'redis.connectionAttempts': redisStatus.connectionAttempts,
+      'redis.ping.p50': percentile(this.pingSamples, 50),
+      'redis.ping.p95': percentile(this.pingSamples, 95),
+      'redis.ping.max': this.pingSamples.length > 0 ? Math.max(...this.pingSamples) : null
+    };
+
+    for (const service of ['mongodb', 'redis']) {
+      const result = probes[service];
+      const active = result && !result.skipped;
+      values[`probe.${service}.ok`] = active ? result.ok : null;
+      values[`probe.${service}.latency`] = active && result.latency !== undefined ? result.latency : null;
+    }
+
+    for (const result of dependencyChecks.getResults()) {
+      values[`check.${result.name}.up`] = result.status === 'pending' ? null : result.status === 'pass';
+      values[`check.${result.name}.latency`] = result.durationMs;
+    }
+
+    return values;
+  }
+
+  evaluate() {
+    // Followers leave evaluation (and notifications) to the leader instance, which waits for the shared states
+    if (!instanceRegistry.isLeader() || this.restoring) return;
+
+    const values = this.getMetrics();
+    const now = Date.now();
+
+    for (const rule of this.rules.values()) {
+      const state = this.states.get(rule.name);
+      const value = values[rule.metric];
+      // Metrics without a value (service not configured, no samples yet) never match
+      const matches = value !== null && value !== undefined && OPERATORS[rule.op](value, rule.value);
+
+      state.value = value === undefined ? null : value;
+
+      if (matches) {
+        if (state.state === 'inactive') {
+          state.state = 'pending';
+          state.activeSince = now;
+        }
+        if (state.state === 'pending' && now - state.activeSince >= rule.forMs) {
+          this.fire(rule, state, now);
+        }
+      } else if (state.state === 'firing') {
+        this.resolve(rule, state, now);
+      } else if (state.state === 'pending') {
+        state.state = 'inactive';
+        state.activeSince = null;
+      }
+    }
+
+    this.saveStates();
+  }
+
+  fire(rule, state, now) {
+    state.state = 'firing';
+    state.firedAt = now;
+
+    // Cooldown stops a flapping rule from paging on every transition
+    if (state.lastNotifiedAt && now - state.lastNotifiedAt < rule.cooldownMs) {
+      state.notified = false;
+      state.suppressed++;
+      logger.warn(`🚨 Alert ${rule.name} firing (notification suppressed by cooldown): ${rule.summary}`);
+    } else {
+      state.notified = true;
+      state.lastNotifiedAt = now;
+      logger.warn(`🚨 Alert ${rule.name} firing: ${rule.summary}`);
+    }
+
+    this.record(rule, state, 'firing', now);
+  }
+
+  resolve(rule, state, now) {
+    state.state = 'inactive';
+    state.resolvedAt = now;
+    logger.info(`✅ Alert ${rule.name} resolved`);
+
+    this.record(rule, state, 'resolved', now);
+    state.activeSince = null;
+    state.notified = false;
+  }
+
+  record(rule, state, type, now) {
+    const alert = {
+      rule: rule.name,
+      state: type,
+      severity: rule.severity,
+      summary: rule.summary,
+      metric: rule.metric,
+      value: state.value,
+      condition: rule.condition,
+      since: new Date(state.activeSince).toISOString(),
+      instance: this.instance,
+      // false without a Redis-elected leader; while Redis is unreachable every instance evaluates,
+      // so the same alert may arrive once per instance
+      elected: instanceRegistry.mode === 'registry',
+      timestamp: new Date(now).toISOString()
+    };
+
+    // Resolutions are only sent for firings that were sent
+    const targets = state.notified ? this.getNotifiers(rule) : [];
+    this.events.unshift({ ...alert, notified: targets.map(notifier => notifier.name) });
+    if (this.events.length > this.maxEvents) this.events.length = this.maxEvents;
+
+    for (const notifier of targets) {
+      this.deliver(notifier, alert);
+    }
+  }
+
+  getNotifiers(rule) {
+    return rule.notifiers
+      ? this.notifiers.filter(notifier => rule.notifiers.includes(notifier.name))
+      : this.notifiers;
+  }
+
+  async deliver(notifier, alert) {
+    const stats = this.notifierStats.get(notifier.name);
+    try {
+      await notifier.send(alert);
+      stats.sent++;
+      stats.lastSent = new Date().toISOString();
+    } catch (error) {
+      stats.failed++;
+      stats.lastError = error.message;
+      logger.error(`❌ Failed to send ${alert.rule} alert via ${notifier.name}:`, error.message);
+    }
+  }
+
+  getState() {
+    const toISO = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+    const rules = [...this.rules.values()].map(rule => {
+      const state = this.states.get(rule.name);
+      return {
+        name: rule.name,
+        metric: rule.metric,
+        op: rule.op,
+        value: rule.value,
+        for: rule.forMs / 1000,
+        cooldown: rule.cooldownMs / 1000,
+        severity: rule.severity,
+        summary: rule.summary,
+        condition: rule.condition,
+        notifiers: rule.notifiers,
+        status: {
+          state: state.state,
+          value: state.value,
+          activeSince: toISO(state.activeSince),
+          firedAt: toISO(state.firedAt),
+          resolvedAt: toISO(state.resolvedAt),
+          lastNotifiedAt: toISO(state.lastNotifiedAt),
+          suppressed: state.suppressed
+        }
+      };
+    });
+
+    return {
+      enabled: this.enabled,
+      evaluationInterval: this.evaluationInterval,
+      // Only the leader evaluates; a follower's rule states are not updated
+      leader: instanceRegistry.isLeader(),
+      rules,
+      active: rules.filter(rule => rule.status.state === 'firing'),
+      events: this.events,
+      notifiers: this.notifiers.map(notifier => ({
+        name: notifier.name,
+        target: redactTarget(notifier.target),
+        ...this.notifierStats.get(notifier.name)
+      })),
+      metrics: this.getMetrics()
+    };
+  }
+}
+
+module.exports = new AlertEngine();
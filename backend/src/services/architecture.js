@@ -0,0 +1,749 @@
+const fs = require('fs');
+const os = require('os');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const dependencyChecks = require('./dependencyChecks');
+const composeTopology = require('./composeTopology');
+const instanceRegistry = require('./instances');
+const { listEndpoints } = require('../openapi/registry');
+const logger = require('../utils/logger');
+
+// Ids used by generated components; declared components may not reuse them
+const RESERVED_IDS = ['frontend', 'backend', 'mongodb', 'redis'];
+
+// Protocol shown on the data flow for each extra check type
+const CHECK_PROTOCOLS = {
+  http: 'HTTP',
+  tcp: 'TCP',
+  dns: 'DNS',
+  custom: 'Custom'
+};
+
+// "host:port" -> { host, port }; IPv6 hosts keep their colons
+const splitAddress = (address) => {
+  if (!address) return { host: null, port: null };
+  const separator = address.lastIndexOf(':');
+  if (separator < 0) return { host: address, port: null };
+  return { host: address.slice(0, separator), port: parseInt(address.slice(separator + 1)) || null };
+};
+
+const component = (fields) => ({
+  host: null,
+  port: null,
+  version: null,
+  role: null,
+  parent: null,
+  connections: [],
+  ...fields
+});
+
+const flow = (from, to, protocol, description) => ({ from, to, protocol, description });
+
+// Routers stop pinging the config servers when they go away
+const ROUTER_STALE_MS = 60000;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Compose service kind -> the live nodes it can stand for
+const COMPOSE_KINDS = {
+  'mongo-member': entry => entry.type === 'database-node',
+  mongod: entry => entry.type === 'database-node',
+  mongos: entry => entry.type === 'router',
+  // Shard members only match through their shard's member list
+  'mongo-shard': () => false,
+  'mongo-config': entry => entry.type === 'config-server',
+  'redis-server': entry => ['master', 'standalone'].includes(entry.role) || entry.id === 'redis/server',
+  'redis-replica': entry => entry.role === 'replica',
+  'redis-sentinel': entry => entry.role === 'sentinel',
+  'redis-cluster-node': entry => entry.type === 'cache-node'
+};
+
+const MONGO_TOPOLOGIES = { replicaSet: 'replica set', sharded: 'sharded cluster', standalone: 'standalone server' };
+
+const plural = (amount, noun) => `${amount} ${noun}${amount === 1 ? '' : 's'}`;
+
+class ArchitectureModel {
+  constructor() {
+    this.declared = { components: [], dataFlow: [] };
+  }
+
+  // ARCHITECTURE_COMPONENTS holds JSON; ARCHITECTURE_COMPONENTS_FILE points to a JSON file.
+  // Either an array of components or { components, dataFlow }. Also (re)loads ARCHITECTURE_COMPOSE_FILE.
+  loadConfig() {
+    composeTopology.loadConfig();
+    this.declared = { components: [], dataFlow: [] };
+    let definitions = [];
+
+    try {
+      if (process.env.ARCHITECTURE_COMPONENTS_FILE) {
+        definitions = definitions.concat(JSON.parse(fs.readFileSync(process.env.ARCHITECTURE_COMPONENTS_FILE, 'utf8')));
+      }
+      if (process.env.ARCHITECTURE_COMPONENTS) {
+        definitions = definitions.concat(JSON.parse(process.env.ARCHITECTURE_COMPONENTS));
+      }
+    } catch (error) {
+      logger.error('❌ Invalid architecture component configuration:', error.message);
+      return;
+    }
+
+    const components = [];
+    const dataFlow = [];
+
+    for (const definition of definitions) {
+      if (Array.isArray(definition.components) || Array.isArray(definition.dataFlow)) {
+        components.push(...(definition.components || []));
+        dataFlow.push(...(definition.dataFlow || []));
+      } else {
+        components.push(definition);
+      }
+    }
+
+    const ids = new Set();
+    for (const definition of components) {
+      const problems = [];
+      if (!definition.id) problems.push('missing id');
+      if (RESERVED_IDS.includes(definition.id)) problems.push(`id "${definition.id}" is reserved`);
+      if (ids.has(definition.id)) problems.push(`duplicate id "${definition.id}"`);
+
+      if (problems.length > 0) {
+        logger.error(`❌ Skipping architecture component ${definition.id || '(unnamed)'}: ${problems.join(', ')}`);
+        continue;
+      }
+
+      ids.add(definition.id);
+      this.declared.components.push(component({
+        name: definition.id,
+        type: 'external',
+        technology: 'Declared',
+        description: '',
+        ...definition,
+        port: parseInt(definition.port) || null,
+        connections: [].concat(definition.connections || []),
+        status: 'declared',
+        declared: true
+      }));
+
+      for (const target of [].concat(definition.connections || [])) {
+        dataFlow.push({ from: definition.id, to: target, protocol: definition.protocol });
+      }
+    }
+
+    this.declared.dataFlow = dataFlow
+      .filter(entry => entry && entry.from && entry.to)
+      .map(entry => flow(entry.from, entry.to, entry.protocol || 'TCP', entry.description || `${entry.from} to ${entry.to}`));
+
+    if (this.declared.components.length > 0) {
+      logger.info(`🏗️  Declared ${this.declared.components.length} extra architecture component(s)`);
+    }
+  }
+
+  // ===== MongoDB =====
+
+  buildMongo() {
+    const status = mongoConnection.getStatus();
+    const server = status.server || {};
+    const address = splitAddress(server.address);
+    const components = [];
+    const dataFlow = [];
+
+    const topologyLabel = {
+      replicaSet: `replica set ${status.replicaSet}`,
+      sharded: 'sharded cluster',
+      standalone: 'standalone'
+    }[status.topology] || 'topology unknown';
+
+    const root = component({
+      id: 'mongodb',
+      name: 'MongoDB',
+      type: 'database',
+      technology: 'MongoDB',
+      host: address.host,
+      port: address.port,
+      version: server.version || null,
+      description: `NoSQL document database (${topologyLabel})`,
+      status: status.connected ? 'running' : 'configured',
+      topology: status.topology,
+      replicaSet: status.replicaSet
+    });
+    components.push(root);
+
+    if (status.topology === 'replicaSet') {
+      // Ids stay free of addresses so viewer redaction (which masks host fields) hides them
+      const memberIds = new Map(status.nodes.map((node, index) => [node.host, `mongodb/member-${index}`]));
+      for (const node of status.nodes) {
+        const id = memberIds.get(node.host);
+        const syncSource = node.syncSource ? memberIds.get(node.syncSource) : null;
+        components.push(component({
+          id,
+          name: node.host,
+          type: 'database-node',
+          technology: 'mongod',
+          ...splitAddress(node.host),
+          // buildInfo only reaches the member we are connected to
+          version: node.host === server.address ? server.version : null,
+          role: node.role,
+          parent: 'mongodb',
+          description: `${node.state} in ${status.replicaSet}${node.lagSeconds ? `, ${node.lagSeconds}s behind` : ''}`,
+          status: node.health === 'healthy' ? 'running' : 'down',
+          connections: syncSource ? [syncSource] : []
+        }));
+        if (syncSource) {
+          dataFlow.push(flow(syncSource, id, 'Replication', `Oplog replication to ${node.host}`));
+        }
+      }
+    } else if (status.topology === 'sharded') {
+      const routerIds = [];
+      status.routers.forEach((router, index) => {
+        const id = `mongodb/mongos-${index}`;
+        const fresh = router.lastPing && Date.now() - Date.parse(router.lastPing) < ROUTER_STALE_MS;
+        routerIds.push(id);
+        components.push(component({
+          id,
+          name: router.host,
+          type: 'router',
+          technology: 'mongos',
+          ...splitAddress(router.host),
+          version: router.version,
+          role: 'mongos',
+          parent: 'mongodb',
+          description: `Query router${router.host === server.address ? ' (this connection)' : ''}`,
+          status: fresh ? 'running' : 'down'
+        }));
+      });
+
+      const shardIds = status.nodes.map(shard => `mongodb/shard-${shard.name}`);
+      const configMembers = status.configServers ? status.configServers.members : [];
+      const configIds = configMembers.map((member, index) => `mongodb/config-${index}`);
+
+      for (const routerId of routerIds) {
+        const router = components.find(entry => entry.id === routerId);
+        router.connections = [...shardIds, ...configIds];
+        dataFlow.push(...shardIds.map(shardId => flow(routerId, shardId, 'MongoDB Wire Protocol', 'Routed queries')));
+      }
+
+      for (const shard of status.nodes) {
+        components.push(component({
+          id: `mongodb/shard-${shard.name}`,
+          name: shard.name,
+          type: 'shard',
+          technology: 'mongod',
+          ...splitAddress(shard.members[0]),
+          role: 'shard',
+          parent: 'mongodb',
+          description: `Shard ${shard.replicaSet ? `replica set ${shard.replicaSet}` : 'server'}: ${shard.members.join(', ')}`,
+          status: shard.state === 'active' ? 'running' : 'down',
+          replicaSet: shard.replicaSet,
+          members: shard.members
+        }));
+      }
+
+      configMembers.forEach((member, index) => {
+        components.push(component({
+          id: configIds[index],
+          name: member,
+          type: 'config-server',
+          technology: 'mongod --configsvr',
+          ...splitAddress(member),
+          role: 'config',
+          parent: 'mongodb',
+          description: `Config server${status.configServers.replicaSet ? ` in ${status.configServers.replicaSet}` : ''}`,
+          status: status.connected ? 'running' : 'configured'
+        }));
+      });
+
+      root.connections = routerIds;
+    } else if (server.address) {
+      components.push(component({
+        id: 'mongodb/server',
+        name: server.address,
+        type: 'database-node',
+        technology: server.process || 'mongod',
+        ...address,
+        version: server.version,
+        role: 'standalone',
+        parent: 'mongodb',
+        description: 'Standalone server',
+        status: status.connected ? 'running' : 'down'
+      }));
+    }
+
+    return { components, dataFlow };
+  }
+
+  // ===== Redis =====
+
+  buildRedis() {
+    if (!redisConnection.isConfigured()) {
+      return {
+        components: [component({
+          id: 'redis',
+          name: 'Redis',
+          type: 'cache',
+          technology: 'Redis',
+          description: 'In-memory cache (not configured)',
+          status: 'optional'
+        })],
+        dataFlow: []
+      };
+    }
+
+    const status = redisConnection.getStatus();
+    const server = status.server || {};
+    const address = splitAddress(server.address);
+    const components = [];
+    const dataFlow = [];
+    const mode = status.mode || (status.isCluster ? 'cluster' : status.isSentinel ? 'sentinel' : null);
+
+    components.push(component({
+      id: 'redis',
+      name: 'Redis',
+      type: 'cache',
+      technology: 'Redis',
+      host: address.host,
+      port: address.port,
+      version: server.version || null,
+      description: `In-memory cache and message broker (${mode || 'mode unknown'})`,
+      status: status.connected ? 'running' : 'configured',
+      mode
+    }));
+
+    if (mode === 'cluster') {
+      const known = new Set(status.clusterNodes.map(node => node.id));
+      // Cluster node ids are random, so they identify nodes without exposing addresses
+      const nodeId = (clusterId) => `redis/node-${clusterId.slice(0, 8)}`;
+      for (const node of status.clusterNodes) {
+        const id = nodeId(node.id);
+        const master = node.masterId && known.has(node.masterId) ? nodeId(node.masterId) : null;
+        components.push(component({
+          id,
+          name: node.address,
+          type: 'cache-node',
+          technology: 'redis-server (cluster)',
+          host: node.host,
+          port: node.port,
+          version: node.version || null,
+          role: node.role,
+          parent: 'redis',
+          description: node.role === 'master'
+            ? `Master serving ${node.slotCount} slots${node.slotRanges.length ? ` (${node.slotRanges.join(', ')})` : ''}`
+            : `Replica of ${node.masterAddress || 'unknown master'}`,
+          status: node.healthy ? 'running' : 'down',
+          connections: master ? [master] : []
+        }));
+        if (master) {
+          dataFlow.push(flow(master, id, 'Replication', `Replication to ${node.address}`));
+        }
+      }
+    } else if (mode === 'sentinel' && status.sentinel) {
+      const { master, replicas, sentinels } = status.sentinel;
+      const masterId = master ? 'redis/master' : null;
+
+      if (master) {
+        components.push(component({
+          id: masterId,
+          name: master.address,
+          type: 'cache-node',
+          technology: 'redis-server',
+          ...splitAddress(master.address),
+          version: master.address === server.address ? server.version : null,
+          role: 'master',
+          parent: 'redis',
+          description: `Master "${master.name}" with ${master.numReplicas} replica(s)`,
+          status: master.healthy ? 'running' : 'down'
+        }));
+      }
+
+      replicas.forEach((replica, index) => {
+        const id = `redis/replica-${index}`;
+        components.push(component({
+          id,
+          name: replica.address,
+          type: 'cache-node',
+          technology: 'redis-server',
+          host: replica.host,
+          port: replica.port,
+          role: 'replica',
+          parent: 'redis',
+          description: `Replica (link ${replica.masterLinkStatus || 'unknown'})`,
+          status: replica.healthy ? 'running' : 'down',
+          connections: masterId ? [masterId] : []
+        }));
+        if (masterId) dataFlow.push(flow(masterId, id, 'Replication', `Replication to ${replica.address}`));
+      });
+
+      sentinels.forEach((sentinel, index) => {
+        const id = `redis/sentinel-${index}`;
+        components.push(component({
+          id,
+          name: sentinel.address,
+          type: 'sentinel',
+          technology: 'redis-sentinel',
+          ...splitAddress(sentinel.address),
+          role: 'sentinel',
+          parent: 'redis',
+          description: sentinel.reachable
+            ? `Sentinel${sentinel.agreesOnMaster ? '' : ' (disagrees on master)'}`
+            : `Sentinel (unreachable: ${sentinel.error || 'unknown error'})`,
+          status: sentinel.reachable ? 'running' : 'down',
+          connections: masterId ? [masterId] : []
+        }));
+        if (masterId) dataFlow.push(flow(id, masterId, 'Sentinel', 'Monitors master and votes on failover'));
+      });
+    } else if (server.address) {
+      components.push(component({
+        id: 'redis/server',
+        name: server.address,
+        type: 'cache-node',
+        technology: 'redis-server',
+        ...address,
+        version: server.version,
+        role: status.role,
+        parent: 'redis',
+        description: mode === 'replication' ? `Replication ${status.role}` : 'Standalone server',
+        status: status.connected ? 'running' : 'down'
+      }));
+    }
+
+    return { components, dataFlow };
+  }
+
+  // ===== Compose file =====
+
+  // Live node addresses a compose service could be serving
+  matchComposeService(service, candidates, uniquePorts) {
+    const names = [service.name, service.containerName, ...service.aliases].filter(Boolean).map(name => name.toLowerCase());
+    const ports = service.ports.flatMap(port => [port.target, port.published]).filter(Boolean);
+
+    return candidates.find(({ addresses }) => addresses.some(({ host, port }) => {
+      if (host && names.includes(host.toLowerCase())) return true;
+      // Published ports (localhost) and cluster nodes announced by IP match on a port only this service uses
+      const anonymous = !host || LOCAL_HOSTS.includes(host) || /^[\d.]+$/.test(host);
+      return anonymous && port && uniquePorts.has(port) && ports.includes(port);
+    })) || null;
+  }
+
+  mongoDrift(expected, components) {
+    const status = mongoConnection.getStatus();
+    const nodes = components.filter(entry => entry.parent === 'mongodb');
+    const drift = [];
+    const add = (severity, message) => drift.push({ service: 'mongodb', severity, message });
+    const running = (type) => nodes.filter(entry => entry.type === type && entry.status === 'running').length;
+    const total = (type) => nodes.filter(entry => entry.type === type).length;
+
+    if (!expected) return drift;
+    if (!status.connected) {
+      add('critical', `compose declares a MongoDB ${MONGO_TOPOLOGIES[expected.topology]} but the backend is not connected`);
+      return drift;
+    }
+    if (status.topology !== expected.topology) {
+      add('critical', `compose declares a MongoDB ${MONGO_TOPOLOGIES[expected.topology]} but the live topology is ${MONGO_TOPOLOGIES[status.topology] || status.topology}`);
+      return drift;
+    }
+
+    if (expected.topology === 'replicaSet') {
+      if (expected.replicaSet && status.replicaSet !== expected.replicaSet) {
+        add('warning', `compose declares replica set ${expected.replicaSet} but the live replica set is ${status.replicaSet}`);
+      }
+      if (running('database-node') < expected.members) {
+        add('critical', `compose declares ${plural(expected.members, 'replica set member')} but only ${running('database-node')} ${running('database-node') === 1 ? 'is' : 'are'} healthy`);
+      }
+      if (total('database-node') > expected.members) {
+        add('warning', `replica set has ${plural(total('database-node'), 'member')} but compose declares ${expected.members}`);
+      }
+    } else if (expected.topology === 'sharded') {
+      const shards = Object.keys(expected.shards).length;
+      if (running('router') < expected.routers) {
+        add('critical', `compose declares ${plural(expected.routers, 'mongos router')} but only ${running('router')} respond`);
+      }
+      if (running('shard') < shards) {
+        add('critical', `compose declares ${plural(shards, 'shard')} but only ${running('shard')} ${running('shard') === 1 ? 'is' : 'are'} active`);
+      }
+      if (total('shard') > shards) {
+        add('warning', `cluster has ${plural(total('shard'), 'shard')} but compose declares ${shards}`);
+      }
+      for (const shard of nodes.filter(entry => entry.type === 'shard')) {
+        const declared = expected.shards[shard.replicaSet];
+        if (declared !== undefined && (shard.members || []).length < declared) {
+          add('warning', `compose declares ${plural(declared, 'member')} for shard ${shard.replicaSet} but only ${shard.members.length} ${shard.members.length === 1 ? 'is' : 'are'} registered`);
+        }
+      }
+      if (total('config-server') !== expected.configServers) {
+        add('warning', `compose declares ${plural(expected.configServers, 'config server')} but ${total('config-server')} ${total('config-server') === 1 ? 'is' : 'are'} registered`);
+      }
+    }
+
+    return drift;
+  }
+
+  redisDrift(expected, components) {
+    const status = redisConnection.getStatus();
+    const nodes = components.filter(entry => entry.parent === 'redis');
+    const mode = components.find(entry => entry.id === 'redis').mode;
+    const drift = [];
+    const add = (severity, message) => drift.push({ service: 'redis', severity, message });
+    const running = (role) => nodes.filter(entry => entry.role === role && entry.status === 'running').length;
+
+    if (!expected) return drift;
+    if (!redisConnection.isConfigured()) {
+      add('warning', `compose declares Redis (${expected.mode}) but the backend is not configured to use it`);
+      return drift;
+    }
+    if (!status.connected) {
+      add('critical', `compose declares Redis (${expected.mode}) but the backend is not connected`);
+      return drift;
+    }
+    if (mode !== expected.mode) {
+      add('critical', `compose declares Redis in ${expected.mode} mode but the live mode is ${mode}`);
+      return drift;
+    }
+
+    if (expected.mode === 'cluster') {
+      const healthy = nodes.filter(entry => entry.status === 'running').length;
+      if (healthy < expected.nodes) {
+        add('critical', `compose declares ${plural(expected.nodes, 'cluster node')} but only ${healthy} ${healthy === 1 ? 'is' : 'are'} healthy`);
+      }
+      if (nodes.length > expected.nodes) {
+        add('warning', `cluster has ${plural(nodes.length, 'node')} but compose declares ${expected.nodes}`);
+      }
+    } else if (expected.mode === 'sentinel') {
+      if (running('sentinel') < expected.sentinels) {
+        add('critical', `compose declares ${plural(expected.sentinels, 'sentinel')} but only ${running('sentinel')} respond`);
+      }
+      if (running('replica') < expected.replicas) {
+        add('warning', `compose declares ${plural(expected.replicas, 'replica')} but only ${running('replica')} ${running('replica') === 1 ? 'is' : 'are'} healthy`);
+      }
+    }
+
+    return drift;
+  }
+
+  // Declared (compose) topology next to the live one, with any drift between them
+  buildCompose(components) {
+    if (!composeTopology.isConfigured()) return { compose: null, drift: [] };
+
+    const model = composeTopology.get();
+    if (!model) {
+      return {
+        compose: null,
+        drift: [{ service: null, severity: 'warning', message: `compose file cannot be read: ${composeTopology.getError()}` }]
+      };
+    }
+
+    // Each live node with every address it answers on (shards list their members)
+    const candidates = {
+      mongodb: components.filter(entry => entry.parent === 'mongodb'),
+      redis: components.filter(entry => entry.parent === 'redis')
+    };
+    for (const family of Object.values(candidates)) {
+      family.forEach(entry => {
+        entry.addresses = [{ host: entry.host, port: entry.port }, ...(entry.members || []).map(splitAddress)];
+      });
+    }
+
+    const portCounts = new Map();
+    for (const service of model.services.filter(entry => entry.service)) {
+      for (const port of new Set(service.ports.flatMap(entry => [entry.target, entry.published]).filter(Boolean))) {
+        const key = `${service.service}:${port}`;
+        portCounts.set(key, (portCounts.get(key) || 0) + 1);
+      }
+    }
+    const uniquePorts = (family) => new Set([...portCounts.entries()]
+      .filter(([key, total]) => total === 1 && key.startsWith(`${family}:`))
+      .map(([key]) => parseInt(key.split(':')[1])));
+
+    const connected = {
+      mongodb: mongoConnection.getStatus().connected,
+      redis: redisConnection.isConfigured() && redisConnection.getStatus().connected
+    };
+
+    // Address matches first; live nodes announced by IP are then paired with leftover services of the same kind
+    const matches = new Map();
+    const claimed = new Set();
+    for (const service of model.services.filter(entry => entry.service && COMPOSE_KINDS[entry.kind])) {
+      const match = this.matchComposeService(service, candidates[service.service], uniquePorts(service.service));
+      if (match && !claimed.has(match.id)) {
+        matches.set(service.name, { component: match, matchedBy: 'address' });
+        if (match.type !== 'shard') claimed.add(match.id);
+      }
+    }
+    for (const service of model.services.filter(entry => entry.service && COMPOSE_KINDS[entry.kind] && !matches.has(entry.name))) {
+      const match = candidates[service.service].find(entry => !claimed.has(entry.id) && COMPOSE_KINDS[service.kind](entry));
+      if (match) {
+        matches.set(service.name, { component: match, matchedBy: 'role' });
+        claimed.add(match.id);
+      }
+    }
+
+    const services = model.services.map((service) => {
+      const { aliases, ...fields } = service;
+      const { component: match = null, matchedBy = null } = matches.get(service.name) || {};
+      let status = 'unknown';
+
+      if (service.kind === 'init') status = 'one-shot';
+      else if (service.kind === 'backend') status = 'running';
+      else if (match) status = match.status === 'running' ? 'running' : 'down';
+      else if (service.service && connected[service.service]) status = 'missing';
+
+      return {
+        ...fields,
+        component: service.kind === 'backend' ? 'backend' : match ? match.id : null,
+        matchedBy: service.kind === 'backend' ? 'self' : matchedBy,
+        status
+      };
+    });
+
+    for (const family of Object.values(candidates)) {
+      family.forEach(entry => delete entry.addresses);
+    }
+
+    return {
+      compose: { ...model, services },
+      drift: [
+        ...this.mongoDrift(model.expected.mongodb, components),
+        ...this.redisDrift(model.expected.redis, components)
+      ]
+    };
+  }
+
+  // ===== Extra health checks =====
+
+  buildDependencies() {
+    const results = dependencyChecks.getResults();
+
+    const components = results.map(result => {
+      let port = null;
+      try {
+        port = result.type === 'http' ? (parseInt(new URL(result.target).port) || null) : null;
+      } catch (error) {
+        port = null;
+      }
+      if (result.type === 'tcp') port = parseInt(result.target.split(':').pop()) || null;
+
+      return component({
+        id: result.name,
+        name: result.name,
+        type: 'external',
+        technology: `${CHECK_PROTOCOLS[result.type] || result.type} check`,
+        port,
+        description: `${result.critical ? 'Critical' : 'Non-critical'} dependency: ${result.target}`,
+        status: result.status === 'pass' ? 'running' : 'configured'
+      });
+    });
+
+    const dataFlow = results.map(result => flow(
+      'backend',
+      result.name,
+      CHECK_PROTOCOLS[result.type] || result.type,
+      `Health check against ${result.target}`
+    ));
+
+    return { components, dataFlow };
+  }
+
+  build() {
+    const mongo = this.buildMongo();
+    const redis = this.buildRedis();
+    const dependencies = this.buildDependencies();
+    const port = parseInt(process.env.PORT) || 5000;
+
+    const backendConnections = [
+      'mongodb',
+      ...(redisConnection.isConfigured() ? ['redis'] : []),
+      ...dependencies.components.map(entry => entry.id)
+    ];
+
+    const components = [
+      component({
+        id: 'frontend',
+        name: 'React Frontend',
+        type: 'web',
+        technology: 'React + Vite + TailwindCSS',
+        port: parseInt(process.env.FRONTEND_PORT) || 3000,
+        description: 'Real-time monitoring dashboard',
+        status: 'running',
+        connections: ['backend']
+      }),
+      component({
+        id: 'backend',
+        name: 'Express API',
+        type: 'api',
+        technology: 'Node.js + Express',
+        host: os.hostname(),
+        port,
+        version: process.version,
+        description: 'RESTful API with health monitoring',
+        status: 'running',
+        connections: backendConnections,
+        endpoints: listEndpoints()
+      }),
+      ...mongo.components,
+      ...redis.components,
+      ...dependencies.components,
+      ...this.declared.components
+    ];
+
+    const dataFlow = [
+      flow('frontend', 'backend', 'HTTP/REST', 'API requests for status and health'),
+      flow('backend', 'mongodb', 'MongoDB Wire Protocol', 'Database queries and operations'),
+      ...(redisConnection.isConfigured() ? [flow('backend', 'redis', 'RESP', 'Cache operations and pub/sub')] : []),
+      ...mongo.dataFlow,
+      ...redis.dataFlow,
+      ...dependencies.dataFlow,
+      ...this.declared.dataFlow
+    ];
+
+    const { compose, drift } = this.buildCompose(components);
+
+    // Explicit settings win; otherwise the compose file describes the deployment
+    const deployment = {
+      platform: process.env.DEPLOYMENT_PLATFORM || (compose ? `Docker Compose (${compose.file})` : 'Docker Compose'),
+      environment: process.env.NODE_ENV || 'development',
+      containerization: 'Docker',
+      orchestration: process.env.ORCHESTRATION || 'Docker Compose'
+    };
+    if (process.env.DEPLOYMENT_NETWORK) {
+      deployment.networking = process.env.DEPLOYMENT_NETWORK;
+    } else if (compose && compose.networks.length > 0) {
+      deployment.networking = compose.networks.map(network => `${network.name} (${network.driver})`).join(', ');
+    }
+    if (process.env.DEPLOYMENT_VOLUMES) {
+      deployment.volumes = process.env.DEPLOYMENT_VOLUMES.split(',').map(volume => volume.trim()).filter(Boolean);
+    } else if (compose && compose.volumes.length > 0) {
+      deployment.volumes = compose.volumes.map(volume => volume.name);
+    }
+
+    return {
+      name: 'MERN DevOps Demo',
+      version: '2.0.0',
+      type: 'microservices',
+      topology: {
+        mongodb: mongoConnection.getStatus().topology,
+        redis: redisConnection.isConfigured() ? (redis.components[0].mode || null) : null
+      },
+      components,
+      dataFlow,
+      compose,
+      drift,
+      deployment,
+      scaling: {
+        frontend: {
+          type: 'horizontal',
+          instances: parseInt(process.env.FRONTEND_REPLICAS) || 1,
+          loadBalancer: process.env.LOAD_BALANCER || 'none'
+        },
+        backend: {
+          type: 'horizontal',
+          // Counted from registry heartbeats when Redis is available, otherwise as configured
+          instances: instanceRegistry.mode === 'registry'
+            ? instanceRegistry.getInstances().length
+            : parseInt(process.env.BACKEND_REPLICAS) || 1,
+          source: instanceRegistry.mode === 'registry' ? 'registry' : 'config',
+          loadBalancer: process.env.LOAD_BALANCER || 'none'
+        }
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new ArchitectureModel();
@@ -0,0 +1,305 @@
+const { REDACTED } = require('../utils/redact');
+
+// Same palette as the dashboard canvas
+const STATUS_COLORS = {
+  running: '#10B981',
+  down: '#EF4444',
+  configured: '#EF4444',
+  optional: '#9CA3AF',
+  declared: '#6B7280'
+};
+
+const STATUS_FILLS = {
+  running: '#D1FAE5',
+  down: '#FEE2E2',
+  configured: '#FEE2E2',
+  optional: '#F3F4F6',
+  declared: '#F9FAFB'
+};
+
+// Component ids ("mongodb/member-0") are not valid identifiers in every format
+const nodeId = (id) => id.replace(/[^a-zA-Z0-9_]/g, '_');
+
+// Redacted fields (viewer exports) are left out of labels rather than printed
+const visible = (value) => (value === null || value === undefined || value === REDACTED ? null : String(value));
+
+const addressOf = (component) => {
+  const host = visible(component.host);
+  const port = visible(component.port);
+  if (host) return port ? `${host}:${port}` : host;
+  return port ? `:${port}` : null;
+};
+
+// Title, then role / technology, address and version
+const labelLines = (component) => {
+  const version = visible(component.version);
+  const address = addressOf(component);
+  return [
+    component.name,
+    component.parent ? component.role : component.technology,
+    address === component.name ? null : address,
+    version ? `v${version.replace(/^v/, '')}` : null,
+    component.status
+  ].filter(Boolean);
+};
+
+const topLevel = (architecture) => architecture.components.filter(component => !component.parent);
+const childrenOf = (architecture, id) => architecture.components.filter(component => component.parent === id);
+
+// Flows whose ends are both drawn
+const drawableFlows = (architecture) => {
+  const ids = new Set(architecture.components.map(component => component.id));
+  return architecture.dataFlow.filter(entry => ids.has(entry.from) && ids.has(entry.to));
+};
+
+// ===== Mermaid =====
+
+const mermaidText = (text) => String(text).replace(/"/g, '#quot;');
+
+const toMermaid = (architecture) => {
+  const lines = ['flowchart TB'];
+  const node = (component, indent) => {
+    const shape = ['database', 'cache'].includes(component.type) && !component.parent ? ['[(', ')]'] : ['[', ']'];
+    lines.push(`${indent}${nodeId(component.id)}${shape[0]}"${labelLines(component).map(mermaidText).join('<br/>')}"${shape[1]}`);
+  };
+
+  for (const component of topLevel(architecture)) {
+    const children = childrenOf(architecture, component.id);
+    if (children.length === 0) {
+      node(component, '  ');
+      continue;
+    }
+    lines.push(`  subgraph ${nodeId(component.id)}_nodes["${mermaidText(component.name)}"]`);
+    node(component, '    ');
+    children.forEach(child => node(child, '    '));
+    lines.push('  end');
+  }
+
+  for (const entry of drawableFlows(architecture)) {
+    const label = entry.protocol ? `|${mermaidText(entry.protocol)}|` : '';
+    lines.push(`  ${nodeId(entry.from)} -->${label} ${nodeId(entry.to)}`);
+  }
+  for (const component of architecture.components.filter(entry => entry.parent)) {
+    lines.push(`  ${nodeId(component.parent)} -.- ${nodeId(component.id)}`);
+  }
+
+  for (const [status, color] of Object.entries(STATUS_COLORS)) {
+    const ids = architecture.components.filter(component => component.status === status).map(component => nodeId(component.id));
+    if (ids.length === 0) continue;
+    lines.push(`  classDef ${status} fill:${STATUS_FILLS[status]},stroke:${color},stroke-width:2px`);
+    lines.push(`  class ${ids.join(',')} ${status}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// ===== Graphviz DOT =====
+
+const dotText = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+const toDot = (architecture) => {
+  const lines = [
+    `digraph "${dotText(architecture.name)}" {`,
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=11];',
+    '  edge [fontname="Helvetica", fontsize=9];'
+  ];
+  const node = (component, indent) => {
+    const status = component.status;
+    const shape = ['database', 'cache'].includes(component.type) && !component.parent ? ', shape=cylinder' : '';
+    lines.push(`${indent}${nodeId(component.id)} [label="${labelLines(component).map(dotText).join('\\n')}", ` +
+      `color="${STATUS_COLORS[status] || STATUS_COLORS.declared}", fillcolor="${STATUS_FILLS[status] || STATUS_FILLS.declared}"${shape}];`);
+  };
+
+  for (const component of topLevel(architecture)) {
+    const children = childrenOf(architecture, component.id);
+    if (children.length === 0) {
+      node(component, '  ');
+      continue;
+    }
+    lines.push(`  subgraph cluster_${nodeId(component.id)} {`);
+    lines.push(`    label="${dotText(component.name)}";`);
+    lines.push(`    color="${STATUS_COLORS[component.status] || STATUS_COLORS.declared}";`);
+    node(component, '    ');
+    children.forEach(child => node(child, '    '));
+    lines.push('  }');
+  }
+
+  for (const entry of drawableFlows(architecture)) {
+    lines.push(`  ${nodeId(entry.from)} -> ${nodeId(entry.to)}${entry.protocol ? ` [label="${dotText(entry.protocol)}"]` : ''};`);
+  }
+  for (const component of architecture.components.filter(entry => entry.parent)) {
+    lines.push(`  ${nodeId(component.parent)} -> ${nodeId(component.id)} [style=dashed, arrowhead=none, color="#9CA3AF"];`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+// ===== PlantUML (C4 container diagram) =====
+
+const pumlText = (text) => String(text).replace(/"/g, '\'');
+
+const c4Macro = (component) => {
+  if (component.declared && component.type === 'external') return 'System_Ext';
+  if (component.type === 'external') return 'Container_Ext';
+  if (['database', 'cache'].includes(component.type)) return 'ContainerDb';
+  return 'Container';
+};
+
+const toPlantUml = (architecture) => {
+  const lines = ['@startuml', '!include <C4/C4_Container>', ''];
+
+  for (const [status, color] of Object.entries(STATUS_COLORS)) {
+    lines.push(`AddElementTag("${status}", $bgColor="${STATUS_FILLS[status]}", $fontColor="#1F2937", $borderColor="${color}", $legendText="${status}")`);
+  }
+  lines.push('', `title ${pumlText(architecture.name)}`, '');
+
+  const element = (component, indent) => {
+    const [name, technology, ...details] = labelLines(component);
+    const macro = c4Macro(component);
+    // System_Ext has no technology argument
+    const args = macro === 'System_Ext'
+      ? [nodeId(component.id), name, [technology, ...details].join(' · ')]
+      : [nodeId(component.id), name, technology || '', details.join(' · ')];
+    lines.push(`${indent}${macro}(${args.map((arg, index) => (index === 0 ? arg : `"${pumlText(arg)}"`)).join(', ')}, $tags="${component.status}")`);
+  };
+
+  for (const component of topLevel(architecture)) {
+    const children = childrenOf(architecture, component.id);
+    if (children.length === 0) {
+      element(component, '');
+      continue;
+    }
+    lines.push(`Container_Boundary(${nodeId(component.id)}_nodes, "${pumlText(component.name)}") {`);
+    element(component, '  ');
+    children.forEach(child => element(child, '  '));
+    lines.push('}');
+  }
+
+  lines.push('');
+  for (const entry of drawableFlows(architecture)) {
+    lines.push(`Rel(${nodeId(entry.from)}, ${nodeId(entry.to)}, "${pumlText(entry.description || '')}", "${pumlText(entry.protocol || '')}")`);
+  }
+
+  lines.push('', 'SHOW_LEGEND()', '@enduml');
+  return `${lines.join('\n')}\n`;
+};
+
+// ===== SVG =====
+
+const xmlText = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const BOX = { width: 170, height: 84 };
+const NODE_BOX = { width: 130, height: 68 };
+const ROW_GAP = 70;
+const MARGIN = 30;
+
+// Rows like the dashboard canvas: frontend, backend, dependencies, then their nodes
+const layoutSvg = (architecture) => {
+  const dependencies = topLevel(architecture).filter(component => !['frontend', 'backend'].includes(component.id));
+  const slots = dependencies.map(component => ({
+    component,
+    children: childrenOf(architecture, component.id),
+    width: Math.max(BOX.width + 20, childrenOf(architecture, component.id).length * (NODE_BOX.width + 12))
+  }));
+  const hasNodes = slots.some(slot => slot.children.length > 0);
+
+  const width = Math.max(2 * MARGIN + slots.reduce((sum, slot) => sum + slot.width, 0), 2 * MARGIN + BOX.width * 2);
+  const rowY = (row) => MARGIN + 30 + row * (BOX.height + ROW_GAP);
+  const height = rowY(hasNodes ? 3 : 2) + (hasNodes ? NODE_BOX.height : BOX.height) + MARGIN + 30;
+
+  const positions = {};
+  positions.frontend = { x: width / 2, y: rowY(0), ...BOX };
+  positions.backend = { x: width / 2, y: rowY(1), ...BOX };
+
+  let offset = (width - slots.reduce((sum, slot) => sum + slot.width, 0)) / 2;
+  for (const slot of slots) {
+    const centre = offset + slot.width / 2;
+    positions[slot.component.id] = { x: centre, y: rowY(2), ...BOX };
+    const childWidth = slot.width / Math.max(slot.children.length, 1);
+    slot.children.forEach((child, index) => {
+      positions[child.id] = { x: offset + childWidth * (index + 0.5), y: rowY(3), ...NODE_BOX, node: true };
+    });
+    offset += slot.width;
+  }
+
+  return { width, height, positions };
+};
+
+const toSvg = (architecture) => {
+  const { width, height, positions } = layoutSvg(architecture);
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    '  <defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">' +
+      '<path d="M 0 0 L 10 5 L 0 10 z" fill="#3B82F6"/></marker></defs>',
+    `  <rect width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    `  <text x="${MARGIN}" y="${MARGIN}" font-size="16" font-weight="bold" fill="#1F2937">${xmlText(architecture.name)}</text>`
+  ];
+
+  const byId = Object.fromEntries(architecture.components.map(component => [component.id, component]));
+
+  // Membership lines, then data flows between boxes on different rows
+  for (const component of architecture.components.filter(entry => entry.parent && positions[entry.id])) {
+    const parent = positions[component.parent];
+    const child = positions[component.id];
+    if (!parent) continue;
+    parts.push(`  <line x1="${parent.x}" y1="${parent.y + parent.height}" x2="${child.x}" y2="${child.y}" stroke="#CBD5E1" stroke-width="1"/>`);
+  }
+  for (const entry of drawableFlows(architecture)) {
+    const from = positions[entry.from];
+    const to = positions[entry.to];
+    if (!from || !to || from.node || to.node || from.y === to.y) continue;
+    const [upper, lower] = from.y < to.y ? [from, to] : [to, from];
+    const active = byId[entry.from].status === 'running' && byId[entry.to].status === 'running';
+    parts.push(`  <line x1="${upper.x}" y1="${upper.y + upper.height}" x2="${lower.x}" y2="${lower.y}" ` +
+      `stroke="${active ? '#3B82F6' : '#D1D5DB'}" stroke-width="2"${active ? '' : ' stroke-dasharray="5,5"'} marker-end="url(#arrow)">` +
+      `<title>${xmlText(entry.protocol || '')}</title></line>`);
+  }
+
+  for (const [id, box] of Object.entries(positions)) {
+    const component = byId[id];
+    if (!component) continue;
+    const color = STATUS_COLORS[component.status] || STATUS_COLORS.declared;
+    const fill = STATUS_FILLS[component.status] || STATUS_FILLS.declared;
+    const lines = labelLines(component);
+    const lineHeight = box.node ? 13 : 15;
+    const top = box.y + box.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+
+    parts.push(`  <g id="${xmlText(nodeId(id))}">`);
+    parts.push(`    <title>${xmlText(component.description || component.name)}</title>`);
+    parts.push(`    <rect x="${box.x - box.width / 2}" y="${box.y}" width="${box.width}" height="${box.height}" rx="8" ` +
+      `fill="${fill}" stroke="${color}" stroke-width="${box.node ? 2 : 3}"/>`);
+    lines.forEach((line, index) => {
+      const weight = index === 0 ? ' font-weight="bold"' : '';
+      const fontSize = index === 0 ? (box.node ? 11 : 13) : (box.node ? 9 : 10);
+      parts.push(`    <text x="${box.x}" y="${top + index * lineHeight}" text-anchor="middle" dominant-baseline="middle" ` +
+        `font-size="${fontSize}"${weight} fill="${index === lines.length - 1 ? color : '#1F2937'}">${xmlText(line)}</text>`);
+    });
+    parts.push('  </g>');
+  }
+
+  // Legend
+  Object.entries(STATUS_COLORS).forEach(([status, color], index) => {
+    const x = MARGIN + index * 100;
+    parts.push(`  <rect x="${x}" y="${height - MARGIN}" width="12" height="12" rx="2" fill="${STATUS_FILLS[status]}" stroke="${color}" stroke-width="2"/>`);
+    parts.push(`  <text x="${x + 18}" y="${height - MARGIN + 10}" font-size="11" fill="#374151">${status}</text>`);
+  });
+
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+};
+
+// format query value -> media type, file extension and renderer
+const FORMATS = {
+  mermaid: { contentType: 'text/vnd.mermaid', extension: 'mmd', render: toMermaid },
+  dot: { contentType: 'text/vnd.graphviz', extension: 'dot', render: toDot },
+  plantuml: { contentType: 'text/x-plantuml', extension: 'puml', render: toPlantUml },
+  svg: { contentType: 'image/svg+xml', extension: 'svg', render: toSvg }
+};
+
+module.exports = { FORMATS, toMermaid, toDot, toPlantUml, toSvg };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const mongoConnection = require('../config/mongodb');
+const { User, ROLES } = require('../models/User');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+
+const ISSUER = 'mern-devops-backend';
+
+const authError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+// Hash both sides first so the comparison does not leak the key length
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// "ci:viewer:s3cret,ops:admin:t0ken"
+const parseApiKeys = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, role, ...rest] = entry.split(':');
+    const key = rest.join(':');
+    if (!name || !ROLES.includes(role) || !key) {
+      logger.warn(`⚠️  Ignoring malformed AUTH_API_KEYS entry "${name || entry}" (expected name:role:key)`);
+      return null;
+    }
+    return { name, role, digest: digest(key) };
+  })
+  .filter(Boolean);
+
+// API keys, local users with bcrypt hashes and JWT sessions
+class AuthService {
+  constructor() {
+    this.enabled = process.env.AUTH_ENABLED === 'true';
+    this.accessTtl = parseDuration(process.env.AUTH_ACCESS_TOKEN_TTL, 900000) || 900000;
+    this.refreshTtl = parseDuration(process.env.AUTH_REFRESH_TOKEN_TTL, 604800000) || 604800000;
+    this.bcryptRounds = parseInt(process.env.AUTH_BCRYPT_ROUNDS) || 10;
+    this.minPasswordLength = parseInt(process.env.AUTH_MIN_PASSWORD_LENGTH) || 8;
+
+    this.apiKeys = parseApiKeys(process.env.AUTH_API_KEYS);
+    // The pre-RBAC admin token keeps working as an admin API key
+    if (process.env.ADMIN_TOKEN) {
+      this.apiKeys.push({ name: 'admin-token', role: 'admin', digest: digest(process.env.ADMIN_TOKEN), legacy: true });
+    }
+
+    this.secret = process.env.AUTH_JWT_SECRET || null;
+    this.dummyHash = null;
+    this.started = false;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    if (!this.enabled) {
+      logger.warn('🔓 Authentication disabled: status routes are public (set AUTH_ENABLED=true to require login)');
+      return;
+    }
+
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('⚠️  AUTH_JWT_SECRET not set: using a random secret, sessions end on restart and are not shared between instances');
+    }
+
+    mongoConnection.on('status', (event) => {
+      if (event.connected) this.ensureBootstrapAdmin();
+    });
+    if (mongoose.connection.readyState === 1) this.ensureBootstrapAdmin();
+
+    logger.info(`🔐 Authentication enabled (${this.apiKeys.length} API key(s), local users, JWT sessions)`);
+  }
+
+  // Seeds the first admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD if it does not exist yet
+  async ensureBootstrapAdmin() {
+    const username = process.env.AUTH_ADMIN_USERNAME;
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+    if (!username || !password) return;
+
+    try {
+      const existing = await User.findOne({ username: username.toLowerCase() });
+      if (existing) return;
+      await this.createUser({ username, password, role: 'admin' });
+      logger.info(`🔐 Created bootstrap admin user ${username}`);
+    } catch (error) {
+      logger.error(`Error creating bootstrap admin user: ${error.message}`);
+    }
+  }
+
+  // Roles are ordered: admin includes everything a viewer may do
+  hasRole(principal, role) {
+    return !!principal && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+  }
+
+  isAdminConfigured() {
+    return this.enabled || this.apiKeys.some(key => key.role === 'admin');
+  }
+
+  findApiKey(value) {
+    const candidate = digest(value);
+    return this.apiKeys.find(key => crypto.timingSafeEqual(key.digest, candidate)) || null;
+  }
+
+  // Returns the principal for a bearer token or API key, or throws a 401 error
+  authenticateToken(token) {
+    // Three dot-separated segments: a JWT; anything else is treated as an API key
+    if (token.split('.').length === 3) {
+      return this.verifyAccessToken(token);
+    }
+
+    const apiKey = this.findApiKey(token);
+    if (!apiKey) throw authError(401, 'Invalid API key', 'INVALID_API_KEY');
+    return { type: apiKey.legacy ? 'admin-token' : 'api-key', name: apiKey.name, role: apiKey.role };
+  }
+
+  verifyAccessToken(token) {
+    if (!this.secret) throw authError(401, 'Sessions are not enabled', 'INVALID_TOKEN');
+
+    try {
+      const payload = jwt.verify(token, this.secret, { issuer: ISSUER });
+      if (payload.type !== 'access') throw new Error('not an access token');
+      return { type: 'user', name: payload.sub, role: payload.role };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw authError(401, 'Access token expired', 'TOKEN_EXPIRED');
+      }
+      throw authError(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+  }
+
+  issueTokens(user) {
+    const accessToken = jwt.sign(
+      { sub: user.username, role: user.role, type: 'access' },
+      this.secret,
+      { expiresIn: Math.floor(this.accessTtl / 1000), issuer: ISSUER }
+    );
+    const refreshToken = jwt.sign(
+      { sub: user.username, type: 'refresh', ver: user.tokenVersion },
+      this.secret,
+      { expiresIn: Math.floor(this.refreshTtl / 1000), issuer: ISSUER }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: Math.floor(this.accessTtl / 1000),
+      user: user.toPublic()
+    };
+  }
+
+  // Users live in MongoDB, so logins and refreshes fail fast while it is down
+  assertUserStore() {
+    if (!this.enabled) throw authError(404, 'Authentication is disabled');
+    if (mongoose.connection.readyState !== 1) {
+      throw authError(503, 'MongoDB is not connected; local users are unavailable');
+    }
+  }
+
+  async login(username, password) {
+    this.assertUserStore();
+    if (!username || !password) throw authError(400, 'username and password are required');
+
+    const user = await User.findOne({ username: String(username).toLowerCase() });
+    // Unknown users still pay for a bcrypt comparison so timing does not reveal which usernames exist
+    if (!this.dummyHash) this.dummyHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.bcryptRounds);
+    const valid = await bcrypt.compare(String(password), user ? user.passwordHash : this.dummyHash);
+    if (!user || !valid) {
+      logger.warn(`🔒 Failed login for ${username}`);
+      throw authError(401, 'Invalid username or password', 'INVALID_CREDENTIALS');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    logger.info(`🔐 ${user.username} logged in`);
+    return this.issueTokens(user);
+  }
+
+  // Rotates both tokens; a refresh token is rejected after logout or a password change
+  async refresh(refreshToken) {
+    this.assertUserStore();
+    if (!refreshToken) throw authError(400, 'refreshToken is required');
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.secret, { issuer: ISSUER });
+    } catch (error) {
+      throw authError(401, 'Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = payload.type === 'refresh' ? await User.findOne({ username: payload.sub }) : null;
+    if (!user || user.tokenVersion !== payload.ver) {
+      throw authError(401, 'Refresh token has been revoked', 'INVALID_REFRESH_TOKEN');
+    }
+    return this.issueTokens(user);
+  }
+
+  async logout(principal) {
+    if (!principal || principal.type !== 'user') return;
+    this.assertUserStore();
+    await User.updateOne({ username: principal.name }, { $inc: { tokenVersion: 1 } });
+  }
+
+  async listUsers() {
+    this.assertUserStore();
+    const users = await User.find().sort({ username: 1 });
+    return users.map(user => user.toPublic());
+  }
+
+  async createUser({ username, password, role = 'viewer' }) {
+    this.assertUserStore();
+    if (!username || !/^[\w.@-]{3,64}$/.test(username)) {
+      throw authError(400, 'username must be 3-64 characters of letters, digits, . _ @ or -');
+    }
+    if (!password || String(password).length < this.minPasswordLength) {
+      throw authError(400, `password must be at least ${this.minPasswordLength} characters`);
+    }
+    if (!ROLES.includes(role)) throw authError(400, `role must be one of ${ROLES.join(', ')}`);
+
+    if (await User.exists({ username: username.toLowerCase() })) {
+      throw authError(409, `User ${username} already exists`);
+    }
+
+    const passwordHash = await bcrypt.hash(String(password), this.bcryptRounds);
+    const user = await User.create({ username, passwordHash, role });
+    return user.toPublic();
+  }
+
+  async updateUser(username, { password, role }) {
+    this.assertUserStore();
+    const user = await User.findOne({ username: String(username).toLowerCase() });
+    if (!user) throw authError(404, `No user named ${username}`);
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw authError(400, `role must be one of ${ROLES.join(', ')}`);
+      user.role = role;
+    }
+    if (password !== undefined) {
+      if (String(password).length < this.minPasswordLength) {
+        throw authError(400, `password must be at least ${this.minPasswordLength} characters`);
+      }
+      user.passwordHash = await bcrypt.hash(String(password), this.bcryptRounds);
+    }
+    // Existing sessions pick up neither change, so end them
+    user.tokenVersion++;
+    await user.save();
+    return user.toPublic();
+  }
+
+  async deleteUser(username) {
+    this.assertUserStore();
+    const result = await User.deleteOne({ username: String(username).toLowerCase() });
+    if (result.deletedCount === 0) throw authError(404, `No user named ${username}`);
+  }
+
+  getConfig() {
+    return {
+      enabled: this.enabled,
+      methods: {
+        apiKeys: this.apiKeys.length > 0,
+        localUsers: this.enabled,
+        jwt: this.enabled
+      },
+      roles: ROLES,
+      accessTokenTtl: Math.floor(this.accessTtl / 1000)
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,196 @@
+const redisConnection = require('../config/redis');
+const eventBus = require('./eventBus');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+const { withTimeout } = require('../utils/timeout');
+
+// Deletes every entry listed in the given tag sets, then the sets themselves. Entry keys are not passed in
+// KEYS, which cluster mode only allows because every cache key shares the tag sets' hash slot.
+const INVALIDATE_SCRIPT = `
+local deleted = 0
+for _, tag in ipairs(KEYS) do
+  for _, key in ipairs(redis.call('SMEMBERS', tag)) do
+    deleted = deleted + redis.call('DEL', key)
+  end
+  redis.call('DEL', tag)
+end
+return deleted`;
+
+// Event bus events that change what the cached responses describe
+const INVALIDATING_EVENTS = ['connection', 'topology', 'failover'];
+
+const OUTCOMES = ['hits', 'stale', 'misses', 'bypassed', 'errors'];
+
+// Redis-backed cache with TTLs, stale-while-revalidate and tag invalidation. Entries stay in Redis for
+// ttl + staleTtl; past ttl they are served stale while one caller refreshes them. Without a usable Redis
+// client (not configured, not ready, circuit open) every lookup bypasses the cache.
+class RedisCache {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.ttl = parseDuration(process.env.CACHE_TTL, 10000) || 10000;
+    this.staleTtl = parseDuration(process.env.CACHE_STALE_TTL, 30000) ?? 30000;
+    // A stalled Redis counts as an error, so lookups fall through to the loader instead of hanging
+    this.redisTimeout = parseInt(process.env.CACHE_REDIS_TIMEOUT) || 200;
+    // One hash tag for entries and tag sets, so tag invalidation is a single-slot script in cluster mode
+    const prefix = `{${process.env.CACHE_KEY_PREFIX || 'mern-devops'}}`;
+    this.keys = {
+      entry: (namespace, key) => `${prefix}:cache:${namespace}:${key}`,
+      tag: (tag) => `${prefix}:cache-tag:${tag}`
+    };
+
+    // namespace -> { hits, stale, misses, bypassed, errors }
+    this.stats = new Map();
+    this.invalidations = 0;
+    // Entry keys being refreshed in the background; one refresh per key at a time
+    this.revalidating = new Set();
+    this.lastError = null;
+    this.started = false;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // The cache is shared, so whichever instance hears about a change clears it for all of them
+    eventBus.on('event', (event) => {
+      if (!INVALIDATING_EVENTS.includes(event.type) || !event.service) return;
+      this.invalidate([event.service]).catch(error => logger.warn(`⚠️  Cache invalidation failed: ${error.message}`));
+    });
+  }
+
+  getClient() {
+    if (!this.enabled) return null;
+    const client = redisConnection.client;
+    if (!client || client.status !== 'ready' || redisConnection.lifecycle.isOpen()) return null;
+    return client;
+  }
+
+  record(namespace, outcome) {
+    if (!this.stats.has(namespace)) {
+      this.stats.set(namespace, Object.fromEntries(OUTCOMES.map(name => [name, 0])));
+    }
+    this.stats.get(namespace)[outcome]++;
+  }
+
+  // { state: fresh | stale | miss | bypass, value, storedAt }
+  async read(namespace, key) {
+    const client = this.getClient();
+    if (!client) return { state: 'bypass' };
+
+    try {
+      const raw = await withTimeout(client.get(this.keys.entry(namespace, key)), this.redisTimeout);
+      if (!raw) return { state: 'miss' };
+
+      const entry = JSON.parse(raw);
+      return {
+        state: Date.now() < entry.freshUntil ? 'fresh' : 'stale',
+        value: entry.value,
+        storedAt: entry.storedAt
+      };
+    } catch (error) {
+      this.lastError = error.message;
+      logger.debug(`Cache read failed for ${namespace}:${key}: ${error.message}`);
+      return { state: 'error' };
+    }
+  }
+
+  async write(namespace, key, value, { ttl = this.ttl, staleTtl = this.staleTtl, tags = [] } = {}) {
+    const client = this.getClient();
+    if (!client) return false;
+
+    const entryKey = this.keys.entry(namespace, key);
+    const lifetime = ttl + staleTtl;
+    const now = Date.now();
+
+    try {
+      const transaction = client.multi()
+        .set(entryKey, JSON.stringify({ value, storedAt: now, freshUntil: now + ttl }), 'PX', lifetime);
+      for (const tag of [`namespace:${namespace}`, ...tags]) {
+        transaction.sadd(this.keys.tag(tag), entryKey).pexpire(this.keys.tag(tag), lifetime);
+      }
+      await withTimeout(transaction.exec(), this.redisTimeout);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.debug(`Cache write failed for ${namespace}:${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Runs refresh unless the same entry is already being refreshed
+  revalidate(namespace, key, refresh) {
+    const entryKey = this.keys.entry(namespace, key);
+    if (this.revalidating.has(entryKey)) return false;
+
+    this.revalidating.add(entryKey);
+    Promise.resolve()
+      .then(refresh)
+      .catch(error => logger.warn(`⚠️  Cache refresh of ${namespace}:${key} failed: ${error.message}`))
+      .finally(() => this.revalidating.delete(entryKey));
+    return true;
+  }
+
+  // Cache-aside: returns { value, state } with state hit | stale | miss | bypass
+  async lookup(namespace, key, loader, options = {}) {
+    const cached = await this.read(namespace, key);
+
+    if (cached.state === 'fresh') {
+      this.record(namespace, 'hits');
+      return { value: cached.value, state: 'hit', storedAt: cached.storedAt };
+    }
+    if (cached.state === 'stale') {
+      this.record(namespace, 'stale');
+      this.revalidate(namespace, key, async () => this.write(namespace, key, await loader(), options));
+      return { value: cached.value, state: 'stale', storedAt: cached.storedAt };
+    }
+
+    this.record(namespace, { miss: 'misses', bypass: 'bypassed', error: 'errors' }[cached.state]);
+    const value = await loader();
+    if (cached.state === 'miss') await this.write(namespace, key, value, options);
+    return { value, state: cached.state === 'miss' ? 'miss' : 'bypass', storedAt: null };
+  }
+
+  async wrap(namespace, key, loader, options) {
+    return (await this.lookup(namespace, key, loader, options)).value;
+  }
+
+  // Drops every entry carrying one of the tags (namespaces are tags too: namespace:<name>)
+  async invalidate(tags) {
+    const client = this.getClient();
+    if (!client || tags.length === 0) return 0;
+
+    const deleted = await client.eval(INVALIDATE_SCRIPT, tags.length, ...tags.map(tag => this.keys.tag(tag)));
+    if (deleted > 0) {
+      this.invalidations += deleted;
+      logger.debug(`🗑️  Invalidated ${deleted} cache entr${deleted === 1 ? 'y' : 'ies'} tagged ${tags.join(', ')}`);
+    }
+    return deleted;
+  }
+
+  // Hit/miss counters for /api/status
+  getStats() {
+    const total = Object.fromEntries(OUTCOMES.map(name => [name, 0]));
+    const namespaces = {};
+    for (const [namespace, counters] of this.stats) {
+      namespaces[namespace] = { ...counters };
+      for (const name of OUTCOMES) total[name] += counters[name];
+    }
+    const served = total.hits + total.stale;
+    const lookups = served + total.misses;
+
+    return {
+      enabled: this.enabled,
+      active: Boolean(this.getClient()),
+      mode: redisConnection.status.mode,
+      ttl: this.ttl,
+      staleTtl: this.staleTtl,
+      ...total,
+      hitRatio: lookups > 0 ? Number((served / lookups).toFixed(3)) : null,
+      invalidations: this.invalidations,
+      lastError: this.lastError,
+      namespaces
+    };
+  }
+}
+
+module.exports = new RedisCache();
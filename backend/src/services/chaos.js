@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const eventBus = require('./eventBus');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+const { detachContext } = require('../utils/requestContext');
+
+const SERVICES = ['mongodb', 'redis'];
+const FAULT_TYPES = ['latency', 'errors', 'pause-reconnect'];
+const INSTRUMENTED = Symbol('chaosInstrumented');
+
+const connectors = { mongodb: mongoConnection, redis: redisConnection };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fault injection for rehearsing degradation without touching the containers
+class ChaosController {
+  constructor() {
+    this.enabled = process.env.CHAOS_ENABLED === 'true';
+    this.defaultDuration = parseDuration(process.env.CHAOS_DEFAULT_DURATION, 60000) || 60000;
+    this.maxDuration = parseDuration(process.env.CHAOS_MAX_DURATION, 600000) || 600000;
+    this.maxAudit = parseInt(process.env.CHAOS_AUDIT_MAX) || 200;
+
+    this.faults = new Map();
+    this.audit = [];
+    this.started = false;
+  }
+
+  start() {
+    if (!this.enabled || this.started) return;
+    this.started = true;
+
+    // Clients are replaced on reconnect, so re-instrument on every state change
+    mongoConnection.on('status', () => this.instrumentMongo());
+    redisConnection.on('status', () => this.instrumentRedis());
+    this.instrumentMongo();
+    this.instrumentRedis();
+
+    logger.warn('🧪 Chaos API enabled: faults can be injected through /api/chaos');
+  }
+
+  stop() {
+    for (const fault of this.faults.values()) {
+      clearTimeout(fault.timer);
+    }
+    this.faults.clear();
+  }
+
+  // Every MongoDB operation selects a server first, so delaying or failing that covers them all
+  instrumentMongo() {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const topology = mongoose.connection.getClient().topology;
+    if (!topology || topology[INSTRUMENTED]) return;
+
+    const selectServer = topology.selectServer;
+    topology.selectServer = async (...args) => {
+      await this.applyFaults('mongodb');
+      return selectServer.apply(topology, args);
+    };
+    topology[INSTRUMENTED] = true;
+  }
+
+  instrumentRedis() {
+    const client = redisConnection.client;
+    if (!client || client[INSTRUMENTED]) return;
+
+    const sendCommand = client.sendCommand;
+    client.sendCommand = (command, ...args) => {
+      const effect = this.getEffect('redis');
+      if (!effect) return sendCommand.call(client, command, ...args);
+
+      this.applyFaults('redis', effect).then(
+        () => sendCommand.call(client, command, ...args),
+        (error) => command.reject(error)
+      );
+      return command.promise;
+    };
+    client[INSTRUMENTED] = true;
+  }
+
+  // Strongest active latency and error rate for a service, or null when nothing applies
+  getEffect(service) {
+    let latencyMs = 0;
+    let jitterMs = 0;
+    let errorRate = 0;
+
+    for (const fault of this.faults.values()) {
+      if (fault.service !== service) continue;
+      if (fault.type === 'latency') {
+        latencyMs = Math.max(latencyMs, fault.latencyMs);
+        jitterMs = Math.max(jitterMs, fault.jitterMs);
+      } else if (fault.type === 'errors') {
+        errorRate = Math.max(errorRate, fault.errorRate);
+      }
+    }
+
+    return latencyMs || errorRate ? { latencyMs, jitterMs, errorRate } : null;
+  }
+
+  async applyFaults(service, effect = this.getEffect(service)) {
+    if (!effect) return;
+
+    if (effect.latencyMs) {
+      await sleep(effect.latencyMs + Math.random() * effect.jitterMs);
+    }
+    if (effect.errorRate && Math.random() < effect.errorRate) {
+      throw new Error(`Chaos: injected ${service} error`);
+    }
+  }
+
+  inject({ service, type, duration, latencyMs, jitterMs, errorRate, reason }, actor) {
+    if (!SERVICES.includes(service)) throw badRequest(`service must be one of ${SERVICES.join(', ')}`);
+    if (!FAULT_TYPES.includes(type)) throw badRequest(`type must be one of ${FAULT_TYPES.join(', ')}`);
+
+    const durationMs = parseDuration(duration, this.defaultDuration);
+    if (!durationMs || durationMs > this.maxDuration) {
+      throw badRequest(`duration must be a positive duration up to ${this.maxDuration / 1000}s`);
+    }
+
+    const fault = {
+      id: crypto.randomUUID(),
+      service,
+      type,
+      reason: reason || null,
+      actor,
+      startedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + durationMs).toISOString()
+    };
+
+    if (type === 'latency') {
+      fault.latencyMs = parseInt(latencyMs);
+      fault.jitterMs = parseInt(jitterMs) || 0;
+      if (!(fault.latencyMs > 0)) throw badRequest('latencyMs must be a positive number');
+    } else if (type === 'errors') {
+      fault.errorRate = Number(errorRate);
+      if (!(fault.errorRate > 0 && fault.errorRate <= 1)) throw badRequest('errorRate must be between 0 (exclusive) and 1');
+    } else {
+      connectors[service].pauseReconnection(Date.now() + durationMs);
+    }
+
+    fault.timer = detachContext(() => setTimeout(() => this.clear(fault.id, null), durationMs));
+    this.faults.set(fault.id, fault);
+    this.instrumentMongo();
+    this.instrumentRedis();
+
+    this.record('inject', actor, this.describe(fault));
+    logger.warn(`🧪 Injected ${type} fault on ${service} for ${durationMs / 1000}s (${fault.id})`);
+    return this.describe(fault);
+  }
+
+  clear(id, actor) {
+    const fault = this.faults.get(id);
+    if (!fault) return null;
+
+    clearTimeout(fault.timer);
+    this.faults.delete(id);
+
+    // Another pause on the same service keeps reconnection held
+    if (fault.type === 'pause-reconnect') {
+      const remaining = [...this.faults.values()]
+        .filter(other => other.service === fault.service && other.type === 'pause-reconnect')
+        .map(other => new Date(other.expiresAt).getTime());
+
+      if (remaining.length > 0) {
+        connectors[fault.service].pauseReconnection(Math.max(...remaining));
+      } else {
+        connectors[fault.service].resumeReconnection();
+      }
+    }
+
+    // A null actor means the fault ran out its duration
+    this.record(actor ? 'clear' : 'expire', actor || 'system', this.describe(fault));
+    logger.info(`🧪 ${actor ? 'Cleared' : 'Expired'} ${fault.type} fault on ${fault.service} (${fault.id})`);
+    return this.describe(fault);
+  }
+
+  clearAll(actor) {
+    return [...this.faults.keys()].map(id => this.clear(id, actor));
+  }
+
+  async disconnect(service, actor, reason) {
+    if (!SERVICES.includes(service)) throw badRequest(`service must be one of ${SERVICES.join(', ')}`);
+
+    // Drop the connection without the graceful shutdown path so the reconnection logic takes over
+    if (service === 'mongodb') {
+      if (mongoose.connection.readyState === 0) throw badRequest('MongoDB is not connected');
+      await mongoose.connection.close(true);
+    } else {
+      if (!redisConnection.client) throw badRequest('Redis is not configured');
+      redisConnection.client.disconnect(true);
+    }
+
+    const details = { service, reason: reason || null };
+    this.record('disconnect', actor, details);
+    logger.warn(`🧪 Forced ${service} disconnect`);
+    return details;
+  }
+
+  record(action, actor, details) {
+    const { actor: injectedBy, ...rest } = details;
+    this.audit.unshift({ action, actor, ...rest, injectedBy, timestamp: new Date().toISOString() });
+    if (this.audit.length > this.maxAudit) this.audit.length = this.maxAudit;
+
+    eventBus.publish('admin', {
+      source: 'chaos',
+      action,
+      actor,
+      service: rest.service,
+      message: action === 'disconnect'
+        ? `${actor} forced a ${rest.service} disconnect`
+        : `${actor}: ${action} ${rest.type} fault on ${rest.service}`,
+      details: rest
+    });
+  }
+
+  describe(fault) {
+    const { timer, ...rest } = fault;
+    return rest;
+  }
+
+  getActiveFaults() {
+    return [...this.faults.values()].map(fault => this.describe(fault));
+  }
+
+  // Compact view for /api/status
+  getSummary() {
+    return {
+      enabled: this.enabled,
+      active: this.getActiveFaults()
+    };
+  }
+
+  getStatus(auditLimit = 50) {
+    return {
+      enabled: this.enabled,
+      defaultDuration: this.defaultDuration / 1000,
+      maxDuration: this.maxDuration / 1000,
+      active: this.getActiveFaults(),
+      audit: this.audit.slice(0, auditLimit)
+    };
+  }
+}
+
+module.exports = new ChaosController();
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('../utils/logger');
+
+// ${VAR}, ${VAR:-default} and ${VAR-default}, resolved from the backend's environment
+const interpolate = (text) => text.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?-)([^}]*))?\}/g, (match, name, operator, fallback) => {
+  const value = process.env[name];
+  if (operator === ':-') return value ? value : fallback;
+  if (operator === '-') return value !== undefined ? value : fallback;
+  return value || '';
+});
+
+const commandText = (command) => [].concat(command || []).join(' ');
+
+const flagValue = (text, flag) => {
+  const match = text.match(new RegExp(`${flag}[\\s=]+([^\\s'"]+)`));
+  return match ? match[1] : null;
+};
+
+// "27018:27017", "127.0.0.1:6379:6379/tcp" or the long syntax -> { published, target, protocol }
+const parsePort = (entry) => {
+  if (entry && typeof entry === 'object') {
+    return {
+      published: parseInt(entry.published) || null,
+      target: parseInt(entry.target) || null,
+      protocol: entry.protocol || 'tcp'
+    };
+  }
+  const [spec, protocol = 'tcp'] = String(entry).split('/');
+  const parts = spec.split(':');
+  const target = parseInt(parts[parts.length - 1]) || null;
+  const published = parts.length > 1 ? parseInt(parts[parts.length - 2]) || null : null;
+  return { published, target, protocol };
+};
+
+const parseHealthcheck = (healthcheck) => {
+  if (!healthcheck || healthcheck.disable) return null;
+  const test = [].concat(healthcheck.test || []);
+  return {
+    test: (['CMD', 'CMD-SHELL'].includes(test[0]) ? test.slice(1) : test).join(' '),
+    interval: healthcheck.interval || null,
+    timeout: healthcheck.timeout || null,
+    retries: healthcheck.retries ?? null,
+    startPeriod: healthcheck.start_period || null
+  };
+};
+
+// depends_on is either a list of names or { name: { condition } }
+const parseDependsOn = (dependsOn) => {
+  if (!dependsOn) return [];
+  if (Array.isArray(dependsOn)) return dependsOn.map(service => ({ service, condition: 'service_started' }));
+  return Object.entries(dependsOn).map(([service, options]) => ({
+    service,
+    condition: (options && options.condition) || 'service_started'
+  }));
+};
+
+const listNames = (value) => (Array.isArray(value) ? value : Object.keys(value || {}));
+
+// What a service is, from its image, build context and command line
+const classify = (name, definition) => {
+  const image = String(definition.image || '');
+  const build = typeof definition.build === 'string' ? definition.build : (definition.build && definition.build.context) || '';
+  const command = commandText(definition.command);
+  const oneShot = String(definition.restart) === 'no';
+
+  if (/(^|\/)backend$/.test(build.replace(/\/$/, '')) || name === 'backend') return { kind: 'backend' };
+  if (/(^|\/)frontend$/.test(build.replace(/\/$/, '')) || name === 'frontend') return { kind: 'frontend' };
+
+  if (/(^|\/)mongo(:|$)/.test(image)) {
+    if (oneShot || (/mongosh/.test(command) && !/\bmongod\b/.test(command))) return { kind: 'init', service: 'mongodb' };
+    if (/^\s*mongos\b/.test(command)) return { kind: 'mongos', service: 'mongodb' };
+    const replicaSet = flagValue(command, '--replSet');
+    if (/--configsvr/.test(command)) return { kind: 'mongo-config', service: 'mongodb', replicaSet };
+    if (/--shardsvr/.test(command)) return { kind: 'mongo-shard', service: 'mongodb', replicaSet };
+    if (replicaSet) return { kind: 'mongo-member', service: 'mongodb', replicaSet };
+    return { kind: 'mongod', service: 'mongodb' };
+  }
+
+  if (/(^|\/)redis(:|$)/.test(image)) {
+    if (oneShot || /--cluster\s+create/.test(command)) return { kind: 'init', service: 'redis' };
+    if (/redis-sentinel|sentinel\s+monitor/.test(command)) return { kind: 'redis-sentinel', service: 'redis' };
+    if (/--cluster-enabled\s+yes/.test(command)) return { kind: 'redis-cluster-node', service: 'redis' };
+    if (/--(replicaof|slaveof)\b/.test(command)) return { kind: 'redis-replica', service: 'redis' };
+    return { kind: 'redis-server', service: 'redis' };
+  }
+
+  return { kind: oneShot ? 'init' : 'other' };
+};
+
+const count = (services, kind) => services.filter(service => service.kind === kind).reduce((sum, service) => sum + service.replicas, 0);
+
+// The MongoDB / Redis deployment the compose file describes
+const expectedTopology = (services) => {
+  let mongodb = null;
+  if (count(services, 'mongos') > 0) {
+    const shards = {};
+    for (const service of services.filter(entry => entry.kind === 'mongo-shard')) {
+      const shard = service.replicaSet || service.name;
+      shards[shard] = (shards[shard] || 0) + service.replicas;
+    }
+    mongodb = {
+      topology: 'sharded',
+      routers: count(services, 'mongos'),
+      shards,
+      configServers: count(services, 'mongo-config')
+    };
+  } else if (count(services, 'mongo-member') > 0) {
+    const members = services.filter(entry => entry.kind === 'mongo-member');
+    mongodb = { topology: 'replicaSet', replicaSet: members[0].replicaSet, members: count(services, 'mongo-member') };
+  } else if (count(services, 'mongod') > 0) {
+    mongodb = { topology: 'standalone', members: count(services, 'mongod') };
+  }
+
+  let redis = null;
+  if (count(services, 'redis-cluster-node') > 0) {
+    redis = { mode: 'cluster', nodes: count(services, 'redis-cluster-node') };
+  } else if (count(services, 'redis-sentinel') > 0) {
+    redis = { mode: 'sentinel', sentinels: count(services, 'redis-sentinel'), replicas: count(services, 'redis-replica') };
+  } else if (count(services, 'redis-replica') > 0) {
+    redis = { mode: 'replication', replicas: count(services, 'redis-replica') };
+  } else if (count(services, 'redis-server') > 0) {
+    redis = { mode: 'standalone' };
+  }
+
+  return { mongodb, redis };
+};
+
+class ComposeTopology {
+  constructor() {
+    this.file = null;
+    this.mtimeMs = null;
+    this.model = null;
+    this.error = null;
+  }
+
+  // ARCHITECTURE_COMPOSE_FILE points at a mounted docker-compose file
+  loadConfig() {
+    this.file = process.env.ARCHITECTURE_COMPOSE_FILE || null;
+    this.mtimeMs = null;
+    this.model = null;
+    this.error = null;
+    if (!this.file) return;
+
+    if (this.refresh()) {
+      const { services, expected } = this.model;
+      logger.info(`🐳 Loaded ${services.length} compose service(s) from ${this.file}` +
+        ` (MongoDB: ${expected.mongodb ? expected.mongodb.topology : 'none'}, Redis: ${expected.redis ? expected.redis.mode : 'none'})`);
+    }
+  }
+
+  // Re-parses when the file changes; the last good model is kept if the new one is invalid
+  refresh() {
+    try {
+      const { mtimeMs } = fs.statSync(this.file);
+      if (this.model && mtimeMs === this.mtimeMs) return true;
+      this.model = this.parse(fs.readFileSync(this.file, 'utf8'));
+      this.mtimeMs = mtimeMs;
+      this.error = null;
+      return true;
+    } catch (error) {
+      if (this.error !== error.message) {
+        logger.error(`❌ Cannot read compose file ${this.file}:`, error.message);
+      }
+      this.error = error.message;
+      return false;
+    }
+  }
+
+  parse(text) {
+    const document = YAML.parse(interpolate(text)) || {};
+    if (!document.services || typeof document.services !== 'object') {
+      throw new Error('no services section');
+    }
+
+    const services = Object.entries(document.services).map(([name, definition]) => {
+      definition = definition || {};
+      const { kind, service, replicaSet } = classify(name, definition);
+      return {
+        name,
+        containerName: definition.container_name || null,
+        image: definition.image || null,
+        build: Boolean(definition.build),
+        kind,
+        service: service || null,
+        replicaSet: replicaSet || null,
+        replicas: definition.deploy && definition.deploy.replicas !== undefined ? parseInt(definition.deploy.replicas) || 0 : 1,
+        ports: [].concat(definition.ports || []).map(parsePort),
+        networks: listNames(definition.networks),
+        aliases: Object.values(Array.isArray(definition.networks) ? {} : definition.networks || {})
+          .flatMap(network => (network && network.aliases) || []),
+        volumes: [].concat(definition.volumes || []).map(volume => (typeof volume === 'string' ? volume : `${volume.source || ''}:${volume.target}`)),
+        healthcheck: parseHealthcheck(definition.healthcheck),
+        dependsOn: parseDependsOn(definition.depends_on)
+      };
+    });
+
+    return {
+      file: path.basename(this.file),
+      name: document.name || null,
+      services,
+      networks: Object.entries(document.networks || {}).map(([name, definition]) => ({
+        name,
+        driver: (definition && definition.driver) || 'bridge',
+        external: Boolean(definition && definition.external)
+      })),
+      volumes: Object.entries(document.volumes || {}).map(([name, definition]) => ({
+        name,
+        driver: (definition && definition.driver) || 'local',
+        external: Boolean(definition && definition.external)
+      })),
+      dependsOn: services.flatMap(service => service.dependsOn.map(entry => ({
+        from: service.name,
+        to: entry.service,
+        condition: entry.condition
+      }))),
+      expected: expectedTopology(services),
+      loadedAt: new Date().toISOString()
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.file);
+  }
+
+  // Parsed compose model, or null when no file is configured or it cannot be read
+  get() {
+    if (!this.file) return null;
+    this.refresh();
+    return this.model;
+  }
+
+  getError() {
+    return this.error;
+  }
+}
+
+module.exports = new ComposeTopology();
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns').promises;
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/timeout');
+const { parseDuration } = require('../utils/duration');
+
+// Names already used by the built-in services
+const RESERVED_NAMES = ['backend', 'mongodb', 'redis'];
+
+const DEFAULTS = {
+  timeout: parseInt(process.env.HEALTH_CHECK_DEFAULT_TIMEOUT) || 5000,
+  interval: parseInt(process.env.HEALTH_CHECK_DEFAULT_INTERVAL) || 30000,
+  critical: false
+};
+
+// Numbers are milliseconds (as in the defaults), strings use the duration syntax ("30s", "5m", "250ms");
+// null when unparseable or not positive
+const toMs = (value, fallbackMs) => {
+  const ms = typeof value === 'number' ? value : parseDuration(value, fallbackMs);
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+};
+
+// ===== Built-in check types =====
+// Each returns optional details on success and throws on failure
+
+const httpCheck = async (check) => {
+  const expected = [].concat(check.expectedStatus || 200);
+  const response = await axios.get(check.url, {
+    timeout: check.timeout,
+    headers: check.headers || {},
+    maxRedirects: 0,
+    validateStatus: () => true
+  });
+
+  if (!expected.includes(response.status)) {
+    throw new Error(`Expected HTTP ${expected.join('/')}, got ${response.status}`);
+  }
+  return { statusCode: response.status };
+};
+
+const tcpCheck = (check) => new Promise((resolve, reject) => {
+  const socket = net.connect({ host: check.host, port: check.port });
+
+  socket.setTimeout(check.timeout);
+  socket.once('connect', () => {
+    socket.end();
+    resolve({ address: socket.remoteAddress });
+  });
+  socket.once('timeout', () => {
+    socket.destroy();
+    reject(new Error(`TCP connect to ${check.host}:${check.port} timed out`));
+  });
+  socket.once('error', (error) => {
+    socket.destroy();
+    reject(error);
+  });
+});
+
+const dnsCheck = async (check) => {
+  const addresses = check.recordType
+    ? await dns.resolve(check.hostname, check.recordType)
+    : (await dns.lookup(check.hostname, { all: true })).map(entry => entry.address);
+
+  if (!addresses || addresses.length === 0) {
+    throw new Error(`${check.hostname} resolved to no records`);
+  }
+  return { addresses };
+};
+
+const customCheck = async (check) => {
+  const modulePath = path.resolve(process.cwd(), check.module);
+  const loaded = require(modulePath);
+  const fn = typeof loaded === 'function' ? loaded : loaded.check;
+
+  if (typeof fn !== 'function') {
+    throw new Error(`Custom check module ${check.module} must export a function or { check }`);
+  }
+  return fn(check);
+};
+
+const CHECK_TYPES = {
+  http: { run: httpCheck, target: check => check.url, requires: ['url'] },
+  tcp: { run: tcpCheck, target: check => `${check.host}:${check.port}`, requires: ['host', 'port'] },
+  dns: { run: dnsCheck, target: check => check.hostname, requires: ['hostname'] },
+  custom: { run: customCheck, target: check => check.module, requires: ['module'] }
+};
+
+class DependencyChecks {
+  constructor() {
+    this.checks = new Map();
+    this.results = new Map();
+    this.timers = [];
+  }
+
+  // HEALTH_CHECKS holds a JSON array; HEALTH_CHECKS_FILE points to a JSON file with the same shape
+  loadConfig() {
+    let definitions = [];
+
+    try {
+      if (process.env.HEALTH_CHECKS_FILE) {
+        definitions = definitions.concat(JSON.parse(fs.readFileSync(process.env.HEALTH_CHECKS_FILE, 'utf8')));
+      }
+      if (process.env.HEALTH_CHECKS) {
+        definitions = definitions.concat(JSON.parse(process.env.HEALTH_CHECKS));
+      }
+    } catch (error) {
+      logger.error('❌ Invalid health check configuration:', error.message);
+      return;
+    }
+
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+  }
+
+  register(definition) {
+    if (!definition || typeof definition !== 'object') {
+      logger.error(`❌ Skipping health check ${JSON.stringify(definition)}: not an object`);
+      return;
+    }
+
+    const type = CHECK_TYPES[definition.type];
+    const problems = [];
+    const timeout = toMs(definition.timeout, DEFAULTS.timeout);
+    const interval = toMs(definition.interval, DEFAULTS.interval);
+
+    if (!definition.name) problems.push('missing name');
+    if (RESERVED_NAMES.includes(definition.name)) problems.push(`name "${definition.name}" is reserved`);
+    if (this.checks.has(definition.name)) problems.push(`duplicate name "${definition.name}"`);
+    if (!type) problems.push(`unknown type "${definition.type}"`);
+    else {
+      for (const field of type.requires) {
+        if (definition[field] === undefined) problems.push(`missing ${field}`);
+      }
+    }
+    if (timeout === null) problems.push(`invalid timeout ${JSON.stringify(definition.timeout)}`);
+    if (interval === null) problems.push(`invalid interval ${JSON.stringify(definition.interval)}`);
+
+    if (problems.length > 0) {
+      logger.error(`❌ Skipping health check ${definition.name || '(unnamed)'}: ${problems.join(', ')}`);
+      return;
+    }
+
+    const check = { ...DEFAULTS, ...definition, timeout, interval };
+    check.critical = !!check.critical;
+    check.target = type.target(check);
+
+    this.checks.set(check.name, check);
+    this.results.set(check.name, {
+      name: check.name,
+      type: check.type,
+      target: check.target,
+      critical: check.critical,
+      status: 'pending',
+      durationMs: null,
+      error: null,
+      details: null,
+      lastChecked: null,
+      lastSuccess: null
+    });
+  }
+
+  start() {
+    if (this.timers.length > 0) return;
+    this.loadConfig();
+    if (this.checks.size === 0) return;
+
+    for (const check of this.checks.values()) {
+      this.run(check);
+      this.timers.push(setInterval(() => this.run(check), check.interval));
+    }
+
+    logger.info(`🩺 Registered ${this.checks.size} extra health check(s): ${[...this.checks.keys()].join(', ')}`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  async run(check) {
+    const previous = this.results.get(check.name);
+    const started = Date.now();
+    let result;
+
+    try {
+      const details = await withTimeout(Promise.resolve(CHECK_TYPES[check.type].run(check)), check.timeout);
+      result = {
+        ...previous,
+        status: 'pass',
+        durationMs: Date.now() - started,
+        error: null,
+        details: details || null,
+        lastChecked: new Date().toISOString(),
+        lastSuccess: new Date().toISOString()
+      };
+    } catch (error) {
+      result = {
+        ...previous,
+        status: 'fail',
+        durationMs: Date.now() - started,
+        error: error.message,
+        details: null,
+        lastChecked: new Date().toISOString()
+      };
+    }
+
+    if (previous.status !== result.status && result.status === 'fail') {
+      logger.warn(`⚠️  Health check ${check.name} failing: ${result.error}`);
+    } else if (previous.status === 'fail' && result.status === 'pass') {
+      logger.info(`✅ Health check ${check.name} recovered`);
+    }
+
+    this.results.set(check.name, result);
+    return result;
+  }
+
+  getResults() {
+    return [...this.results.values()];
+  }
+}
+
+module.exports = new DependencyChecks();
@@ -0,0 +1,309 @@
+const EventEmitter = require('events');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const instanceRegistry = require('./instances');
+const logger = require('../utils/logger');
+
+// connection: an instance connected to / lost MongoDB or Redis (each instance publishes its own view)
+// topology:   membership, role or health changes (published by the leader only)
+// failover:   MongoDB elections and stepdowns, Redis Sentinel master switches, Redis Cluster master changes (leader only)
+// admin:      admin API and chaos actions
+// leadership: an instance took over the leader lease
+const EVENT_TYPES = ['connection', 'topology', 'failover', 'admin', 'leadership'];
+
+// The subscriber gets its own backoff so its reconnects don't count against the main client's lifecycle
+const subscriberRetryStrategy = (times) => Math.min(times * 1000, 5000);
+
+// Cross-instance event bus: events go to a capped Redis Stream (for replay) and to pub/sub (for live
+// delivery). Without Redis it degrades to an in-process bus and back-fills the stream once Redis returns.
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.enabled = process.env.EVENT_BUS_ENABLED !== 'false';
+    this.maxLength = parseInt(process.env.EVENT_STREAM_MAXLEN) || 1000;
+    this.replayLimit = parseInt(process.env.EVENT_REPLAY_LIMIT) || 100;
+    // Same hash tag scheme as the instance registry: one cluster slot for every key
+    const prefix = `{${process.env.EVENT_BUS_KEY_PREFIX || 'mern-devops'}}`;
+    this.keys = {
+      stream: `${prefix}:events`,
+      channel: `${prefix}:events:live`
+    };
+
+    this.sequence = 0;
+    // Every event seen here (own and remote), for replay while Redis is unavailable
+    this.recent = [];
+    // Own events published while Redis was unavailable, appended to the stream when it is back
+    this.pending = [];
+    this.subscriber = null;
+    this.subscriberSource = null;
+    this.signatures = {};
+    this.published = 0;
+    this.received = 0;
+    this.lastError = null;
+    this.started = false;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const connection of [mongoConnection, redisConnection]) {
+      connection.on('status', (event) => {
+        if (event.connected === event.previouslyConnected) return;
+        this.publish('connection', {
+          service: event.service,
+          connected: event.connected,
+          message: `${event.service === 'mongodb' ? 'MongoDB' : 'Redis'} ${event.connected ? 'connected' : 'disconnected'}` +
+            (!event.connected && event.lastError ? `: ${event.lastError}` : '')
+        });
+      });
+      connection.on('topology', (event) => this.onTopology(event));
+      connection.on('topology-event', (event) => this.onTopologyEvent(event));
+    }
+
+    redisConnection.on('status', (event) => {
+      if (event.connected) this.connectSubscriber();
+    });
+    instanceRegistry.on('leadership', (leader) => {
+      if (leader) this.publish('leadership', { message: `${instanceRegistry.id} became the leader` });
+    });
+
+    this.connectSubscriber();
+    logger.info(`📨 Event bus started (${this.enabled && redisConnection.isConfigured() ? `stream ${this.keys.stream}` : 'in-process'})`);
+  }
+
+  stop() {
+    this.closeSubscriber();
+  }
+
+  getClient() {
+    if (!this.enabled) return null;
+    const client = redisConnection.client;
+    if (!client || client.status !== 'ready' || redisConnection.lifecycle.isOpen()) return null;
+    return client;
+  }
+
+  // Subscribes on a duplicate of the current client; reconnects replace the client, so re-check on every connect
+  connectSubscriber() {
+    const client = this.getClient();
+    if (!client || client === this.subscriberSource) return;
+
+    this.closeSubscriber();
+    this.subscriberSource = client;
+    this.subscriber = redisConnection.isCluster
+      ? client.duplicate([], { clusterRetryStrategy: subscriberRetryStrategy })
+      : client.duplicate({ retryStrategy: subscriberRetryStrategy });
+
+    this.subscriber.on('error', (error) => logger.debug(`Event bus subscriber error: ${error.message}`));
+    this.subscriber.on('message', (channel, message) => this.receive(message));
+    this.subscriber.subscribe(this.keys.channel)
+      .then(() => logger.info(`📨 Subscribed to ${this.keys.channel}`))
+      .catch(error => logger.error('Event bus subscribe failed:', error.message));
+
+    this.flushPending(client);
+  }
+
+  closeSubscriber() {
+    if (this.subscriber) {
+      this.subscriber.disconnect();
+    }
+    this.subscriber = null;
+    this.subscriberSource = null;
+  }
+
+  // Never rejects: events that cannot reach Redis are still delivered in-process
+  async publish(type, payload = {}) {
+    const event = {
+      id: `${instanceRegistry.id}-${++this.sequence}`,
+      type,
+      origin: instanceRegistry.id,
+      ...payload,
+      timestamp: new Date().toISOString()
+    };
+
+    this.deliver(event);
+
+    const client = this.getClient();
+    if (!client) {
+      if (this.enabled && redisConnection.isConfigured()) {
+        this.pending = [...this.pending, event].slice(-this.replayLimit);
+      }
+      return event;
+    }
+
+    try {
+      await this.append(client, event);
+    } catch (error) {
+      this.lastError = error.message;
+      this.pending = [...this.pending, event].slice(-this.replayLimit);
+      logger.warn(`⚠️  Event bus publish failed, kept in-process: ${error.message}`);
+    }
+    return event;
+  }
+
+  async append(client, event) {
+    const message = JSON.stringify(event);
+    await client.xadd(this.keys.stream, 'MAXLEN', '~', this.maxLength, '*', 'event', message);
+    await client.publish(this.keys.channel, message);
+    this.published++;
+    this.lastError = null;
+  }
+
+  async flushPending(client) {
+    const pending = this.pending;
+    this.pending = [];
+
+    for (const event of pending) {
+      try {
+        await this.append(client, event);
+      } catch (error) {
+        this.lastError = error.message;
+        this.pending = [...this.pending, event].slice(-this.replayLimit);
+      }
+    }
+    if (pending.length > 0) {
+      logger.info(`📨 Appended ${pending.length} event(s) raised while Redis was unavailable`);
+    }
+  }
+
+  receive(message) {
+    try {
+      const event = JSON.parse(message);
+      // Our own events were delivered when published
+      if (event.origin === instanceRegistry.id) return;
+      this.received++;
+      this.deliver(event);
+    } catch (error) {
+      logger.debug(`Ignoring malformed event bus message: ${error.message}`);
+    }
+  }
+
+  deliver(event) {
+    this.recent = [...this.recent, event].slice(-this.replayLimit);
+    this.emit('event', event);
+  }
+
+  // Most recent events, oldest first; read from the stream so other instances' history is included
+  async replay(limit = this.replayLimit) {
+    const client = this.getClient();
+    if (client) {
+      try {
+        const entries = await client.xrevrange(this.keys.stream, '+', '-', 'COUNT', limit);
+        return entries
+          .map(([, fields]) => this.decode(fields))
+          .filter(Boolean)
+          .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      } catch (error) {
+        logger.warn(`⚠️  Event stream replay failed, using in-process events: ${error.message}`);
+      }
+    }
+    return this.recent.slice(-limit);
+  }
+
+  decode(fields) {
+    const index = fields.indexOf('event');
+    if (index < 0) return null;
+    try {
+      return JSON.parse(fields[index + 1]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Every instance sees the same topology, so only the leader publishes it
+  onTopology(event) {
+    if (event.service === 'mongodb') {
+      const nodes = (event.nodes || []).map(node => ({ host: node.host, role: node.role, health: node.health }));
+      if (!this.changed('mongodb', [event.topology, event.replicaSet, nodes])) return;
+
+      const primary = nodes.find(node => node.role === 'primary');
+      this.publishShared('topology', {
+        service: 'mongodb',
+        topology: event.topology,
+        nodes,
+        message: `MongoDB ${event.topology}${event.replicaSet ? ` ${event.replicaSet}` : ''} changed: ` +
+          `${nodes.length} node(s)${event.topology === 'replicaSet' ? `, primary ${primary ? primary.host : 'none'}` : ''}`
+      });
+      return;
+    }
+
+    const nodes = (event.clusterNodes || []).map(node => ({ address: node.address, role: node.role, healthy: node.healthy }));
+    const previous = this.signatures.redis ? JSON.parse(this.signatures.redis) : null;
+    if (!this.changed('redis', [event.mode, event.role, nodes])) return;
+
+    const masters = (list) => list.filter(node => node.role === 'master').map(node => node.address);
+    if (event.mode === 'cluster' && previous && previous[0] === 'cluster') {
+      const before = masters(previous[2]);
+      const after = masters(nodes);
+      const promoted = after.filter(address => !before.includes(address));
+      if (promoted.length > 0) {
+        this.publishShared('failover', {
+          service: 'redis',
+          mode: 'cluster',
+          from: before.filter(address => !after.includes(address)),
+          to: promoted,
+          message: `Redis Cluster promoted ${promoted.join(', ')} to master`
+        });
+        return;
+      }
+    }
+
+    const healthy = nodes.filter(node => node.healthy).length;
+    this.publishShared('topology', {
+      service: 'redis',
+      mode: event.mode,
+      role: event.role,
+      nodes,
+      message: event.mode === 'cluster'
+        ? `Redis Cluster changed: ${healthy}/${nodes.length} node(s) healthy`
+        : `Redis is now ${event.mode} (role: ${event.role})`
+    });
+  }
+
+  // MongoDB elections and Sentinel notifications
+  onTopologyEvent(event) {
+    const { service, type, timestamp, ...details } = event;
+    const failover = service === 'mongodb' ? ['election', 'stepdown', 'no-primary'].includes(type) : type === '+switch-master';
+    this.publishShared(failover ? 'failover' : 'topology', {
+      service,
+      event: type,
+      ...details,
+      message: service === 'mongodb'
+        ? `MongoDB ${details.message}`
+        : type === '+switch-master'
+          ? `Redis Sentinel failover from ${details.from} to ${details.to}`
+          : `Sentinel ${type} ${details.instanceType || ''} ${details.instance || ''}`.trim()
+    });
+  }
+
+  publishShared(type, payload) {
+    if (!instanceRegistry.isLeader()) return;
+    this.publish(type, payload);
+  }
+
+  // The first observation is a baseline, not a change
+  changed(service, value) {
+    const signature = JSON.stringify(value);
+    const previous = this.signatures[service];
+    this.signatures[service] = signature;
+    return previous !== undefined && previous !== signature;
+  }
+
+  getStatus() {
+    return {
+      mode: this.getClient() ? 'redis' : 'local',
+      types: EVENT_TYPES,
+      stream: this.keys.stream,
+      channel: this.keys.channel,
+      maxLength: this.maxLength,
+      replayLimit: this.replayLimit,
+      subscribed: Boolean(this.subscriber && this.subscriber.status === 'ready'),
+      published: this.published,
+      received: this.received,
+      pending: this.pending.length,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new EventBus();
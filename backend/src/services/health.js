@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const dependencyChecks = require('./dependencyChecks');
+const { withTimeout } = require('../utils/timeout');
+
+const parseRequired = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true';
+};
+
+class HealthService {
+  constructor() {
+    this.timeout = parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 2000;
+    this.startupComplete = false;
+    this.shuttingDown = false;
+    this.checks = new Map();
+
+    this.register('mongodb', {
+      required: () => parseRequired(process.env.HEALTH_MONGODB_REQUIRED, true),
+      configured: () => true,
+      check: async () => {
+        mongoConnection.lifecycle.assertAvailable();
+        if (mongoose.connection.readyState !== 1) {
+          throw new Error(mongoConnection.getStatus().lastError || mongoConnection.getStatus().message);
+        }
+        await mongoose.connection.db.admin().ping();
+      }
+    });
+
+    this.register('redis', {
+      // Redis is required whenever one of its modes is configured, unless overridden
+      required: () => parseRequired(process.env.HEALTH_REDIS_REQUIRED, redisConnection.isConfigured()),
+      configured: () => redisConnection.isConfigured(),
+      check: async () => {
+        redisConnection.lifecycle.assertAvailable();
+        if (!(await redisConnection.ping())) {
+          throw new Error(redisConnection.getStatus().lastError || redisConnection.getStatus().message);
+        }
+      }
+    });
+  }
+
+  register(name, { required, configured, check }) {
+    this.checks.set(name, { required, configured, check });
+  }
+
+  markStartupComplete() {
+    this.startupComplete = true;
+  }
+
+  markShuttingDown() {
+    this.shuttingDown = true;
+  }
+
+  async runCheck(name, definition) {
+    const required = definition.required();
+
+    if (!definition.configured()) {
+      return { name, required, status: 'skipped', durationMs: 0, error: null };
+    }
+
+    const started = Date.now();
+    try {
+      await withTimeout(definition.check(), this.timeout);
+      return { name, required, status: 'pass', durationMs: Date.now() - started, error: null };
+    } catch (error) {
+      return { name, required, status: 'fail', durationMs: Date.now() - started, error: error.message };
+    }
+  }
+
+  async runChecks() {
+    const builtIn = await Promise.all(
+      [...this.checks.entries()].map(([name, definition]) => this.runCheck(name, definition))
+    );
+
+    // Extra checks run on their own schedule; report their latest result
+    const extra = dependencyChecks.getResults().map(result => ({
+      name: result.name,
+      required: result.critical,
+      status: result.status,
+      durationMs: result.durationMs,
+      error: result.error,
+      type: result.type,
+      lastChecked: result.lastChecked
+    }));
+
+    return [...builtIn, ...extra];
+  }
+
+  // Liveness: the process is up and the event loop is responsive
+  getLiveness() {
+    return {
+      status: 'pass',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Readiness: startup finished, not draining, and every required dependency passes
+  async getReadiness() {
+    const checks = await this.runChecks();
+    const failing = checks.filter(check => check.required && check.status === 'fail');
+
+    let reason = null;
+    if (this.shuttingDown) reason = 'Shutting down';
+    else if (!this.startupComplete) reason = 'Startup in progress';
+    else if (failing.length > 0) reason = `Required dependencies failing: ${failing.map(check => check.name).join(', ')}`;
+
+    return {
+      ready: reason === null,
+      status: reason === null ? 'pass' : 'fail',
+      reason,
+      checks,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Startup: initial connection attempts have completed
+  getStartup() {
+    return {
+      started: this.startupComplete,
+      status: this.startupComplete ? 'pass' : 'fail',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new HealthService();
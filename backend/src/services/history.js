@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const healthService = require('./health');
+const instanceRegistry = require('./instances');
+const logger = require('../utils/logger');
+
+const MAX_RAW_SAMPLES = 5000;
+
+class HistoryRecorder {
+  constructor() {
+    this.collectionName = process.env.HISTORY_COLLECTION || 'status_history';
+    this.interval = parseInt(process.env.HISTORY_SAMPLE_INTERVAL) || 30000;
+    this.retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || 7;
+    this.maxBuffer = parseInt(process.env.HISTORY_BUFFER_SIZE) || 10000;
+    this.enabled = process.env.HISTORY_ENABLED !== 'false';
+
+    this.buffer = [];
+    this.dropped = 0;
+    this.timer = null;
+    this.collectionReady = false;
+    this.flushing = null;
+
+    // Flush whatever was buffered while MongoDB was away
+    mongoConnection.on('status', (event) => {
+      if (event.connected && !event.previouslyConnected) {
+        this.flush();
+      }
+    });
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sample().catch(error => logger.error('Status history sample failed:', error.message));
+    }, this.interval);
+    logger.info(`🗂️  Recording status history every ${this.interval / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  async sample() {
+    // With several backends, only the leader records history
+    if (!instanceRegistry.isLeader()) return;
+
+    const timestamp = new Date();
+    const checks = await healthService.runChecks();
+    const mongoStatus = mongoConnection.getStatus();
+    const redisStatus = redisConnection.getStatus();
+
+    const topologies = {
+      mongodb: mongoStatus.topology,
+      redis: redisStatus.mode
+    };
+
+    // Normally only one instance samples; while Redis is unreachable each one does, told apart by instance
+    const instance = instanceRegistry.id;
+    const samples = [{
+      timestamp,
+      service: 'backend',
+      instance,
+      connected: true,
+      latency: null,
+      topology: null,
+      error: null
+    }];
+
+    for (const check of checks) {
+      if (check.status === 'skipped' || check.status === 'pending') continue;
+
+      samples.push({
+        timestamp,
+        service: check.name,
+        instance,
+        connected: check.status === 'pass',
+        latency: check.durationMs,
+        topology: topologies[check.name] || check.type || null,
+        error: check.error
+      });
+    }
+
+    this.buffer.push(...samples);
+    if (this.buffer.length > this.maxBuffer) {
+      const overflow = this.buffer.length - this.maxBuffer;
+      this.buffer.splice(0, overflow);
+      this.dropped += overflow;
+    }
+
+    await this.flush();
+  }
+
+  async getCollection() {
+    const db = mongoose.connection.db;
+
+    if (!this.collectionReady) {
+      try {
+        await db.createCollection(this.collectionName, {
+          timeseries: { timeField: 'timestamp', metaField: 'service', granularity: 'seconds' },
+          expireAfterSeconds: this.retentionDays * 24 * 60 * 60
+        });
+        logger.info(`🗂️  Created time-series collection ${this.collectionName}`);
+      } catch (error) {
+        // 48 = NamespaceExists
+        if (error.code !== 48) throw error;
+      }
+      this.collectionReady = true;
+    }
+
+    return db.collection(this.collectionName);
+  }
+
+  async flush() {
+    if (this.flushing) return this.flushing;
+    if (this.buffer.length === 0 || mongoose.connection.readyState !== 1) return;
+
+    this.flushing = (async () => {
+      const batch = this.buffer.slice();
+      let written = [];
+      try {
+        const collection = await this.getCollection();
+        await collection.insertMany(batch, { ordered: false });
+        written = batch;
+
+        if (batch.length > 20) {
+          logger.info(`🗂️  Flushed ${batch.length} buffered status samples`);
+        }
+      } catch (error) {
+        // An unordered insert that partly succeeded (a rejected document, a write concern timeout) lists
+        // only the failed documents; the rest are stored and time-series collections keep duplicates
+        if (error.name === 'MongoBulkWriteError') {
+          const failed = new Set(error.writeErrors.map(writeError => writeError.index));
+          written = batch.filter((_, index) => !failed.has(index));
+        }
+        logger.warn(`⚠️  Status history flush failed, keeping ${batch.length - written.length} samples buffered: ${error.message}`);
+      }
+
+      // By identity: samples taken while the insert ran may have trimmed the front of the buffer
+      const stored = new Set(written);
+      this.buffer = this.buffer.filter(sample => !stored.has(sample));
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  // Raw samples, or per-bucket uptime when a bucket ({ unit, binSize }) is given
+  async query({ from, to, service, bucket }) {
+    const match = { timestamp: { $gte: from, $lte: to } };
+    if (service && service.length > 0) {
+      match.service = { $in: service };
+    }
+
+    const collection = await this.getCollection();
+
+    if (!bucket) {
+      const samples = await collection
+        .find(match, { projection: { _id: 0 } })
+        .sort({ timestamp: 1 })
+        .limit(MAX_RAW_SAMPLES)
+        .toArray();
+      return { samples, truncated: samples.length === MAX_RAW_SAMPLES };
+    }
+
+    const buckets = await collection.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            service: '$service',
+            bucket: { $dateTrunc: { date: '$timestamp', unit: bucket.unit, binSize: bucket.binSize } }
+          },
+          samples: { $sum: 1 },
+          connected: { $sum: { $cond: ['$connected', 1, 0] } },
+          avgLatency: { $avg: '$latency' },
+          maxLatency: { $max: '$latency' },
+          lastError: { $last: '$error' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          service: '$_id.service',
+          timestamp: '$_id.bucket',
+          samples: 1,
+          uptime: { $round: [{ $multiply: [{ $divide: ['$connected', '$samples'] }, 100] }, 2] },
+          avgLatency: { $round: ['$avgLatency', 2] },
+          maxLatency: 1,
+          lastError: 1
+        }
+      },
+      { $sort: { timestamp: 1, service: 1 } }
+    ]).toArray();
+
+    return { buckets };
+  }
+
+  getBufferStats() {
+    return {
+      buffered: this.buffer.length,
+      dropped: this.dropped
+    };
+  }
+}
+
+module.exports = new HistoryRecorder();
@@ -0,0 +1,224 @@
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const { version } = require('../../package.json');
+const logger = require('../utils/logger');
+
+// Extends the lease only while this instance still holds it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Every backend instance registers itself in Redis with a heartbeat TTL; one of them holds
+// the leader lease and runs the singleton jobs (history sampling, alert evaluation).
+class InstanceRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.enabled = process.env.INSTANCE_REGISTRY_ENABLED !== 'false';
+    this.heartbeatInterval = parseInt(process.env.INSTANCE_HEARTBEAT_INTERVAL) || 5000;
+    this.ttl = Math.max(parseInt(process.env.INSTANCE_TTL) || 15000, this.heartbeatInterval * 2);
+    // One hash tag keeps every key in the same cluster slot, so MULTI and MGET work in cluster mode
+    const prefix = `{${process.env.INSTANCE_KEY_PREFIX || 'mern-devops'}}`;
+    this.keys = {
+      index: `${prefix}:instances`,
+      instance: (id) => `${prefix}:instance:${id}`,
+      leader: `${prefix}:leader`
+    };
+
+    // Random so the id reveals nothing that viewer redaction hides (hostname, PID)
+    this.id = crypto.randomBytes(6).toString('hex');
+    this.startedAt = new Date().toISOString();
+    this.timer = null;
+    this.leader = false;
+    this.leaderId = null;
+    this.leaderSince = null;
+    // registry: Redis is used; local: Redis unavailable or disabled, this instance acts alone
+    this.mode = 'local';
+    this.lastHeartbeat = null;
+    this.lastError = null;
+    this.instances = [];
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!this.enabled || !redisConnection.isConfigured()) {
+      logger.info(`🖥️  Instance registry ${this.enabled ? 'needs Redis' : 'disabled'}; ${this.id} runs singleton jobs itself`);
+      this.setLeader(true, this.id);
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.heartbeat().catch(error => logger.error('Instance heartbeat failed:', error.message));
+    }, this.heartbeatInterval);
+    this.heartbeat().catch(error => logger.error('Instance heartbeat failed:', error.message));
+    logger.info(`🖥️  Registering ${this.id} every ${this.heartbeatInterval / 1000}s (TTL ${this.ttl / 1000}s)`);
+  }
+
+  // Drops the registration and hands leadership over right away instead of waiting for the TTL
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const client = this.getClient();
+    if (!client) return;
+    try {
+      await client.multi()
+        .del(this.keys.instance(this.id))
+        .zrem(this.keys.index, this.id)
+        .exec();
+      if (this.leader) await client.eval(RELEASE_SCRIPT, 1, this.keys.leader, this.id);
+      logger.info(`🖥️  Deregistered ${this.id}`);
+    } catch (error) {
+      logger.warn(`⚠️  Could not deregister ${this.id}: ${error.message}`);
+    }
+  }
+
+  getClient() {
+    const client = redisConnection.client;
+    if (!client || client.status !== 'ready' || redisConnection.lifecycle.isOpen()) return null;
+    return client;
+  }
+
+  // This instance's own view of its dependencies
+  describe() {
+    const mongoStatus = mongoConnection.getStatus();
+    const redisStatus = redisConnection.getStatus();
+
+    return {
+      id: this.id,
+      hostname: os.hostname(),
+      pid: process.pid,
+      version,
+      nodeVersion: process.version,
+      port: parseInt(process.env.PORT) || 5000,
+      startedAt: this.startedAt,
+      uptime: Math.floor(process.uptime()),
+      lastHeartbeat: new Date().toISOString(),
+      leader: this.leader,
+      health: {
+        mongodb: {
+          connected: mongoStatus.connected,
+          topology: mongoStatus.topology,
+          state: mongoConnection.lifecycle.state
+        },
+        redis: {
+          configured: redisConnection.isConfigured(),
+          connected: redisStatus.connected,
+          mode: redisStatus.mode,
+          state: redisConnection.lifecycle.state
+        }
+      }
+    };
+  }
+
+  async heartbeat() {
+    const client = this.getClient();
+
+    // Without Redis nobody can be elected; every instance keeps running the jobs so that
+    // alerts about Redis itself still fire
+    if (!client) {
+      if (this.mode === 'registry') {
+        logger.warn(`⚠️  Redis unavailable; ${this.id} runs singleton jobs locally until it is back`);
+      }
+      this.mode = 'local';
+      this.setLeader(true, this.id);
+      return;
+    }
+
+    try {
+      await this.elect(client);
+
+      const now = Date.now();
+      const record = this.describe();
+      await client.multi()
+        .set(this.keys.instance(this.id), JSON.stringify(record), 'PX', this.ttl)
+        .zadd(this.keys.index, now + this.ttl, this.id)
+        .zremrangebyscore(this.keys.index, '-inf', now)
+        .exec();
+
+      this.instances = await this.fetchInstances(client);
+      if (this.mode !== 'registry') logger.info(`🖥️  Instance registry active (${this.instances.length} instance(s))`);
+      this.mode = 'registry';
+      this.lastHeartbeat = record.lastHeartbeat;
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+
+  // Renew the lease if we hold it, otherwise try to take it
+  async elect(client) {
+    if (this.leader && this.mode === 'registry') {
+      const renewed = await client.eval(RENEW_SCRIPT, 1, this.keys.leader, this.id, this.ttl);
+      if (renewed === 1) return;
+    }
+
+    const acquired = await client.set(this.keys.leader, this.id, 'PX', this.ttl, 'NX');
+    const holder = acquired === 'OK' ? this.id : await client.get(this.keys.leader);
+    this.setLeader(holder === this.id, holder);
+  }
+
+  setLeader(leader, leaderId) {
+    this.leaderId = leaderId;
+    if (leader === this.leader) return;
+
+    this.leader = leader;
+    this.leaderSince = leader ? new Date().toISOString() : null;
+    logger.info(leader
+      ? `👑 ${this.id} is now the leader and runs singleton jobs`
+      : `👥 ${this.id} is a follower; leader is ${leaderId || 'unknown'}`);
+    this.emit('leadership', leader);
+  }
+
+  async fetchInstances(client) {
+    const ids = await client.zrangebyscore(this.keys.index, Date.now(), '+inf');
+    if (ids.length === 0) return [];
+
+    const records = await client.mget(ids.map(id => this.keys.instance(id)));
+    return records
+      .filter(Boolean)
+      .map(record => JSON.parse(record))
+      .map(instance => ({ ...instance, leader: instance.id === this.leaderId }))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  // Last known instance list (refreshed every heartbeat); alone, just this instance as it is now
+  getInstances() {
+    return this.mode === 'local' ? [this.describe()] : this.instances;
+  }
+
+  getStatus() {
+    return {
+      self: this.id,
+      mode: this.mode,
+      leader: this.leaderId,
+      isLeader: this.leader,
+      leaderSince: this.leaderSince,
+      heartbeatInterval: this.heartbeatInterval,
+      ttl: this.ttl,
+      lastHeartbeat: this.lastHeartbeat,
+      lastError: this.lastError,
+      instances: this.getInstances()
+    };
+  }
+}
+
+module.exports = new InstanceRegistry();
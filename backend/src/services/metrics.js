@@ -0,0 +1,217 @@
+const client = require('prom-client');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const dependencyChecks = require('./dependencyChecks');
+const instanceRegistry = require('./instances');
+const { STATES } = require('../config/reconnection');
+
+const register = new client.Registry();
+const prefix = process.env.METRICS_PREFIX || 'mern_';
+
+register.setDefaultLabels({
+  app: 'mern-devops-backend'
+});
+
+// Process memory, CPU, event-loop lag, GC and handles
+client.collectDefaultMetrics({ register });
+
+// ===== HTTP =====
+const httpRequestsTotal = new client.Counter({
+  name: `${prefix}http_requests_total`,
+  help: 'Total HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${prefix}http_request_duration_seconds`,
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// ===== Redis ping =====
+const redisPingDuration = new client.Histogram({
+  name: `${prefix}redis_ping_duration_seconds`,
+  help: 'Redis PING round-trip latency',
+  labelNames: ['mode', 'success'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register]
+});
+
+// ===== Connections (read from the connection singletons at scrape time) =====
+new client.Gauge({
+  name: `${prefix}dependency_up`,
+  help: 'Whether the backend is connected to a dependency (1 = connected)',
+  labelNames: ['service', 'topology'],
+  registers: [register],
+  collect() {
+    const mongoStatus = mongoConnection.getStatus();
+    const redisStatus = redisConnection.getStatus();
+
+    this.reset();
+    this.set({ service: 'mongodb', topology: mongoStatus.topology || 'unknown' }, mongoStatus.connected ? 1 : 0);
+    if (redisConnection.client) {
+      this.set({ service: 'redis', topology: redisStatus.mode || 'unknown' }, redisStatus.connected ? 1 : 0);
+    }
+    for (const result of dependencyChecks.getResults()) {
+      this.set({ service: result.name, topology: result.type }, result.status === 'pass' ? 1 : 0);
+    }
+  }
+});
+
+new client.Counter({
+  name: `${prefix}connection_attempts_total`,
+  help: 'Connection state updates recorded by each connector',
+  labelNames: ['service'],
+  registers: [register],
+  collect() {
+    this.reset();
+    this.inc({ service: 'mongodb' }, mongoConnection.getStatus().connectionAttempts);
+    this.inc({ service: 'redis' }, redisConnection.getStatus().connectionAttempts);
+  }
+});
+
+new client.Gauge({
+  name: `${prefix}connection_lifecycle_state`,
+  help: 'Current connection lifecycle state of each connector (1 = current state)',
+  labelNames: ['service', 'state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    for (const [service, connector] of Object.entries({ mongodb: mongoConnection, redis: redisConnection })) {
+      for (const state of STATES) {
+        this.set({ service, state }, connector.lifecycle.state === state ? 1 : 0);
+      }
+    }
+  }
+});
+
+new client.Counter({
+  name: `${prefix}connection_failures_total`,
+  help: 'Failed connection attempts and lost connections recorded by each connector',
+  labelNames: ['service'],
+  registers: [register],
+  collect() {
+    this.reset();
+    this.inc({ service: 'mongodb' }, mongoConnection.lifecycle.totalFailures);
+    this.inc({ service: 'redis' }, redisConnection.lifecycle.totalFailures);
+  }
+});
+
+// ===== Topology members =====
+new client.Gauge({
+  name: `${prefix}mongodb_member_healthy`,
+  help: 'MongoDB replica set member or shard health (1 = healthy)',
+  labelNames: ['host', 'role', 'replica_set'],
+  registers: [register],
+  collect() {
+    const mongoStatus = mongoConnection.getStatus();
+
+    this.reset();
+    for (const node of mongoStatus.nodes || []) {
+      const healthy = node.health ? node.health === 'healthy' : node.state === 'active';
+      this.set({
+        host: node.host,
+        role: node.role,
+        replica_set: node.replicaSet || mongoStatus.replicaSet || ''
+      }, healthy ? 1 : 0);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${prefix}mongodb_member_replication_lag_seconds`,
+  help: 'Replication lag of each MongoDB secondary behind the primary',
+  labelNames: ['host', 'replica_set'],
+  registers: [register],
+  collect() {
+    const mongoStatus = mongoConnection.getStatus();
+
+    this.reset();
+    for (const node of mongoStatus.nodes || []) {
+      if (node.lagSeconds !== null && node.lagSeconds !== undefined) {
+        this.set({ host: node.host, replica_set: mongoStatus.replicaSet || '' }, node.lagSeconds);
+      }
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${prefix}redis_node_healthy`,
+  help: 'Redis Cluster node or Sentinel-managed instance health (1 = healthy)',
+  labelNames: ['address', 'role', 'mode'],
+  registers: [register],
+  collect() {
+    const redisStatus = redisConnection.getStatus();
+
+    this.reset();
+    for (const node of redisStatus.clusterNodes || []) {
+      this.set({ address: node.address, role: node.role, mode: 'cluster' }, node.healthy ? 1 : 0);
+    }
+
+    const sentinel = redisStatus.sentinel;
+    if (sentinel) {
+      if (sentinel.master) {
+        this.set({ address: sentinel.master.address, role: 'master', mode: 'sentinel' }, sentinel.master.healthy ? 1 : 0);
+      }
+      for (const replica of sentinel.replicas) {
+        this.set({ address: replica.address, role: 'replica', mode: 'sentinel' }, replica.healthy ? 1 : 0);
+      }
+      for (const node of sentinel.sentinels) {
+        this.set({ address: node.address, role: 'sentinel', mode: 'sentinel' }, node.reachable ? 1 : 0);
+      }
+    }
+  }
+});
+
+// ===== Instances =====
+new client.Gauge({
+  name: `${prefix}instance_leader`,
+  help: 'Whether this backend instance holds the leader lease and runs singleton jobs (1 = leader)',
+  registers: [register],
+  collect() {
+    this.set(instanceRegistry.isLeader() ? 1 : 0);
+  }
+});
+
+new client.Gauge({
+  name: `${prefix}instances_registered`,
+  help: 'Backend instances with a live heartbeat in the instance registry',
+  registers: [register],
+  collect() {
+    this.set(instanceRegistry.getInstances().length);
+  }
+});
+
+// Route template keeps label cardinality bounded (no raw paths or ids)
+const getRouteLabel = (req) => {
+  if (req.route && req.route.path) {
+    return `${req.baseUrl || ''}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+  }
+  return 'unmatched';
+};
+
+const recordHttpRequest = (req, res, durationSeconds) => {
+  const labels = {
+    method: req.method,
+    route: getRouteLabel(req),
+    status_code: res.statusCode
+  };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+const recordRedisPing = (latencyMs, success) => {
+  redisPingDuration.observe({
+    mode: redisConnection.getStatus().mode || 'unknown',
+    success: success ? 'true' : 'false'
+  }, latencyMs / 1000);
+};
+
+module.exports = {
+  register,
+  recordHttpRequest,
+  recordRedisPing
+};
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const timeout = parseInt(process.env.ALERT_NOTIFY_TIMEOUT) || 10000;
+
+const SLACK_COLORS = {
+  firing: { critical: '#dc2626', warning: '#f59e0b', info: '#3b82f6' },
+  resolved: '#16a34a'
+};
+
+const describe = (alert) => alert.state === 'firing'
+  ? `🔥 [${alert.severity.toUpperCase()}] ${alert.rule}: ${alert.summary}`
+  : `✅ [RESOLVED] ${alert.rule}: ${alert.summary}`;
+
+const describeInstance = (alert) => (alert.elected ? alert.instance : `${alert.instance} (no elected leader)`);
+
+// ===== Generic webhook: POSTs the alert as JSON =====
+const webhookNotifier = (url) => ({
+  name: 'webhook',
+  target: url,
+  send: (alert) => axios.post(url, alert, { timeout })
+});
+
+// ===== Slack-compatible incoming webhook (also Mattermost, Rocket.Chat) =====
+const slackNotifier = (url) => ({
+  name: 'slack',
+  target: url,
+  send: (alert) => axios.post(url, {
+    text: describe(alert),
+    attachments: [{
+      color: alert.state === 'firing'
+        ? SLACK_COLORS.firing[alert.severity] || SLACK_COLORS.firing.warning
+        : SLACK_COLORS.resolved,
+      fields: [
+        { title: 'Metric', value: alert.metric, short: true },
+        { title: 'Value', value: String(alert.value), short: true },
+        { title: 'Condition', value: alert.condition, short: true },
+        { title: 'Instance', value: describeInstance(alert), short: true }
+      ],
+      ts: Math.floor(new Date(alert.timestamp).getTime() / 1000)
+    }]
+  }, { timeout })
+});
+
+// ===== SMTP =====
+const emailNotifier = () => {
+  const transport = nodemailer.createTransport({
+    host: process.env.ALERT_SMTP_HOST,
+    port: parseInt(process.env.ALERT_SMTP_PORT) || 587,
+    secure: process.env.ALERT_SMTP_SECURE === 'true',
+    auth: process.env.ALERT_SMTP_USER
+      ? { user: process.env.ALERT_SMTP_USER, pass: process.env.ALERT_SMTP_PASS }
+      : undefined,
+    connectionTimeout: timeout
+  });
+
+  return {
+    name: 'email',
+    target: process.env.ALERT_EMAIL_TO,
+    send: (alert) => transport.sendMail({
+      from: process.env.ALERT_EMAIL_FROM || 'alerts@mern-devops.local',
+      to: process.env.ALERT_EMAIL_TO,
+      subject: describe(alert),
+      text: [
+        describe(alert),
+        '',
+        `Metric:    ${alert.metric}`,
+        `Value:     ${alert.value}`,
+        `Condition: ${alert.condition}`,
+        `Since:     ${alert.since}`,
+        `Instance:  ${describeInstance(alert)}`,
+        `Time:      ${alert.timestamp}`
+      ].join('\n')
+    })
+  };
+};
+
+// Notifiers are enabled by setting their target
+const createNotifiers = () => {
+  const notifiers = [];
+
+  if (process.env.ALERT_WEBHOOK_URL) {
+    notifiers.push(webhookNotifier(process.env.ALERT_WEBHOOK_URL));
+  }
+  if (process.env.ALERT_SLACK_WEBHOOK_URL) {
+    notifiers.push(slackNotifier(process.env.ALERT_SLACK_WEBHOOK_URL));
+  }
+  if (process.env.ALERT_SMTP_HOST && process.env.ALERT_EMAIL_TO) {
+    notifiers.push(emailNotifier());
+  }
+
+  return notifiers;
+};
+
+module.exports = { createNotifiers };
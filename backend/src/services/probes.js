@@ -0,0 +1,382 @@
+const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const calculateSlot = require('cluster-key-slot');
+const { ConnectionString } = require('mongodb-connection-string-url');
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/timeout');
+
+// Run a single probe step and record its latency and failure reason
+const runStep = async (steps, name, fn, fields = {}) => {
+  const started = Date.now();
+  try {
+    const detail = await fn();
+    steps.push({ step: name, ...fields, ok: true, latency: Date.now() - started, ...(detail || {}) });
+    return true;
+  } catch (error) {
+    steps.push({ step: name, ...fields, ok: false, latency: Date.now() - started, error: error.message });
+    return false;
+  }
+};
+
+const summarize = (steps, extra = {}) => {
+  const failed = steps.find(step => !step.ok && !step.skipped);
+  return {
+    ok: steps.length > 0 && !failed,
+    // Per-member steps name the member, e.g. "mongo2:27017:read-secondary"
+    failedStep: failed ? [failed.member, failed.step].filter(Boolean).join(':') : null,
+    error: failed ? failed.error : null,
+    latency: steps.reduce((total, step) => total + step.latency, 0),
+    steps,
+    ...extra,
+    timestamp: new Date().toISOString()
+  };
+};
+
+class ProbeRunner extends EventEmitter {
+  constructor() {
+    super();
+    this.interval = parseInt(process.env.PROBE_INTERVAL) || 30000;
+    this.enabled = process.env.PROBE_ENABLED !== 'false';
+    this.collectionName = process.env.PROBE_COLLECTION || '_probes';
+    this.timeout = parseInt(process.env.PROBE_TIMEOUT) || 5000;
+    this.redisTTL = parseInt(process.env.PROBE_REDIS_TTL) || 30;
+    this.mongoTTL = parseInt(process.env.PROBE_MONGO_TTL) || 3600;
+
+    this.timer = null;
+    this.running = null;
+    this.ttlIndexReady = false;
+    // Member connection string -> client connected straight to that replica set member
+    this.memberClients = new Map();
+    this.results = {
+      mongodb: null,
+      redis: null,
+      lastRun: null,
+      runs: 0
+    };
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Scheduled probe run failed:', error.message));
+    }, this.interval);
+
+    logger.info(`🩺 Data-path probes scheduled every ${this.interval / 1000}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.closeMemberClients([]);
+  }
+
+  // Concurrent callers share the in-flight run
+  async run() {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      const [mongodb, redis] = await Promise.all([this.probeMongo(), this.probeRedis()]);
+
+      this.results = {
+        mongodb,
+        redis,
+        lastRun: new Date().toISOString(),
+        runs: this.results.runs + 1
+      };
+
+      for (const [service, result] of Object.entries({ mongodb, redis })) {
+        if (result && !result.skipped && !result.ok) {
+          logger.warn(`🩺 ${service} probe failed at "${result.failedStep}": ${result.error}`);
+        }
+      }
+
+      this.emit('results', this.results);
+      return this.results;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async probeMongo() {
+    const mongoStatus = mongoConnection.getStatus();
+    if (mongoConnection.lifecycle.isOpen()) {
+      return { ok: false, failedStep: 'circuit-open', error: 'MongoDB circuit is open', steps: [], timestamp: new Date().toISOString() };
+    }
+    if (mongoose.connection.readyState !== 1) {
+      return { ok: false, failedStep: 'connect', error: 'MongoDB is not connected', steps: [], timestamp: new Date().toISOString() };
+    }
+
+    const collection = mongoose.connection.getClient().db().collection(this.collectionName);
+    const id = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const steps = [];
+
+    await this.ensureTTLIndex(collection);
+
+    const written = await runStep(steps, 'write', async () => {
+      await collection.insertOne(
+        { _id: id, host: os.hostname(), createdAt: new Date() },
+        { writeConcern: { w: 'majority', wtimeoutMS: this.timeout } }
+      );
+      return { writeConcern: 'majority' };
+    });
+
+    if (written) {
+      await runStep(steps, 'read-primary', async () => {
+        const doc = await collection.findOne({ _id: id }, { readPreference: 'primary', maxTimeMS: this.timeout });
+        if (!doc) throw new Error('Probe document not found on primary');
+      });
+
+      const secondaries = await this.getSecondaries(mongoStatus);
+      if (secondaries.length === 0) {
+        steps.push({ step: 'read-secondary', ok: true, skipped: true, latency: 0, reason: 'No secondaries in topology' });
+      }
+      // One step per member, so a lagging secondary shows up by name
+      for (const host of secondaries) {
+        await runStep(steps, 'read-secondary', () => this.readFromMember(host, id), { member: host });
+      }
+      this.closeMemberClients(secondaries);
+
+      await runStep(steps, 'delete', async () => {
+        const result = await collection.deleteOne({ _id: id }, { writeConcern: { w: 'majority', wtimeoutMS: this.timeout } });
+        if (result.deletedCount !== 1) throw new Error('Probe document was not deleted');
+      });
+    } else {
+      // A write that timed out waiting for the majority still landed on the primary
+      await collection.deleteOne({ _id: id }).catch((error) => {
+        logger.debug(`Probe document cleanup failed: ${error.message}`);
+      });
+    }
+
+    return summarize(steps, { topology: mongoStatus.topology });
+  }
+
+  // Secondaries that should hold a copy of the probe document. An unsharded collection lives on its
+  // database's primary shard, so in a sharded cluster that shard's replica set is asked for its members.
+  async getSecondaries(mongoStatus) {
+    if (mongoStatus.topology !== 'sharded') {
+      return (mongoStatus.nodes || [])
+        .filter(node => node.role === 'secondary' && node.health === 'healthy')
+        .map(node => node.host);
+    }
+
+    const database = await mongoose.connection.getClient().db('config').collection('databases')
+      .findOne({ _id: mongoose.connection.db.databaseName }, { maxTimeMS: this.timeout })
+      .catch(() => null);
+    const shard = database && (mongoStatus.nodes || []).find(node => node.name === database.primary);
+    if (!shard || !shard.replicaSet || shard.members.length < 2) return [];
+
+    for (const member of shard.members) {
+      try {
+        const hello = await withTimeout(this.getMemberClient(member).db('admin').command({ hello: 1 }), this.timeout);
+        return (hello.hosts || []).filter(host => host !== hello.primary);
+      } catch (error) {
+        logger.debug(`Shard member ${member} did not answer hello: ${error.message}`);
+      }
+    }
+    // None reachable directly: every member is reported as failing
+    return shard.members;
+  }
+
+  // The configured connection string pointed at one member, with the same credentials and TLS settings
+  getMemberUri(host) {
+    const uri = new ConnectionString(mongoConnection.getUri());
+    const { credentials, tls } = mongoose.connection.getClient().options;
+
+    // An SRV record expands to the whole member list; the member is addressed directly instead
+    uri.protocol = 'mongodb:';
+    uri.hosts = [host];
+    for (const option of ['replicaSet', 'srvServiceName', 'srvMaxHosts', 'loadBalanced']) {
+      uri.searchParams.delete(option);
+    }
+    uri.searchParams.set('directConnection', 'true');
+    if (tls) uri.searchParams.set('tls', 'true');
+    if (credentials && credentials.source) uri.searchParams.set('authSource', credentials.source);
+    return uri.toString();
+  }
+
+  getMemberClient(host) {
+    const uri = this.getMemberUri(host);
+    if (!this.memberClients.has(uri)) {
+      this.memberClients.set(uri, {
+        host,
+        client: new mongoose.mongo.MongoClient(uri, {
+          readPreference: 'secondaryPreferred',
+          serverSelectionTimeoutMS: this.timeout,
+          connectTimeoutMS: this.timeout,
+          maxPoolSize: 1
+        })
+      });
+    }
+    return this.memberClients.get(uri).client;
+  }
+
+  // Closes member clients for hosts that are no longer secondaries (or whose URI changed)
+  closeMemberClients(hosts) {
+    const keep = new Set(hosts.map(host => this.getMemberUri(host)));
+    for (const [uri, { host, client }] of this.memberClients) {
+      if (keep.has(uri)) continue;
+      this.memberClients.delete(uri);
+      client.close().catch(error => logger.debug(`Closing probe connection to ${host} failed: ${error.message}`));
+    }
+  }
+
+  async readFromMember(host, id) {
+    const collection = this.getMemberClient(host).db(mongoose.connection.db.databaseName).collection(this.collectionName);
+
+    // Majority-acknowledged writes may still be in flight to this member
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const doc = await withTimeout(collection.findOne({ _id: id }, {
+        readConcern: { level: 'local' },
+        maxTimeMS: this.timeout
+      }), this.timeout);
+      if (doc) return { attempts: attempt };
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Probe document not replicated to ${host}`);
+  }
+
+  // Expires probe documents the cleanup could not remove; retried on the next run until it succeeds
+  async ensureTTLIndex(collection) {
+    if (this.ttlIndexReady) return;
+    try {
+      await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: this.mongoTTL });
+      this.ttlIndexReady = true;
+    } catch (error) {
+      // An existing index with another expiry is kept rather than retried on every run
+      if (error.codeName === 'IndexOptionsConflict') {
+        this.ttlIndexReady = true;
+        logger.warn(`⚠️  ${this.collectionName} already has a TTL index with a different expiry; PROBE_MONGO_TTL not applied`);
+      } else {
+        logger.debug(`Probe TTL index not created: ${error.message}`);
+      }
+    }
+  }
+
+  // SET/GET/DEL a short-lived key against one connection; each step is bounded, so a stalled node
+  // cannot leave the shared in-flight run pending forever
+  async probeRedisKey(client, key) {
+    const steps = [];
+    const value = crypto.randomUUID();
+
+    const written = await runStep(steps, 'set', async () => {
+      await withTimeout(client.set(key, value, 'EX', this.redisTTL), this.timeout);
+    });
+    if (written) {
+      await runStep(steps, 'get', async () => {
+        const result = await withTimeout(client.get(key), this.timeout);
+        if (result !== value) throw new Error('Read value does not match written value');
+      });
+      await runStep(steps, 'del', async () => {
+        const removed = await withTimeout(client.del(key), this.timeout);
+        if (removed !== 1) throw new Error('Probe key was not deleted');
+      });
+    }
+
+    return steps;
+  }
+
+  async probeRedis() {
+    const redisStatus = redisConnection.getStatus();
+    const client = redisConnection.client;
+
+    if (!client && !redisConnection.isConfigured()) {
+      return { ok: true, skipped: true, reason: 'Redis not configured', steps: [], timestamp: new Date().toISOString() };
+    }
+    if (!client) {
+      return { ok: false, failedStep: 'connect', error: 'Redis is disconnected', steps: [], timestamp: new Date().toISOString() };
+    }
+    if (redisConnection.lifecycle.isOpen()) {
+      return { ok: false, failedStep: 'circuit-open', error: 'Redis circuit is open', steps: [], timestamp: new Date().toISOString() };
+    }
+    if (client.status !== 'ready') {
+      return { ok: false, failedStep: 'connect', error: `Redis client is ${client.status}`, steps: [], timestamp: new Date().toISOString() };
+    }
+
+    const keyPrefix = `probe:${os.hostname()}:${process.pid}`;
+
+    if (!redisConnection.isCluster) {
+      const steps = await this.probeRedisKey(client, `${keyPrefix}:${Date.now()}`);
+      return summarize(steps, { mode: redisStatus.mode });
+    }
+
+    // Cluster: one round trip per master, using a key that hashes into its slot range
+    const masters = (redisStatus.clusterNodes || []).filter(node => node.role === 'master' && node.slotCount > 0);
+    if (masters.length === 0) {
+      return summarize([{ step: 'discover', ok: false, latency: 0, error: 'No cluster masters with assigned slots' }], { mode: 'cluster', targets: [] });
+    }
+
+    const connections = new Map(
+      client.nodes('master').map(node => [`${node.options.host}:${node.options.port}`, node])
+    );
+
+    const targets = await Promise.all(masters.map(async (master) => {
+      const key = this.findKeyForSlots(keyPrefix, master.slots);
+      // Talk to the master directly so scaleReads cannot send the GET to a replica
+      const connection = connections.get(master.address) || client;
+      const steps = await this.probeRedisKey(connection, key);
+      return {
+        node: master.address,
+        slotRanges: master.slotRanges,
+        slot: calculateSlot(key),
+        direct: connection !== client,
+        ...summarize(steps)
+      };
+    }));
+
+    const failed = targets.find(target => !target.ok);
+    return {
+      ok: !failed,
+      failedStep: failed ? `${failed.node}:${failed.failedStep}` : null,
+      error: failed ? failed.error : null,
+      latency: Math.max(...targets.map(target => target.latency)),
+      mode: 'cluster',
+      targets,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  findKeyForSlots(prefix, ranges) {
+    for (let i = 0; i < 100000; i++) {
+      const key = `${prefix}:{${i}}`;
+      const slot = calculateSlot(key);
+      if (ranges.some(([start, end]) => slot >= start && slot <= end)) return key;
+    }
+    return `${prefix}:{0}`;
+  }
+
+  getResults() {
+    return {
+      ...this.results,
+      enabled: this.enabled,
+      interval: this.interval
+    };
+  }
+
+  // Compact per-service view for /api/status
+  getSummary(service) {
+    const result = this.results[service];
+    if (!result) return null;
+
+    return {
+      ok: result.ok,
+      skipped: !!result.skipped,
+      failedStep: result.failedStep || null,
+      error: result.error || null,
+      latency: result.latency !== undefined ? result.latency : null,
+      timestamp: result.timestamp
+    };
+  }
+}
+
+module.exports = new ProbeRunner();
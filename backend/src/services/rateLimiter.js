@@ -0,0 +1,168 @@
+const redisConnection = require('../config/redis');
+const logger = require('../utils/logger');
+const { parseDuration } = require('../utils/duration');
+const { withTimeout } = require('../utils/timeout');
+
+// Token bucket in one hash: refills continuously at limit/window and takes one token per request.
+// A single key per call keeps it cluster-safe; Redis' own clock keeps instances with skewed clocks in step.
+// Returns { allowed, tokens left } (tokens as a string: Lua numbers would be truncated to integers).
+const TAKE_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(bucket[1]) or limit
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(limit, tokens + math.max(0, now - updated) * limit / window)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+redis.call('PEXPIRE', KEYS[1], window)
+return { allowed, tostring(tokens) }`;
+
+const DEFAULT_ROUTES = '/api/status=60/1m,/api/auth/login=10/1m';
+
+// "60/1m" -> { limit: 60, window: 60000 }; window defaults to a minute
+const parseRule = (spec) => {
+  const [limit, window] = String(spec).split('/');
+  const rule = { limit: parseInt(limit), window: parseDuration(window, 60000) };
+  return rule.limit > 0 && rule.window > 0 ? rule : null;
+};
+
+// "name=60/1m,other=10/1s" -> [{ name, limit, window }]
+const parseRules = (value, variable) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean)
+  .map((entry) => {
+    const separator = entry.lastIndexOf('=');
+    const rule = separator > 0 ? parseRule(entry.slice(separator + 1)) : null;
+    if (!rule) {
+      logger.warn(`⚠️  Ignoring invalid ${variable} entry "${entry}" (expected name=limit/window)`);
+      return null;
+    }
+    return { name: entry.slice(0, separator).trim(), ...rule };
+  })
+  .filter(Boolean);
+
+// Per-client request limits, counted in Redis so every instance shares them; each instance falls back
+// to its own in-memory buckets while Redis is unavailable
+class RateLimiter {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+    this.defaultRule = parseRule(process.env.RATE_LIMIT_DEFAULT || '300/1m') || { limit: 300, window: 60000 };
+    // Longest prefix first, so /api/status/x matches /api/status before a shorter /api rule
+    this.routes = parseRules(process.env.RATE_LIMIT_ROUTES ?? DEFAULT_ROUTES, 'RATE_LIMIT_ROUTES')
+      .sort((a, b) => b.name.length - a.name.length);
+    // Client ids: api-key:<name>, user:<name> or ip:<address>
+    this.clients = new Map(parseRules(process.env.RATE_LIMIT_CLIENTS, 'RATE_LIMIT_CLIENTS').map(rule => [rule.name, rule]));
+    this.exempt = (process.env.RATE_LIMIT_EXEMPT ?? '/api/health').split(',').map(path => path.trim()).filter(Boolean);
+    // No hash tag: every bucket is its own key, so buckets spread over the cluster's slots
+    this.prefix = `${process.env.RATE_LIMIT_KEY_PREFIX || 'mern-devops'}:ratelimit`;
+    // Every limited request waits on Redis, so a stalled node must not stall the API (chaos and admin included)
+    this.redisTimeout = parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT) || 200;
+
+    // key -> { tokens, updated, window }
+    this.local = new Map();
+    this.mode = null;
+    this.sweepTimer = null;
+  }
+
+  start() {
+    if (!this.enabled || this.sweepTimer) return;
+
+    // Idle in-memory buckets are full again after one window, so they can go
+    this.sweepTimer = setInterval(() => this.sweep(), 60000);
+    this.sweepTimer.unref();
+    logger.info(`🚦 Rate limiting ${this.defaultRule.limit} requests per ${this.defaultRule.window / 1000}s per client` +
+      (this.routes.length > 0 ? ` (${this.routes.map(rule => `${rule.name}: ${rule.limit}/${rule.window / 1000}s`).join(', ')})` : ''));
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  isExempt(path) {
+    return this.exempt.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+  }
+
+  // Route policy for a path, or null when it is not limited
+  match(path) {
+    if (!this.enabled || this.isExempt(path)) return null;
+    const route = this.routes.find(rule => path === rule.name || path.startsWith(`${rule.name}/`));
+    return route || { name: 'default', ...this.defaultRule };
+  }
+
+  getClient() {
+    const client = redisConnection.client;
+    if (!client || client.status !== 'ready' || redisConnection.lifecycle.isOpen()) return null;
+    return client;
+  }
+
+  // Takes one token for client under policy -> { allowed, limit, remaining, reset, retryAfter, window }
+  async take(policy, client) {
+    const { limit, window } = this.clients.get(client) || policy;
+    const key = `${this.prefix}:${policy.name}:${client}`;
+
+    let result = null;
+    const redisClient = this.getClient();
+    if (redisClient) {
+      try {
+        const [allowed, tokens] = await withTimeout(redisClient.eval(TAKE_SCRIPT, 1, key, limit, window), this.redisTimeout);
+        result = { allowed: allowed === 1, tokens: parseFloat(tokens) };
+        this.setMode('redis');
+      } catch (error) {
+        logger.debug(`Rate limit check in Redis failed: ${error.message}`);
+      }
+    }
+    if (!result) {
+      result = this.takeLocal(key, limit, window);
+      this.setMode('memory');
+    }
+
+    const msPerToken = window / limit;
+    return {
+      allowed: result.allowed,
+      limit,
+      window,
+      remaining: Math.floor(result.tokens),
+      // Seconds until the bucket is full again / until the next token
+      reset: Math.ceil(((limit - result.tokens) * msPerToken) / 1000),
+      retryAfter: Math.max(1, Math.ceil(((1 - result.tokens) * msPerToken) / 1000))
+    };
+  }
+
+  takeLocal(key, limit, window) {
+    const now = Date.now();
+    const bucket = this.local.get(key) || { tokens: limit, updated: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + ((now - bucket.updated) * limit) / window);
+    bucket.updated = now;
+    bucket.window = window;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    this.local.set(key, bucket);
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.local) {
+      if (now - bucket.updated > bucket.window) this.local.delete(key);
+    }
+  }
+
+  setMode(mode) {
+    if (mode === this.mode) return;
+    if (this.mode) {
+      logger.warn(mode === 'redis'
+        ? '🚦 Rate limits are shared through Redis again'
+        : '⚠️  Redis unavailable; rate limits fall back to per-instance memory');
+    }
+    this.mode = mode;
+  }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,145 @@
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const probeRunner = require('./probes');
+const metrics = require('./metrics');
+const dependencyChecks = require('./dependencyChecks');
+const chaos = require('./chaos');
+const cache = require('./cache');
+
+// Track application start time
+const startTime = Date.now();
+
+// Calculate uptime
+const getUptime = () => {
+  const uptimeMs = Date.now() - startTime;
+  const seconds = Math.floor(uptimeMs / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  return {
+    milliseconds: uptimeMs,
+    seconds: seconds,
+    minutes: minutes,
+    hours: hours,
+    days: days,
+    formatted: `${days}d ${hours % 24}h ${minutes % 60}m ${seconds % 60}s`
+  };
+};
+
+// Extra health checks appear alongside the built-in services
+const getDependencyServices = () => Object.fromEntries(
+  dependencyChecks.getResults().map(result => [result.name, {
+    connected: result.status === 'pass',
+    message: result.status === 'pending' ? 'Pending first check' : (result.status === 'pass' ? 'Reachable' : 'Check failing'),
+    status: result.status,
+    lastChecked: result.lastChecked,
+    lastError: result.error,
+    latency: result.durationMs,
+    type: result.type,
+    target: result.target,
+    critical: result.critical,
+    custom: true
+  }])
+);
+
+// Full status report served by /api/status and pushed as stream snapshots
+const buildStatusReport = async () => {
+  const mongoStatus = mongoConnection.getStatus();
+  const redisStatus = redisConnection.getStatus();
+  const uptime = getUptime();
+
+  // Test Redis ping if connected
+  let redisPing = null;
+  if (redisStatus.connected) {
+    try {
+      const pingStart = Date.now();
+      const pingResult = await redisConnection.ping();
+      redisPing = {
+        success: pingResult,
+        latency: Date.now() - pingStart
+      };
+      metrics.recordRedisPing(redisPing.latency, pingResult);
+    } catch (error) {
+      redisPing = {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  const statusReport = {
+    application: {
+      name: 'MERN DevOps Demo',
+      version: '2.0.0',
+      environment: process.env.NODE_ENV || 'development',
+      status: 'running',
+      pid: process.pid,
+      platform: process.platform,
+      nodeVersion: process.version
+    },
+    uptime: uptime,
+    services: {
+      backend: {
+        connected: true,
+        message: 'Running',
+        status: 'healthy',
+        lastChecked: new Date().toISOString(),
+        port: process.env.PORT || 5000,
+        uptime: uptime.formatted
+      },
+      mongodb: {
+        connected: mongoStatus.connected,
+        message: mongoStatus.message,
+        lastChecked: mongoStatus.lastChecked,
+        connectionAttempts: mongoStatus.connectionAttempts,
+        lastError: mongoStatus.lastError,
+        lifecycle: mongoStatus.lifecycle,
+        readyState: mongoStatus.readyState,
+        readyStateLabel: mongoStatus.readyStateLabel,
+        architecture: {
+          topology: mongoStatus.topology,
+          replicaSet: mongoStatus.replicaSet,
+          nodes: mongoStatus.nodes,
+          replication: mongoStatus.replication
+        },
+        probe: probeRunner.getSummary('mongodb'),
+        uri: mongoConnection.isConfigured() ? '***configured***' : 'not configured'
+      },
+      redis: {
+        connected: redisStatus.connected,
+        message: redisStatus.message,
+        lastChecked: redisStatus.lastChecked,
+        connectionAttempts: redisStatus.connectionAttempts,
+        lastError: redisStatus.lastError,
+        lifecycle: redisStatus.lifecycle,
+        ping: redisPing,
+        probe: probeRunner.getSummary('redis'),
+        architecture: {
+          mode: redisStatus.mode,
+          role: redisStatus.role,
+          clusterNodes: redisStatus.clusterNodes,
+          clusterInfo: redisStatus.clusterInfo,
+          sentinel: redisStatus.sentinel
+        },
+        uri: redisConnection.isConfigured() ? '***configured***' : 'not configured'
+      },
+      ...getDependencyServices()
+    },
+    // Injected faults, so degraded results are not mistaken for real outages
+    chaos: chaos.getSummary(),
+    // Redis response cache hit/miss counters (this instance's lookups)
+    cache: cache.getStats(),
+    memory: {
+      rss: `${(process.memoryUsage().rss / 1024 / 1024).toFixed(2)} MB`,
+      heapTotal: `${(process.memoryUsage().heapTotal / 1024 / 1024).toFixed(2)} MB`,
+      heapUsed: `${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB`,
+      external: `${(process.memoryUsage().external / 1024 / 1024).toFixed(2)} MB`
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  return statusReport;
+};
+
+module.exports = { getUptime, buildStatusReport };
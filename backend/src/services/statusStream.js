@@ -0,0 +1,136 @@
+const mongoConnection = require('../config/mongodb');
+const redisConnection = require('../config/redis');
+const { buildStatusReport } = require('./statusReport');
+const eventBus = require('./eventBus');
+const { redactForViewer } = require('../utils/redact');
+const logger = require('../utils/logger');
+
+// Server-Sent Events fan-out of connection, topology and snapshot events
+class StatusStream {
+  constructor() {
+    // response -> { redact }; viewer clients get the same masking as viewer JSON responses
+    this.clients = new Map();
+    this.eventId = 0;
+    this.snapshotInterval = parseInt(process.env.STREAM_SNAPSHOT_INTERVAL) || 15000;
+    this.heartbeatInterval = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL) || 15000;
+    this.snapshotTimer = null;
+    this.heartbeatTimer = null;
+    this.pendingSnapshot = null;
+    this.started = false;
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const connection of [mongoConnection, redisConnection]) {
+      connection.on('status', (event) => {
+        this.broadcast('connection', event);
+        // Follow every state change with a full snapshot
+        this.scheduleSnapshot();
+      });
+      connection.on('topology', (event) => this.broadcast('topology', event));
+      connection.on('topology-event', (event) => this.broadcast('topology-event', event));
+      connection.on('lifecycle', (event) => this.broadcast('lifecycle', event));
+    }
+    // Events from every backend instance, not just this one
+    eventBus.on('event', (event) => this.broadcast('cluster-event', event));
+
+    this.snapshotTimer = setInterval(() => this.sendSnapshot(), this.snapshotInterval);
+    this.heartbeatTimer = setInterval(() => this.write(': heartbeat\n\n'), this.heartbeatInterval);
+  }
+
+  stop() {
+    clearInterval(this.snapshotTimer);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pendingSnapshot);
+    this.snapshotTimer = null;
+    this.heartbeatTimer = null;
+    this.pendingSnapshot = null;
+
+    for (const res of this.clients.keys()) {
+      res.end();
+    }
+    this.clients.clear();
+  }
+
+  async addClient(req, res, { redact = false } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    this.clients.set(res, { redact });
+    logger.debug(`📡 Status stream client connected (${this.clients.size} active)`);
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      logger.debug(`📡 Status stream client disconnected (${this.clients.size} active)`);
+    });
+
+    // New subscribers start from a full snapshot
+    try {
+      const report = await buildStatusReport();
+      this.send(res, 'snapshot', redact ? redactForViewer(report) : report);
+    } catch (error) {
+      logger.error('Error building stream snapshot:', error.message);
+    }
+
+    // ...then the recent cluster events, so a late joiner sees what happened before it connected
+    try {
+      for (const event of await eventBus.replay()) {
+        this.send(res, 'cluster-event', redact ? redactForViewer(event) : event);
+      }
+    } catch (error) {
+      logger.error('Error replaying cluster events:', error.message);
+    }
+  }
+
+  scheduleSnapshot() {
+    if (this.pendingSnapshot) return;
+
+    this.pendingSnapshot = setTimeout(() => {
+      this.pendingSnapshot = null;
+      this.sendSnapshot();
+    }, 250);
+  }
+
+  async sendSnapshot() {
+    if (this.clients.size === 0) return;
+
+    try {
+      this.broadcast('snapshot', await buildStatusReport());
+    } catch (error) {
+      logger.error('Error building stream snapshot:', error.message);
+    }
+  }
+
+  broadcast(type, data) {
+    let redacted = null;
+    for (const [res, { redact }] of this.clients) {
+      if (redact && !redacted) redacted = redactForViewer(data);
+      this.send(res, type, redact ? redacted : data);
+    }
+  }
+
+  send(res, type, data) {
+    this.eventId++;
+    res.write(`id: ${this.eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  write(chunk) {
+    for (const res of this.clients.keys()) {
+      res.write(chunk);
+    }
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+}
+
+module.exports = new StatusStream();
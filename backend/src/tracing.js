@@ -0,0 +1,126 @@
+// OpenTelemetry bootstrap. Required before anything else in server.js so the
+// instrumentations can patch http, express, mongodb and ioredis as they load.
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+
+let sdk = null;
+
+// JSON lines of finished spans, for offline use without a collector
+class FileSpanExporter {
+  constructor(filename) {
+    this.filename = filename;
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  export(spans, resultCallback) {
+    const { core } = require('@opentelemetry/sdk-node');
+    const lines = spans.map(span => JSON.stringify({
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanContext ? span.parentSpanContext.spanId : undefined,
+      name: span.name,
+      kind: span.kind,
+      startTime: new Date(core.hrTimeToMilliseconds(span.startTime)).toISOString(),
+      durationMs: core.hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events
+    })).join('\n');
+
+    fs.appendFile(this.filename, `${lines}\n`, (error) => {
+      resultCallback(error
+        ? { code: core.ExportResultCode.FAILED, error }
+        : { code: core.ExportResultCode.SUCCESS });
+    });
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+const createExporters = () => {
+  const { ConsoleSpanExporter } = require('@opentelemetry/sdk-trace-base');
+  const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+
+  return (process.env.TRACING_EXPORTERS || 'otlp')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      if (name === 'otlp') {
+        // Endpoint and headers come from the standard OTEL_EXPORTER_OTLP_* variables
+        return new OTLPTraceExporter();
+      }
+      if (name === 'console') return new ConsoleSpanExporter();
+      if (name === 'file') {
+        return new FileSpanExporter(process.env.TRACING_FILE || path.join(process.cwd(), 'logs', 'traces.jsonl'));
+      }
+      logger.warn(`⚠️  Unknown TRACING_EXPORTERS entry "${name}" (expected otlp, console or file)`);
+      return null;
+    })
+    .filter(Boolean);
+};
+
+const startTracing = () => {
+  if (process.env.TRACING_ENABLED !== 'true' || sdk) return;
+
+  const { NodeSDK } = require('@opentelemetry/sdk-node');
+  const { BatchSpanProcessor, SimpleSpanProcessor, ParentBasedSampler, TraceIdRatioBasedSampler } = require('@opentelemetry/sdk-trace-base');
+  const { resourceFromAttributes } = require('@opentelemetry/resources');
+  const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+  const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+  const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+  const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+  const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+
+  const ratio = parseFloat(process.env.TRACING_SAMPLE_RATIO);
+  const rootSampler = new TraceIdRatioBasedSampler(ratio >= 0 && ratio <= 1 ? ratio : 1);
+  // Probes, scrapes and the long-lived event stream would drown out real requests
+  const ignoredPaths = /^\/(api\/health|api\/stream|metrics)(\/|\?|$)/;
+
+  sdk = new NodeSDK({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'mern-devops-backend',
+      [ATTR_SERVICE_VERSION]: '2.0.0'
+    }),
+    // New traces and unsampled callers (the dashboard by default) are sampled by ratio on the trace ID;
+    // a caller that sent the sampled flag is always kept
+    sampler: new ParentBasedSampler({
+      root: rootSampler,
+      remoteParentNotSampled: rootSampler
+    }),
+    spanProcessors: createExporters().map(exporter => (
+      exporter.constructor.name === 'ConsoleSpanExporter'
+        ? new SimpleSpanProcessor(exporter)
+        : new BatchSpanProcessor(exporter)
+    )),
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => ignoredPaths.test(req.url || '')
+      }),
+      new ExpressInstrumentation(),
+      // Spans carry server.address / server.port of the member or node that served the command
+      new MongoDBInstrumentation(),
+      new IORedisInstrumentation()
+    ]
+  });
+
+  sdk.start();
+  logger.info(`🔭 OpenTelemetry tracing enabled (${process.env.TRACING_EXPORTERS || 'otlp'})`);
+};
+
+// Flushes buffered spans on shutdown
+const shutdownTracing = async () => {
+  if (!sdk) return;
+  try {
+    await sdk.shutdown();
+  } catch (error) {
+    logger.error('Error shutting down tracing:', error);
+  }
+};
+
+startTracing();
+
+module.exports = { shutdownTracing };
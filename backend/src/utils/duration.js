@@ -0,0 +1,12 @@
+// 30 (seconds), "30s", "5m", "1h", "250ms" -> milliseconds; null when unparseable
+const parseDuration = (value, fallbackMs) => {
+  if (value === undefined || value === null) return fallbackMs;
+  if (typeof value === 'number') return value * 1000;
+
+  const match = /^(\d+)(ms|s|m|h)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return parseInt(match[1]) * multipliers[match[2] || 's'];
+};
+
+module.exports = { parseDuration };
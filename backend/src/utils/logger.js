@@ -1,20 +1,59 @@
+const path = require('path');
 const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { trace, context: otelContext } = require('@opentelemetry/api');
+const { getContext } = require('./requestContext');
+
+// Stamps every line logged while serving a request, including MongoDB and Redis lines
+const requestContext = winston.format((info) => {
+  const context = getContext();
+  if (context) info.requestId = context.requestId;
+  // Trace IDs link log lines to spans when tracing is enabled; the no-op API returns no span otherwise
+  const span = trace.getSpan(otelContext.active());
+  if (span && span.spanContext().traceFlags) {
+    info.traceId = span.spanContext().traceId;
+    info.spanId = span.spanContext().spanId;
+  }
+  return info;
+});
+
+const consoleFormat = process.env.LOG_FORMAT === 'json'
+  ? winston.format.json()
+  : winston.format.combine(
+    winston.format.colorize(),
+    winston.format.simple()
+  );
+
+const transports = [
+  new winston.transports.Console({ format: consoleFormat })
+];
+
+// Optional JSON files rotated daily and by size; errors also get their own file
+if (process.env.LOG_FILE_ENABLED === 'true') {
+  const dirname = process.env.LOG_DIR || path.join(process.cwd(), 'logs');
+  const rotation = {
+    dirname,
+    datePattern: 'YYYY-MM-DD',
+    zippedArchive: process.env.LOG_FILE_COMPRESS !== 'false',
+    maxSize: process.env.LOG_FILE_MAX_SIZE || '20m',
+    maxFiles: process.env.LOG_FILE_MAX_FILES || '14d'
+  };
+
+  transports.push(
+    new DailyRotateFile({ ...rotation, filename: 'backend-%DATE%.log' }),
+    new DailyRotateFile({ ...rotation, filename: 'backend-error-%DATE%.log', level: 'error' })
+  );
+}
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    requestContext(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json()
   ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
+  transports
 });
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
@@ -0,0 +1,37 @@
+// Fields that reveal hosts, processes or versions; hidden from viewer-role responses
+const SENSITIVE_KEYS = new Set([
+  'pid', 'platform', 'nodeVersion', 'version', 'hostname', 'host', 'hosts', 'address',
+  'addresses', 'masterAddress', 'primary', 'me', 'target', 'uri', 'instance', 'url', 'members'
+]);
+
+// Free-text fields often embed the address that failed ("connect ECONNREFUSED 10.0.0.5:27017");
+// architecture components are named and described by their address
+const TEXT_KEYS = new Set(['message', 'lastError', 'error', 'reason', 'summary', 'name', 'description']);
+
+const REDACTED = '[redacted]';
+
+const scrubText = (text) => text
+  .replace(/\b(\d{1,3}\.){3}\d{1,3}(:\d+)?\b/g, REDACTED)
+  .replace(/\b[a-z][\w.-]*:\d{2,5}\b/gi, REDACTED);
+
+const redactValue = (value) => {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') return redactForViewer(value);
+  return value === null || value === undefined ? value : REDACTED;
+};
+
+// Deep copy with sensitive fields masked; the shape is kept so clients render either view
+const redactForViewer = (data) => {
+  if (Array.isArray(data)) return data.map(redactForViewer);
+  if (!data || typeof data !== 'object') return data;
+  // Dates, ObjectIds and documents serialize through toJSON
+  if (typeof data.toJSON === 'function') return redactForViewer(data.toJSON());
+
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => {
+    if (SENSITIVE_KEYS.has(key)) return [key, redactValue(value)];
+    if (TEXT_KEYS.has(key) && typeof value === 'string') return [key, scrubText(value)];
+    return [key, redactForViewer(value)];
+  }));
+};
+
+module.exports = { redactForViewer, REDACTED };
@@ -0,0 +1,18 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state that follows awaits, timers and driver callbacks
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getContext = () => storage.getStore() || null;
+
+// Long-lived work (clients, retry and expiry timers) must not inherit the request that started it
+const detachContext = (fn) => storage.exit(fn);
+
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+module.exports = { runWithContext, detachContext, getContext, getRequestId };
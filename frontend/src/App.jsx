@@ -1,7 +1,33 @@
+import { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard';
+import Login from './components/Login';
+import { fetchAuthConfig, getSession, logout } from './services/api';
 
 function App() {
-  return <Dashboard />;
+  const [authConfig, setAuthConfig] = useState(null);
+  const [user, setUser] = useState(() => getSession()?.user || null);
+
+  useEffect(() => {
+    // An unreachable backend is reported by the dashboard itself
+    fetchAuthConfig().then(result => setAuthConfig(result.success ? result.data : { enabled: false }));
+
+    const handleAuthRequired = () => setUser(null);
+    window.addEventListener('auth:required', handleAuthRequired);
+    return () => window.removeEventListener('auth:required', handleAuthRequired);
+  }, []);
+
+  const handleLogout = async () => {
+    await logout();
+    setUser(null);
+  };
+
+  if (!authConfig) return null;
+
+  if (authConfig.enabled && !user) {
+    return <Login onLogin={setUser} />;
+  }
+
+  return <Dashboard authEnabled={authConfig.enabled} user={user} onLogout={handleLogout} />;
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -1,5 +1,22 @@
 import { useEffect, useRef } from 'react';
 
+// Component status -> outline color
+const STATUS_COLORS = {
+  running: '#10B981', // Green
+  down: '#EF4444', // Red
+  configured: '#EF4444', // Configured but not connected
+  optional: '#9CA3AF', // Gray
+  declared: '#6B7280'
+};
+
+const ICONS = {
+  web: '🖥️',
+  api: '⚙️',
+  database: '🍃',
+  cache: '📦',
+  external: '🔌'
+};
+
 const ArchitectureDiagram = ({ architecture, status }) => {
   const canvasRef = useRef(null);
 
@@ -8,7 +25,7 @@ const ArchitectureDiagram = ({ architecture, status }) => {
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    
+
     // Set canvas size
     const width = canvas.offsetWidth;
     const height = canvas.offsetHeight;
@@ -18,24 +35,43 @@ const ArchitectureDiagram = ({ architecture, status }) => {
     // Clear canvas
     ctx.clearRect(0, 0, width, height);
 
-    // Define component positions
-    const components = {
-      frontend: { x: width * 0.5, y: height * 0.15, width: 120, height: 80 },
-      backend: { x: width * 0.5, y: height * 0.5, width: 120, height: 80 },
-      mongodb: { x: width * 0.25, y: height * 0.85, width: 120, height: 80 },
-      redis: { x: width * 0.75, y: height * 0.85, width: 120, height: 80 }
-    };
+    // Rows: frontend, backend, its dependencies, then the nodes behind each dependency
+    const topLevel = architecture.components.filter(component => !component.parent);
+    const dependencies = topLevel.filter(component => component.id !== 'frontend' && component.id !== 'backend');
+    const childrenOf = (id) => architecture.components.filter(component => component.parent === id);
+    const hasNodes = architecture.components.some(component => component.parent);
+
+    const rows = hasNodes ? [0.1, 0.36, 0.62, 0.88] : [0.15, 0.5, 0.85];
+    const positions = {};
+
+    positions.frontend = { x: width * 0.5, y: height * rows[0], width: 120, height: 70 };
+    positions.backend = { x: width * 0.5, y: height * rows[1], width: 120, height: 70 };
+
+    const slotWidth = width / Math.max(dependencies.length, 1);
+    dependencies.forEach((component, index) => {
+      const x = slotWidth * (index + 0.5);
+      positions[component.id] = { x, y: height * rows[2], width: Math.min(120, slotWidth - 16), height: 70 };
+
+      // Nodes share their parent's slot
+      const children = childrenOf(component.id);
+      const childSlot = slotWidth / Math.max(children.length, 1);
+      children.forEach((child, childIndex) => {
+        positions[child.id] = {
+          x: x - slotWidth / 2 + childSlot * (childIndex + 0.5),
+          y: height * rows[3],
+          width: Math.min(96, childSlot - 6),
+          height: 40,
+          node: true
+        };
+      });
+    });
+
+    const byId = Object.fromEntries(architecture.components.map(component => [component.id, component]));
 
-    // Get component status
+    // Backend reachability comes from the status poll; everything else from the live model
     const getComponentColor = (id) => {
-      if (id === 'frontend') return '#10B981'; // Green
-      if (id === 'backend') return status ? '#10B981' : '#EF4444'; // Green/Red
-      if (id === 'mongodb') return status?.services?.mongodb?.connected ? '#10B981' : '#EF4444';
-      if (id === 'redis') {
-        if (!status?.services?.redis?.uri?.includes('configured')) return '#9CA3AF'; // Gray
-        return status?.services?.redis?.connected ? '#10B981' : '#EF4444';
-      }
-      return '#6B7280';
+      if (id === 'backend') return status ? STATUS_COLORS.running : STATUS_COLORS.down;
+      return STATUS_COLORS[byId[id]?.status] || '#6B7280';
     };
 
     // Draw connections
@@ -67,33 +103,46 @@ const ArchitectureDiagram = ({ architecture, status }) => {
       ctx.stroke();
     };
 
-    // Draw connections
-    drawConnection(components.frontend, components.backend, status !== null);
-    drawConnection(components.backend, components.mongodb, status?.services?.mongodb?.connected);
-    drawConnection(
-      components.backend, 
-      components.redis, 
-      status?.services?.redis?.connected
-    );
+    // Thin line from a dependency to each of its nodes
+    const drawMembership = (parent, child) => {
+      ctx.beginPath();
+      ctx.moveTo(parent.x, parent.y + parent.height / 2);
+      ctx.lineTo(child.x, child.y - child.height / 2);
+      ctx.strokeStyle = '#CBD5E1';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    };
 
-    // Draw components
-    Object.entries(components).forEach(([id, comp]) => {
-      const color = getComponentColor(id);
-      
+    const isUp = (id) => (id === 'backend' ? status !== null : byId[id]?.status === 'running');
+
+    // Flows between drawn top-level components, pointing down the rows
+    architecture.dataFlow.forEach(({ from, to }) => {
+      const a = positions[from];
+      const b = positions[to];
+      if (!a || !b || a.node || b.node || a.y === b.y) return;
+      const [upper, lower] = a.y < b.y ? [a, b] : [b, a];
+      drawConnection(upper, lower, isUp(from) && isUp(to));
+    });
+
+    dependencies.forEach((component) => {
+      childrenOf(component.id).forEach(child => drawMembership(positions[component.id], positions[child.id]));
+    });
+
+    const drawBox = (comp, color) => {
       // Draw box with shadow
       ctx.shadowColor = 'rgba(0, 0, 0, 0.1)';
       ctx.shadowBlur = 10;
       ctx.shadowOffsetX = 2;
       ctx.shadowOffsetY = 2;
-      
+
       ctx.fillStyle = '#FFFFFF';
       ctx.strokeStyle = color;
-      ctx.lineWidth = 3;
-      
+      ctx.lineWidth = comp.node ? 2 : 3;
+
       const radius = 8;
       const x = comp.x - comp.width / 2;
       const y = comp.y - comp.height / 2;
-      
+
       ctx.beginPath();
       ctx.moveTo(x + radius, y);
       ctx.lineTo(x + comp.width - radius, y);
@@ -107,31 +156,47 @@ const ArchitectureDiagram = ({ architecture, status }) => {
       ctx.closePath();
       ctx.fill();
       ctx.stroke();
-      
+
       ctx.shadowColor = 'transparent';
+    };
+
+    // Keeps labels inside narrow boxes
+    const fitText = (text, maxWidth) => {
+      let label = String(text);
+      while (label.length > 1 && ctx.measureText(label).width > maxWidth) {
+        label = label.slice(0, -2) + '…';
+      }
+      return label;
+    };
+
+    // Draw components
+    Object.entries(positions).forEach(([id, comp]) => {
+      const component = byId[id];
+      if (!component) return;
+      const color = getComponentColor(id);
+      drawBox(comp, color);
 
-      // Draw icon/emoji
-      ctx.font = '32px Arial';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      const icons = {
-        frontend: '🖥️',
-        backend: '⚙️',
-        mongodb: '🍃',
-        redis: '📦'
-      };
-      ctx.fillText(icons[id], comp.x, comp.y - 10);
+
+      if (comp.node) {
+        ctx.font = 'bold 11px Arial';
+        ctx.fillStyle = '#1F2937';
+        ctx.fillText(fitText(component.role || component.type, comp.width - 8), comp.x, comp.y - 7);
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#6B7280';
+        ctx.fillText(fitText(component.name, comp.width - 8), comp.x, comp.y + 9);
+        return;
+      }
+
+      // Draw icon/emoji
+      ctx.font = '28px Arial';
+      ctx.fillText(ICONS[component.type] || '🔌', comp.x, comp.y - 10);
 
       // Draw label
       ctx.font = 'bold 14px Arial';
       ctx.fillStyle = '#1F2937';
-      const labels = {
-        frontend: 'Frontend',
-        backend: 'Backend',
-        mongodb: 'MongoDB',
-        redis: 'Redis'
-      };
-      ctx.fillText(labels[id], comp.x, comp.y + 20);
+      ctx.fillText(fitText(component.name, comp.width - 8), comp.x, comp.y + 20);
 
       // Draw status indicator
       ctx.beginPath();
@@ -150,4 +215,4 @@ const ArchitectureDiagram = ({ architecture, status }) => {
   );
 };
 
-export default ArchitectureDiagram;
\ No newline at end of file
+export default ArchitectureDiagram;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { fetchArchitectureExport } from '../services/api';
+
+const FORMATS = [
+  { format: 'mermaid', label: 'Mermaid', extension: 'mmd' },
+  { format: 'dot', label: 'Graphviz DOT', extension: 'dot' },
+  { format: 'plantuml', label: 'PlantUML (C4)', extension: 'puml' },
+  { format: 'svg', label: 'SVG', extension: 'svg' }
+];
+
+// Download / copy buttons for the diagram formats served by /api/architecture
+const ArchitectureExport = () => {
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const exportDiagram = async ({ format, label, extension }, action) => {
+    setBusy(`${format}-${action}`);
+    setMessage(null);
+
+    const result = await fetchArchitectureExport(format);
+    if (!result.success) {
+      setMessage({ type: 'error', text: `${label} export failed: ${result.details?.message || result.error}` });
+      setBusy(null);
+      return;
+    }
+
+    try {
+      if (action === 'copy') {
+        await navigator.clipboard.writeText(result.data);
+        setMessage({ type: 'success', text: `${label} copied to clipboard` });
+      } else {
+        const blob = new Blob([result.data], { type: result.contentType || 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `architecture.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        setMessage({ type: 'success', text: `Downloaded architecture.${extension}` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: `${label} ${action} failed: ${error.message}` });
+    }
+    setBusy(null);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap gap-2">
+        {FORMATS.map((entry) => (
+          <div key={entry.format} className="flex items-center border border-gray-200 rounded-lg overflow-hidden text-xs">
+            <span className="px-2 py-1 bg-gray-50 text-gray-700 font-medium">{entry.label}</span>
+            <button
+              onClick={() => exportDiagram(entry, 'download')}
+              disabled={busy !== null}
+              className="px-2 py-1 text-blue-700 hover:bg-blue-50 disabled:opacity-50"
+              title={`Download architecture.${entry.extension}`}
+            >
+              {busy === `${entry.format}-download` ? '…' : '⬇️ Download'}
+            </button>
+            <button
+              onClick={() => exportDiagram(entry, 'copy')}
+              disabled={busy !== null}
+              className="px-2 py-1 text-blue-700 hover:bg-blue-50 border-l border-gray-200 disabled:opacity-50"
+              title="Copy to clipboard"
+            >
+              {busy === `${entry.format}-copy` ? '…' : '📋 Copy'}
+            </button>
+          </div>
+        ))}
+      </div>
+      {message && (
+        <p className={`mt-2 text-xs ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default ArchitectureExport;
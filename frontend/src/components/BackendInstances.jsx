@@ -0,0 +1,116 @@
+const formatUptime = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+const HealthRow = ({ label, connected, detail }) => (
+  <div className="flex justify-between">
+    <span className="text-gray-600">{label}:</span>
+    <span className={connected ? 'text-green-700' : 'text-red-700'}>
+      {connected ? '✅' : '❌'} {detail}
+    </span>
+  </div>
+);
+
+// Where load-balanced replicas see their dependencies differently
+const findDisagreements = (instances) => {
+  if (instances.length < 2) return [];
+  const disagreements = [];
+  const differs = (pick) => new Set(instances.map(pick)).size > 1;
+
+  if (differs(instance => instance.health?.mongodb?.connected)) disagreements.push('MongoDB connectivity');
+  if (differs(instance => instance.health?.redis?.connected)) disagreements.push('Redis connectivity');
+  if (differs(instance => instance.health?.mongodb?.topology)) disagreements.push('MongoDB topology');
+  if (differs(instance => instance.version)) disagreements.push('version');
+  return disagreements;
+};
+
+// One card per live backend instance, with the leader that runs singleton jobs marked
+const BackendInstances = ({ registry }) => {
+  const { instances = [], mode, self } = registry;
+  const disagreements = findDisagreements(instances);
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1 flex items-center">
+        <span className="text-2xl mr-2">🖥️</span>
+        Backend Instances ({instances.length})
+      </h2>
+      <p className="text-xs text-gray-500 mb-4">
+        {mode === 'registry'
+          ? `Heartbeats every ${registry.heartbeatInterval / 1000}s, expire after ${registry.ttl / 1000}s`
+          : 'Registry inactive (Redis unavailable or disabled); showing this instance only'}
+        {registry.lastError && <span className="text-red-600"> — {registry.lastError}</span>}
+      </p>
+
+      {disagreements.length > 0 && (
+        <div className="text-sm rounded px-3 py-2 mb-4 bg-yellow-50 text-yellow-800">
+          🟡 Instances disagree on {disagreements.join(', ')}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {instances.map((instance) => {
+          const heartbeatAge = instance.lastHeartbeat
+            ? Math.max(0, Math.round((Date.now() - new Date(instance.lastHeartbeat).getTime()) / 1000))
+            : null;
+          const { mongodb = {}, redis = {} } = instance.health || {};
+
+          return (
+            <div
+              key={instance.id}
+              className={`bg-white rounded-lg shadow-md p-4 border-l-4 ${instance.leader ? 'border-yellow-400' : 'border-gray-200'}`}
+            >
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <p className="font-semibold text-gray-800">{instance.hostname}</p>
+                  <p className="text-xs text-gray-500">
+                    {instance.id}{instance.id === self && ' (this response)'}
+                  </p>
+                </div>
+                {instance.leader && (
+                  <span className="px-2 py-1 text-xs rounded-full bg-yellow-100 text-yellow-800">👑 Leader</span>
+                )}
+              </div>
+              <div className="space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">PID:</span>
+                  <span className="text-gray-900">{instance.pid}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Version:</span>
+                  <span className="text-gray-900">{instance.version} ({instance.nodeVersion})</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Uptime:</span>
+                  <span className="text-gray-900">{formatUptime(instance.uptime || 0)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Heartbeat:</span>
+                  <span className="text-gray-900">{heartbeatAge === null ? '—' : `${heartbeatAge}s ago`}</span>
+                </div>
+                <div className="pt-2 mt-2 border-t border-gray-100 space-y-1">
+                  <HealthRow label="MongoDB" connected={mongodb.connected} detail={mongodb.topology || mongodb.state} />
+                  {redis.configured === false ? (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Redis:</span>
+                      <span className="text-gray-500">not configured</span>
+                    </div>
+                  ) : (
+                    <HealthRow label="Redis" connected={redis.connected} detail={redis.mode || redis.state} />
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BackendInstances;
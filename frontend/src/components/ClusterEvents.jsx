@@ -0,0 +1,61 @@
+import { useState } from 'react';
+
+const TYPE_STYLES = {
+  connection: 'bg-blue-100 text-blue-800',
+  topology: 'bg-purple-100 text-purple-800',
+  failover: 'bg-red-100 text-red-800',
+  admin: 'bg-yellow-100 text-yellow-800',
+  leadership: 'bg-green-100 text-green-800'
+};
+
+// Timeline of events published by every backend instance through the event bus
+const ClusterEvents = ({ events }) => {
+  const [filter, setFilter] = useState('all');
+  const types = ['all', ...Object.keys(TYPE_STYLES).filter(type => events.some(event => event.type === type))];
+  const visible = filter === 'all' ? events : events.filter(event => event.type === filter);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <span className="text-2xl mr-2">📨</span>
+          Cluster Events
+        </h3>
+        <div className="flex gap-1">
+          {types.map(type => (
+            <button
+              key={type}
+              onClick={() => setFilter(type)}
+              className={`px-2 py-1 text-xs rounded ${filter === type ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-gray-500">No events yet</p>
+      ) : (
+        <div className="space-y-2 text-sm max-h-96 overflow-y-auto">
+          {visible.map(event => (
+            <div key={event.id} className="flex justify-between items-start gap-4 border-b border-gray-100 pb-2">
+              <div className="flex items-start gap-2">
+                <span className={`px-2 py-0.5 text-xs rounded-full ${TYPE_STYLES[event.type] || 'bg-gray-100 text-gray-700'}`}>
+                  {event.type}
+                </span>
+                <span className="text-gray-800">{event.message}</span>
+              </div>
+              <div className="text-right text-xs text-gray-500 whitespace-nowrap">
+                <div>{new Date(event.timestamp).toLocaleString()}</div>
+                <div>{event.origin}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClusterEvents;
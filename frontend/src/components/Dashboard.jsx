@@ -1,8 +1,56 @@
 import { useState, useEffect } from 'react';
-import { fetchDetailedStatus, fetchArchitecture } from '../services/api';
+import {
+  fetchDetailedStatus,
+  fetchArchitecture,
+  fetchTopologyEvents,
+  fetchShardingDetails,
+  fetchHistory,
+  fetchInstances,
+  fetchClusterEvents,
+  runConnectionAction,
+  setAdminToken,
+  subscribeToStatusStream
+} from '../services/api';
 import ArchitectureDiagram from './ArchitectureDiagram';
+import ArchitectureExport from './ArchitectureExport';
+import DeclaredTopology from './DeclaredTopology';
+import BackendInstances from './BackendInstances';
+import ClusterEvents from './ClusterEvents';
+import ResponseCache from './ResponseCache';
 
-const Dashboard = () => {
+// Persisted history ranges and the bucket size each one is downsampled to
+const HISTORY_RANGES = {
+  '1h': { ms: 60 * 60 * 1000, bucket: '1m' },
+  '24h': { ms: 24 * 60 * 60 * 1000, bucket: '1h' },
+  '7d': { ms: 7 * 24 * 60 * 60 * 1000, bucket: '1d' }
+};
+const HISTORY_SERVICES = ['backend', 'mongodb', 'redis'];
+
+// Replays overlap live events, so entries are keyed by id; newest first
+const mergeClusterEvents = (current, incoming) => {
+  const byId = new Map(current.map(event => [event.id, event]));
+  for (const event of incoming) byId.set(event.id, event);
+  return [...byId.values()].sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, 100);
+};
+
+const LIFECYCLE_COLORS = {
+  connected: 'text-green-700',
+  connecting: 'text-blue-700',
+  degraded: 'text-yellow-700',
+  'backing-off': 'text-orange-700',
+  'open-circuit': 'text-red-700',
+  idle: 'text-gray-500'
+};
+
+const CONNECTION_ACTIONS = [
+  { action: 'reconnect', label: 'Reconnect' },
+  { action: 'disconnect', label: 'Disconnect', confirm: 'Disconnect {service}? It stays down until reconnected.' },
+  { action: 'reset', label: 'Reset Retries' },
+  { action: 'refresh', label: 'Refresh Topology' },
+  { action: 'connection', label: 'Change URI' }
+];
+
+const Dashboard = ({ authEnabled = false, user = null, onLogout }) => {
   const [status, setStatus] = useState(null);
   const [architecture, setArchitecture] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -12,14 +60,31 @@ const Dashboard = () => {
   const [refreshInterval, setRefreshInterval] = useState(10000);
   const [connectionHistory, setConnectionHistory] = useState([]);
   const [activeTab, setActiveTab] = useState('overview');
+  const [topologyEvents, setTopologyEvents] = useState([]);
+  const [sharding, setSharding] = useState(null);
+  const [instances, setInstances] = useState(null);
+  const [clusterEvents, setClusterEvents] = useState([]);
+  const [streamState, setStreamState] = useState('connecting');
+  const [historyRange, setHistoryRange] = useState('24h');
+  const [persistedHistory, setPersistedHistory] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [adminPending, setAdminPending] = useState(null);
+  const [adminResults, setAdminResults] = useState({});
+
+  const recordHistory = (entry) => {
+    setConnectionHistory(prev => [...prev.slice(-20), { timestamp: new Date().toISOString(), ...entry }]); // Keep last 20 entries
+  };
 
   const fetchData = async () => {
     setLoading(true);
     setError(null);
     
-    const [statusResult, archResult] = await Promise.all([
+    const [statusResult, archResult, eventsResult, instancesResult, clusterEventsResult] = await Promise.all([
       fetchDetailedStatus(),
-      fetchArchitecture()
+      fetchArchitecture(),
+      fetchTopologyEvents(),
+      fetchInstances(),
+      fetchClusterEvents()
     ]);
     
     if (statusResult.success) {
@@ -28,35 +93,47 @@ const Dashboard = () => {
       setError(null);
       
       // Track connection history
-      setConnectionHistory(prev => {
-        const newEntry = {
-          timestamp: new Date().toISOString(),
-          backend: true,
-          mongodb: statusResult.data.services?.mongodb?.connected || false,
-          redis: statusResult.data.services?.redis?.connected || false
-        };
-        return [...prev.slice(-20), newEntry]; // Keep last 20 entries
+      recordHistory({
+        backend: true,
+        mongodb: statusResult.data.services?.mongodb?.connected || false,
+        redis: statusResult.data.services?.redis?.connected || false
       });
     } else {
       setError(statusResult.error);
       setStatus(null);
       
       // Track disconnection
-      setConnectionHistory(prev => {
-        const newEntry = {
-          timestamp: new Date().toISOString(),
-          backend: false,
-          mongodb: false,
-          redis: false,
-          error: true
-        };
-        return [...prev.slice(-20), newEntry];
+      recordHistory({
+        backend: false,
+        mongodb: false,
+        redis: false,
+        error: true
       });
     }
 
     if (archResult.success) {
       setArchitecture(archResult.data);
     }
+
+    if (eventsResult.success) {
+      setTopologyEvents(eventsResult.data.events || []);
+    }
+
+    if (instancesResult.success) {
+      setInstances(instancesResult.data);
+    }
+
+    if (clusterEventsResult.success) {
+      setClusterEvents(prev => mergeClusterEvents(prev, clusterEventsResult.data.events || []));
+    }
+
+    // Sharding details are only available through mongos
+    if (statusResult.success && statusResult.data.services?.mongodb?.architecture?.topology === 'sharded') {
+      const shardingResult = await fetchShardingDetails();
+      setSharding(shardingResult.success ? shardingResult.data : null);
+    } else {
+      setSharding(null);
+    }
     
     setLoading(false);
   };
@@ -65,12 +142,95 @@ const Dashboard = () => {
     fetchData();
   }, []);
 
+  // Push updates; polling below only runs while the stream is down
   useEffect(() => {
-    if (!autoRefresh) return;
+    const unsubscribe = subscribeToStatusStream({
+      onOpen: () => setStreamState('live'),
+      onError: () => setStreamState('polling'),
+      onSnapshot: (snapshot) => {
+        setStatus(snapshot);
+        setLastUpdate(new Date());
+        setError(null);
+        setLoading(false);
+      },
+      onConnection: (event) => {
+        setStatus(prev => prev && {
+          ...prev,
+          services: {
+            ...prev.services,
+            [event.service]: {
+              ...prev.services?.[event.service],
+              connected: event.connected,
+              message: event.message,
+              lastError: event.lastError,
+              lastChecked: event.timestamp
+            }
+          }
+        });
+        setLastUpdate(new Date());
+        // Carry the other service's last known state forward
+        setConnectionHistory(prev => {
+          const last = prev[prev.length - 1] || {};
+          return [...prev.slice(-20), {
+            timestamp: event.timestamp,
+            backend: true,
+            mongodb: event.service === 'mongodb' ? event.connected : !!last.mongodb,
+            redis: event.service === 'redis' ? event.connected : !!last.redis
+          }];
+        });
+      },
+      onTopology: () => fetchData(),
+      onTopologyEvent: (event) => {
+        if (event.service === 'mongodb') {
+          setTopologyEvents(prev => [event, ...prev]);
+        }
+      },
+      onClusterEvent: (event) => setClusterEvents(prev => mergeClusterEvents(prev, [event]))
+    });
+
+    return unsubscribe;
+  }, []);
+
+  // Persisted samples survive page reloads and backend restarts
+  const loadHistory = async () => {
+    const range = HISTORY_RANGES[historyRange];
+    const result = await fetchHistory({
+      from: new Date(Date.now() - range.ms).toISOString(),
+      service: HISTORY_SERVICES.join(','),
+      bucket: range.bucket
+    });
+
+    if (result.success) {
+      // One chart entry per bucket, with each service's uptime percentage
+      const byTimestamp = new Map();
+      for (const bucket of result.data.buckets || []) {
+        const entry = byTimestamp.get(bucket.timestamp) || { timestamp: bucket.timestamp, samples: 0 };
+        entry[bucket.service] = bucket.uptime;
+        entry.samples = Math.max(entry.samples, bucket.samples);
+        byTimestamp.set(bucket.timestamp, entry);
+      }
+      setPersistedHistory([...byTimestamp.values()]);
+      setHistoryError(null);
+    } else {
+      setPersistedHistory(null);
+      setHistoryError(result.details?.message || result.error);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab !== 'monitoring') return;
+
+    loadHistory();
+    const interval = setInterval(loadHistory, 60000);
+    return () => clearInterval(interval);
+  }, [activeTab, historyRange]);
+
+  useEffect(() => {
+    if (!autoRefresh || streamState === 'live') return;
     
     const interval = setInterval(fetchData, refreshInterval);
     return () => clearInterval(interval);
-  }, [autoRefresh, refreshInterval]);
+  }, [autoRefresh, refreshInterval, streamState]);
 
   const StatusBadge = ({ connected, label }) => (
     <div className="flex items-center space-x-2">
@@ -99,7 +259,70 @@ const Dashboard = () => {
     );
   };
 
-  const ServiceCard = ({ title, service, icon }) => (
+  // Viewers get a read-only dashboard
+  const canAdmin = !authEnabled || user?.role === 'admin';
+
+  const handleConnectionAction = async (service, { action, label, confirm }) => {
+    if (confirm && !window.confirm(confirm.replace('{service}', service))) return;
+
+    let body;
+    if (action === 'connection') {
+      const example = service === 'mongodb' ? 'mongodb://host:27017/devops-demo' : 'redis://host:6379';
+      const uri = window.prompt(`New ${service} URI (e.g. ${example})`);
+      if (!uri) return;
+      body = { uri };
+    }
+
+    setAdminPending(`${service}:${action}`);
+    let result = await runConnectionAction(service, action, body);
+
+    // Without sessions the admin API takes the legacy ADMIN_TOKEN; ask once and retry
+    if (!authEnabled && (result.statusCode === 401 || result.statusCode === 403)) {
+      const token = window.prompt('Admin token (ADMIN_TOKEN)');
+      if (token) {
+        setAdminToken(token);
+        result = await runConnectionAction(service, action, body);
+      }
+    }
+
+    setAdminResults(prev => ({
+      ...prev,
+      [service]: {
+        ok: result.success,
+        text: result.success ? `${label} done` : `${label} failed: ${result.details?.message || result.error}`
+      }
+    }));
+    setAdminPending(null);
+    fetchData();
+  };
+
+  const ConnectionControls = ({ name }) => (
+    <div className="mt-3 pt-3 border-t border-gray-100">
+      <div className="flex flex-wrap gap-2">
+        {CONNECTION_ACTIONS.map((item) => (
+          <button
+            key={item.action}
+            onClick={() => handleConnectionAction(name, item)}
+            disabled={adminPending !== null}
+            className={`px-2 py-1 text-xs font-medium rounded border ${
+              item.action === 'disconnect'
+                ? 'border-red-300 text-red-700 hover:bg-red-50'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            } disabled:opacity-50`}
+          >
+            {adminPending === `${name}:${item.action}` ? 'Working...' : item.label}
+          </button>
+        ))}
+      </div>
+      {adminResults[name] && (
+        <div className={`mt-2 text-xs ${adminResults[name].ok ? 'text-green-600' : 'text-red-600'}`}>
+          {adminResults[name].text}
+        </div>
+      )}
+    </div>
+  );
+
+  const ServiceCard = ({ title, service, icon, name }) => (
     <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-blue-500">
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-lg font-semibold text-gray-800 flex items-center">
@@ -122,6 +345,23 @@ const Dashboard = () => {
           </div>
         )}
 
+        {service?.lifecycle && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Lifecycle:</span>
+            <span className={`font-medium ${LIFECYCLE_COLORS[service.lifecycle.state] || 'text-gray-900'}`}>
+              {service.lifecycle.state}
+              {service.lifecycle.consecutiveFailures > 0 && ` (${service.lifecycle.consecutiveFailures} failures)`}
+            </span>
+          </div>
+        )}
+
+        {service?.lifecycle?.nextRetryAt && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Next Retry:</span>
+            <span className="text-gray-900">{new Date(service.lifecycle.nextRetryAt).toLocaleTimeString()}</span>
+          </div>
+        )}
+
         {service?.port && (
           <div className="flex justify-between">
             <span className="text-gray-600">Port:</span>
@@ -129,6 +369,20 @@ const Dashboard = () => {
           </div>
         )}
 
+        {service?.target && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">{service.type?.toUpperCase()} Target:</span>
+            <span className="text-gray-900 truncate ml-2" title={service.target}>{service.target}</span>
+          </div>
+        )}
+
+        {service?.custom && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Critical:</span>
+            <span className="text-gray-900">{service.critical ? 'Yes' : 'No'}</span>
+          </div>
+        )}
+
         {service?.lastError && (
           <div className="text-sm text-red-600">
             Error: {service.lastError}
@@ -155,6 +409,15 @@ const Dashboard = () => {
               </div>
             )}
 
+            {service.architecture.replication && (
+              <div className="text-sm">
+                Term: <span className="font-medium">{service.architecture.replication.term ?? 'N/A'}</span>
+                {service.architecture.replication.maxLagSeconds !== null && (
+                  <span className="text-gray-500"> • Max lag: {service.architecture.replication.maxLagSeconds}s</span>
+                )}
+              </div>
+            )}
+
             {service.architecture.role && (
               <div className="text-sm">
                 Role: <span className="font-medium">{service.architecture.role}</span>
@@ -172,6 +435,11 @@ const Dashboard = () => {
                       </span>
                       <span className="font-medium">
                         {node.role}
+                        {node.lagSeconds !== null && node.lagSeconds !== undefined && (
+                          <span className={`ml-1 ${node.lagSeconds > 10 ? 'text-red-600' : 'text-gray-500'}`}>
+                            (lag {node.lagSeconds}s)
+                          </span>
+                        )}
                       </span>
                     </div>
                   ))}
@@ -179,18 +447,94 @@ const Dashboard = () => {
               </div>
             )}
 
+            {service.architecture.sentinel && (
+              <div className="mt-2 space-y-1">
+                <div className="text-sm">
+                  Master:{' '}
+                  <span className={`font-medium ${service.architecture.sentinel.master?.healthy ? 'text-green-600' : 'text-red-600'}`}>
+                    {service.architecture.sentinel.master?.address || 'unknown'}
+                  </span>
+                </div>
+                {service.architecture.sentinel.quorum && (
+                  <div className="text-sm">
+                    Quorum:{' '}
+                    <span className={`font-medium ${service.architecture.sentinel.quorum.reachable ? 'text-green-600' : 'text-red-600'}`}>
+                      {service.architecture.sentinel.quorum.reachable ? 'reachable' : 'unreachable'}
+                    </span>
+                    <span className="text-gray-500">
+                      {' '}({service.architecture.sentinel.quorum.agreeing}/{service.architecture.sentinel.quorum.totalSentinels} sentinels agree, need {service.architecture.sentinel.quorum.required ?? '?'})
+                    </span>
+                  </div>
+                )}
+                {service.architecture.sentinel.replicas.length > 0 && (
+                  <div className="mt-1 space-y-1">
+                    {service.architecture.sentinel.replicas.map((replica) => (
+                      <div key={replica.address} className="flex justify-between text-xs">
+                        <span className="text-gray-700">↳ {replica.address}</span>
+                        <span className={`font-medium ${replica.healthy ? 'text-green-600' : 'text-red-600'}`}>
+                          {replica.healthy ? 'healthy' : replica.flags}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {service.architecture.sentinel.events.length > 0 && (
+                  <div className="mt-2">
+                    <span className="text-gray-600 text-sm">Sentinel Events:</span>
+                    <div className="mt-1 space-y-1">
+                      {service.architecture.sentinel.events.slice(0, 5).map((event, idx) => (
+                        <div key={idx} className="flex justify-between text-xs">
+                          <span className={event.type === '+switch-master' || event.type === '+odown' ? 'text-red-600 font-medium' : 'text-gray-700'}>
+                            {event.type} {event.type === '+switch-master' ? `${event.from} → ${event.to}` : event.instance}
+                          </span>
+                          <span className="text-gray-500">{new Date(event.timestamp).toLocaleTimeString()}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {service.architecture.clusterInfo && (
+              <div className="text-sm">
+                Cluster State:{' '}
+                <span className={`font-medium ${service.architecture.clusterInfo.state === 'ok' ? 'text-green-600' : 'text-red-600'}`}>
+                  {service.architecture.clusterInfo.state}
+                </span>
+                <span className="text-gray-500">
+                  {' '}({service.architecture.clusterInfo.masters} masters, {service.architecture.clusterInfo.replicas} replicas)
+                </span>
+              </div>
+            )}
+
             {service.architecture.clusterNodes && service.architecture.clusterNodes.length > 0 && (
               <div className="mt-2">
                 <span className="text-gray-600 text-sm">Cluster Nodes:</span>
                 <div className="mt-1 space-y-1">
                   {service.architecture.clusterNodes.map((node, idx) => (
-                    <div key={idx} className="flex justify-between text-xs">
-                      <span className="text-gray-700">
-                        {node.address}
-                      </span>
-                      <span className="font-medium">
-                        {node.role}
-                      </span>
+                    <div key={node.id || idx} className="text-xs">
+                      <div className="flex justify-between">
+                        <span className={node.healthy === false ? 'text-red-600' : 'text-gray-700'}>
+                          {node.role === 'replica' && '↳ '}{node.address}
+                        </span>
+                        <span className="font-medium">
+                          {node.role}
+                          {node.failState && node.failState !== 'ok' && (
+                            <span className="ml-1 text-red-600">({node.failState})</span>
+                          )}
+                        </span>
+                      </div>
+                      {node.slotRanges && node.slotRanges.length > 0 && (
+                        <div className="text-gray-500 pl-2">
+                          Slots: {node.slotRanges.join(', ')} ({node.slotCount})
+                        </div>
+                      )}
+                      {node.masterAddress && (
+                        <div className="text-gray-500 pl-2">
+                          Replica of: {node.masterAddress}
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -210,6 +554,18 @@ const Dashboard = () => {
           </div>
         )}
 
+        {service?.probe && !service.probe.skipped && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-600">Data Path:</span>
+            <span
+              className={`font-medium ${service.probe.ok ? 'text-green-600' : 'text-red-600'}`}
+              title={service.probe.error || ''}
+            >
+              {service.probe.ok ? `OK (${service.probe.latency}ms)` : `Failed at ${service.probe.failedStep}`}
+            </span>
+          </div>
+        )}
+
         <div className="flex justify-between">
           <span className="text-gray-600">Last Checked:</span>
           <span className="text-gray-900">
@@ -217,17 +573,65 @@ const Dashboard = () => {
           </span>
         </div>
       </div>
+
+      {name && canAdmin && <ConnectionControls name={name} />}
     </div>
   );
 
   const ConnectionHistoryChart = () => {
-    if (connectionHistory.length === 0) {
+    // Fall back to this session's checks while persisted history is unavailable
+    const persisted = persistedHistory && persistedHistory.length > 0;
+    const entries = persisted
+      ? persistedHistory
+      : connectionHistory.map(entry => ({
+          timestamp: entry.timestamp,
+          samples: 1,
+          backend: entry.backend ? 100 : 0,
+          mongodb: entry.mongodb ? 100 : 0,
+          redis: entry.redis ? 100 : 0
+        }));
+
+    const uptime = (service) => {
+      const counted = entries.filter(entry => entry[service] !== undefined);
+      const samples = counted.reduce((total, entry) => total + entry.samples, 0);
+      if (samples === 0) return 'N/A';
+      return `${(counted.reduce((total, entry) => total + entry[service] * entry.samples, 0) / samples).toFixed(1)}%`;
+    };
+
+    const formatTime = (timestamp) => persisted && historyRange !== '1h'
+      ? new Date(timestamp).toLocaleString()
+      : new Date(timestamp).toLocaleTimeString();
+
+    const bars = [
+      { service: 'backend', label: 'Backend', color: 'bg-blue-500' },
+      { service: 'mongodb', label: 'MongoDB', color: 'bg-green-500' },
+      { service: 'redis', label: 'Redis', color: 'bg-red-500' }
+    ];
+
+    const header = (
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <span className="text-2xl mr-2">📊</span>
+          {persisted
+            ? `Connection History (Last ${historyRange}, ${HISTORY_RANGES[historyRange].bucket} buckets)`
+            : `Connection History (Last ${connectionHistory.length} checks)`}
+        </h3>
+        <select
+          value={historyRange}
+          onChange={(e) => setHistoryRange(e.target.value)}
+          className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.keys(HISTORY_RANGES).map(range => (
+            <option key={range} value={range}>Last {range}</option>
+          ))}
+        </select>
+      </div>
+    );
+
+    if (entries.length === 0) {
       return (
         <div className="bg-white rounded-lg shadow-md p-6">
-          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-            <span className="text-2xl mr-2">📊</span>
-            Connection History
-          </h3>
+          {header}
           <div className="text-center py-8">
             <p className="text-gray-600">No connection history data yet.</p>
             <p className="text-sm text-gray-500">Data will appear after the first status check.</p>
@@ -238,10 +642,12 @@ const Dashboard = () => {
 
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
-          <span className="text-2xl mr-2">📊</span>
-          Connection History (Last {connectionHistory.length} checks)
-        </h3>
+        {header}
+        {!persisted && historyError && (
+          <p className="text-xs text-yellow-700 mb-3">
+            Persisted history unavailable ({historyError}); showing checks from this session only.
+          </p>
+        )}
         
         <div className="flex items-end justify-between h-32 mb-4 border-b border-l border-gray-200 pb-2 pl-2 relative">
           <div className="absolute left-0 top-0 h-full flex flex-col justify-between text-xs text-gray-500 -ml-6">
@@ -250,77 +656,51 @@ const Dashboard = () => {
             <span>0%</span>
           </div>
           <div className="flex items-end space-x-1 h-32 flex-grow">
-            {connectionHistory.map((entry, idx) => {
-              const backendHeight = entry.backend ? 'h-full' : 'h-2';
-              const mongoHeight = entry.mongodb ? 'h-full' : 'h-2';
-              const redisHeight = entry.redis ? 'h-full' : 'h-2';
-              
-              return (
-                <div key={idx} className="flex items-end space-x-0.5 w-4">
-                  <div
-                    className={`w-2 ${entry.backend ? 'bg-blue-500' : 'bg-gray-300'} rounded-t hover:opacity-75 transition-opacity ${
-                      backendHeight.includes('full') ? 'h-full' : 'h-2'
-                    }`}
-                    style={{ height: entry.backend ? '100%' : '10%' }}
-                    title={`Backend: ${entry.backend ? 'Connected' : 'Disconnected'} at ${new Date(entry.timestamp).toLocaleTimeString()}`}
-                  />
-                  <div
-                    className={`w-2 ${entry.mongodb ? 'bg-green-500' : 'bg-gray-300'} rounded-t hover:opacity-75 transition-opacity ${
-                      mongoHeight.includes('full') ? 'h-full' : 'h-2'
-                    }`}
-                    style={{ height: entry.mongodb ? '100%' : '10%' }}
-                    title={`MongoDB: ${entry.mongodb ? 'Connected' : 'Disconnected'} at ${new Date(entry.timestamp).toLocaleTimeString()}`}
-                  />
-                  <div
-                    className={`w-2 ${entry.redis ? 'bg-red-500' : 'bg-gray-300'} rounded-t hover:opacity-75 transition-opacity ${
-                      redisHeight.includes('full') ? 'h-full' : 'h-2'
-                    }`}
-                    style={{ height: entry.redis ? '100%' : '10%' }}
-                    title={`Redis: ${entry.redis ? 'Connected' : 'Disconnected'} at ${new Date(entry.timestamp).toLocaleTimeString()}`}
-                  />
-                </div>
-              );
-            })}
+            {entries.map((entry, idx) => (
+              <div key={idx} className="flex items-end space-x-0.5 w-4 h-full">
+                {bars.map(({ service, label, color }) => {
+                  const value = entry[service];
+                  return (
+                    <div
+                      key={service}
+                      className={`w-2 ${value > 0 ? color : 'bg-gray-300'} rounded-t hover:opacity-75 transition-opacity`}
+                      style={{ height: value > 0 ? `${Math.max(value, 10)}%` : '10%' }}
+                      title={value === undefined
+                        ? `${label}: no samples at ${formatTime(entry.timestamp)}`
+                        : `${label}: ${value}% up at ${formatTime(entry.timestamp)}`}
+                    />
+                  );
+                })}
+              </div>
+            ))}
           </div>
         </div>
         
         <div className="flex justify-between text-xs text-gray-600 mb-4">
           <div className="flex items-center space-x-4">
-            <div className="flex items-center">
-              <div className="w-3 h-3 bg-blue-500 mr-1"></div>
-              <span>Backend</span>
-            </div>
-            <div className="flex items-center">
-              <div className="w-3 h-3 bg-green-500 mr-1"></div>
-              <span>MongoDB</span>
-            </div>
-            <div className="flex items-center">
-              <div className="w-3 h-3 bg-red-500 mr-1"></div>
-              <span>Redis</span>
-            </div>
+            {bars.map(({ service, label, color }) => (
+              <div key={service} className="flex items-center">
+                <div className={`w-3 h-3 ${color} mr-1`}></div>
+                <span>{label}</span>
+              </div>
+            ))}
           </div>
-          <span>{connectionHistory.length} samples</span>
+          <span>{persisted ? `${entries.length} buckets` : `${entries.length} samples`}</span>
         </div>
 
         {/* Statistics */}
         <div className="grid grid-cols-3 gap-4 mt-4">
           <div className="bg-blue-50 rounded-lg p-3 text-center">
             <p className="text-sm text-gray-600">Backend Uptime</p>
-            <p className="text-lg font-bold text-blue-600">
-              {((connectionHistory.filter(e => e.backend).length / connectionHistory.length) * 100).toFixed(1)}%
-            </p>
+            <p className="text-lg font-bold text-blue-600">{uptime('backend')}</p>
           </div>
           <div className="bg-green-50 rounded-lg p-3 text-center">
             <p className="text-sm text-gray-600">MongoDB Uptime</p>
-            <p className="text-lg font-bold text-green-600">
-              {((connectionHistory.filter(e => e.mongodb).length / connectionHistory.length) * 100).toFixed(1)}%
-            </p>
+            <p className="text-lg font-bold text-green-600">{uptime('mongodb')}</p>
           </div>
           <div className="bg-red-50 rounded-lg p-3 text-center">
             <p className="text-sm text-gray-600">Redis Uptime</p>
-            <p className="text-lg font-bold text-red-600">
-              {((connectionHistory.filter(e => e.redis).length / connectionHistory.length) * 100).toFixed(1)}%
-            </p>
+            <p className="text-lg font-bold text-red-600">{uptime('redis')}</p>
           </div>
         </div>
       </div>
@@ -414,6 +794,20 @@ const Dashboard = () => {
                 <span>{loading ? '🔄' : '🔃'}</span>
                 <span>{loading ? 'Refreshing...' : 'Refresh'}</span>
               </button>
+
+              {authEnabled && user && (
+                <div className="flex items-center space-x-2 text-sm">
+                  <span className="text-gray-700">
+                    {user.username} <span className="text-gray-500">({user.role})</span>
+                  </span>
+                  <button
+                    onClick={onLogout}
+                    className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Log out
+                  </button>
+                </div>
+              )}
             </div>
           </div>
           
@@ -422,8 +816,13 @@ const Dashboard = () => {
               <span>
                 Last updated: {lastUpdate.toLocaleString()}
               </span>
-              <span>
-                Next refresh in: {autoRefresh ? `${refreshInterval / 1000}s` : 'Manual'}
+              <span className="flex items-center space-x-2">
+                <span className={`w-2 h-2 rounded-full ${streamState === 'live' ? 'bg-green-500 animate-pulse' : 'bg-yellow-500'}`} />
+                <span>
+                  {streamState === 'live'
+                    ? 'Live (streaming)'
+                    : `Polling • Next refresh in: ${autoRefresh ? `${refreshInterval / 1000}s` : 'Manual'}`}
+                </span>
               </span>
             </div>
           )}
@@ -448,6 +847,24 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Injected faults (chaos API) */}
+        {status?.chaos?.active?.length > 0 && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-500 rounded-lg p-4 mb-6">
+            <p className="font-semibold text-yellow-800 mb-2">🧪 Fault injection active — degraded results below are simulated</p>
+            <ul className="text-sm text-yellow-800 space-y-1">
+              {status.chaos.active.map(fault => (
+                <li key={fault.id}>
+                  <span className="font-medium">{fault.service}</span>: {fault.type}
+                  {fault.type === 'latency' && ` +${fault.latencyMs}ms`}
+                  {fault.type === 'errors' && ` ${(fault.errorRate * 100).toFixed(0)}%`}
+                  {' '}until {new Date(fault.expiresAt).toLocaleTimeString()}
+                  {fault.reason && ` (${fault.reason})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Overview Tab */}
         {activeTab === 'overview' && (
           <>
@@ -527,16 +944,31 @@ const Dashboard = () => {
                 />
                 <ServiceCard
                   title="MongoDB"
+                  name="mongodb"
                   service={status?.services?.mongodb}
                   icon="🍃"
                 />
                 <ServiceCard
                   title="Redis"
+                  name="redis"
                   service={status?.services?.redis}
                   icon="📦"
                 />
+                {Object.entries(status?.services || {})
+                  .filter(([, service]) => service.custom)
+                  .map(([name, service]) => (
+                    <ServiceCard
+                      key={name}
+                      title={name}
+                      service={service}
+                      icon={{ http: '🌐', tcp: '🔗', dns: '🧭' }[service.type] || '🧩'}
+                    />
+                  ))}
               </div>
             </div>
+
+            {/* One card per registered backend instance */}
+            {instances && <BackendInstances registry={instances} />}
           </>
         )}
 
@@ -549,6 +981,7 @@ const Dashboard = () => {
                 System Architecture
               </h2>
               <ArchitectureDiagram architecture={architecture} status={status} />
+              <ArchitectureExport />
             </div>
 
             {architecture && (
@@ -557,12 +990,15 @@ const Dashboard = () => {
                 <div className="bg-white rounded-lg shadow-md p-6 mb-6">
                   <h3 className="text-lg font-semibold text-gray-800 mb-4">Components</h3>
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                    {architecture.components.map((component) => (
+                    {architecture.components.filter(component => !component.parent).map((component) => (
                       <div key={component.id} className="border border-gray-200 rounded-lg p-4">
                         <div className="flex justify-between items-start mb-2">
                           <h4 className="font-semibold text-gray-800">{component.name}</h4>
                           <span className={`px-2 py-1 text-xs rounded-full ${
-                            component.status === 'running' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                            component.status === 'running' ? 'bg-green-100 text-green-800'
+                              : component.status === 'down' ? 'bg-red-100 text-red-800'
+                                : component.status === 'declared' ? 'bg-gray-100 text-gray-700'
+                                  : 'bg-yellow-100 text-yellow-800'
                           }`}>
                             {component.status}
                           </span>
@@ -574,19 +1010,106 @@ const Dashboard = () => {
                             <span className="text-gray-800">{component.technology}</span>
                           </div>
                           <div className="flex justify-between">
-                            <span className="text-gray-500">Port:</span>
-                            <span className="text-gray-800">{component.port}</span>
+                            <span className="text-gray-500">Address:</span>
+                            <span className="text-gray-800">
+                              {component.host ? `${component.host}${component.port ? `:${component.port}` : ''}` : component.port ?? 'N/A'}
+                            </span>
                           </div>
+                          {component.version && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-500">Version:</span>
+                              <span className="text-gray-800">{component.version}</span>
+                            </div>
+                          )}
                           <div className="flex justify-between">
                             <span className="text-gray-500">Type:</span>
                             <span className="text-gray-800">{component.type}</span>
                           </div>
                         </div>
+                        {architecture.components.some(node => node.parent === component.id) && (
+                          <div className="mt-3 pt-2 border-t border-gray-100 space-y-1 text-xs">
+                            {architecture.components.filter(node => node.parent === component.id).map((node) => (
+                              <div key={node.id} className="flex justify-between">
+                                <span className="text-gray-700">
+                                  <span className="font-medium">{node.role}</span> {node.name}
+                                </span>
+                                <span className={node.status === 'running' ? 'text-green-600' : 'text-red-600'}>
+                                  {node.version ? `v${node.version}` : node.status}
+                                </span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
                 </div>
 
+                {/* Declared (docker-compose) vs live topology */}
+                <DeclaredTopology architecture={architecture} />
+
+                {/* Sharded Cluster */}
+                {sharding && (
+                  <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+                    <h3 className="text-lg font-semibold text-gray-800 mb-4">Sharded Cluster</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Balancer</p>
+                        <p className="text-lg font-semibold text-gray-900">
+                          {sharding.balancer.error ? 'unknown' : sharding.balancer.mode}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {sharding.migrations.running ? 'Migration in progress' : 'No migration running'}
+                        </p>
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Config Servers{sharding.configServers.replicaSet ? ` (${sharding.configServers.replicaSet})` : ''}</p>
+                        {sharding.configServers.members.map((member) => (
+                          <p key={member} className="text-xs text-gray-800">{member}</p>
+                        ))}
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4">
+                        <p className="text-sm text-gray-600">Mongos Routers</p>
+                        {sharding.routers.map((router) => (
+                          <p key={router.host} className="text-xs text-gray-800">
+                            {router.host} {router.version && <span className="text-gray-500">v{router.version}</span>}
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                      {sharding.shards.map((shard) => (
+                        <div key={shard.name} className="border border-gray-200 rounded-lg p-4">
+                          <div className="flex justify-between mb-2">
+                            <h4 className="font-semibold text-gray-800">{shard.name}</h4>
+                            <span className="text-xs text-gray-600">{shard.chunks} chunks</span>
+                          </div>
+                          {shard.members.map((member) => (
+                            <p key={member} className="text-xs text-gray-700">{member}</p>
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+
+                    {sharding.collections.length > 0 && (
+                      <div className="space-y-2 text-sm">
+                        {sharding.collections.map((collection) => (
+                          <div key={collection.namespace} className="flex justify-between border-b border-gray-100 pb-2">
+                            <span className="text-gray-800">
+                              {collection.namespace}{' '}
+                              <span className="text-xs text-gray-500">{JSON.stringify(collection.key)}</span>
+                            </span>
+                            <span className="text-xs text-gray-600">
+                              {Object.entries(collection.distribution).map(([shard, count]) => `${shard}: ${count}`).join(' • ')}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Deployment Info */}
                 <div className="bg-white rounded-lg shadow-md p-6 mb-6">
                   <h3 className="text-lg font-semibold text-gray-800 mb-4">Deployment Configuration</h3>
@@ -614,6 +1137,28 @@ const Dashboard = () => {
         {activeTab === 'monitoring' && (
           <>
             <ConnectionHistoryChart />
+
+            {topologyEvents.length > 0 && (
+              <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+                  <span className="text-2xl mr-2">🗳️</span>
+                  Elections & Stepdowns
+                </h3>
+                <div className="space-y-2 text-sm">
+                  {topologyEvents.map((event, idx) => (
+                    <div key={idx} className="flex justify-between border-b border-gray-100 pb-2">
+                      <span className={event.type === 'election' ? 'text-green-700' : 'text-red-700'}>
+                        {event.message}
+                      </span>
+                      <span className="text-gray-500">{new Date(event.timestamp).toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Events from every backend instance (event bus) */}
+            <ClusterEvents events={clusterEvents} />
             
             <div className="bg-white rounded-lg shadow-md p-6 mt-6">
               <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
@@ -689,6 +1234,8 @@ const Dashboard = () => {
                 </div>
               </div>
             </div>
+
+            <ResponseCache cache={status?.cache} />
           </>
         )}
 
@@ -0,0 +1,137 @@
+const STATUS_STYLES = {
+  running: 'bg-green-100 text-green-800',
+  down: 'bg-red-100 text-red-800',
+  missing: 'bg-red-100 text-red-800',
+  unknown: 'bg-gray-100 text-gray-600',
+  'one-shot': 'bg-blue-100 text-blue-800'
+};
+
+const MONGO_TOPOLOGIES = { replicaSet: 'replica set', sharded: 'sharded cluster', standalone: 'standalone' };
+
+const describeDeclared = (service, expected) => {
+  if (!expected) return 'not declared';
+  if (service === 'mongodb') {
+    if (expected.topology === 'sharded') {
+      return `sharded cluster: ${expected.routers} mongos, ${Object.keys(expected.shards).length} shards, ${expected.configServers} config servers`;
+    }
+    if (expected.topology === 'replicaSet') return `replica set ${expected.replicaSet} (${expected.members} members)`;
+    return 'standalone';
+  }
+  if (expected.mode === 'cluster') return `cluster (${expected.nodes} nodes)`;
+  if (expected.mode === 'sentinel') return `sentinel (${expected.sentinels} sentinels, ${expected.replicas} replicas)`;
+  if (expected.mode === 'replication') return `replication (${expected.replicas} replicas)`;
+  return 'standalone';
+};
+
+const describeActual = (service, architecture) => {
+  const root = architecture.components.find(component => component.id === service);
+  if (!root || root.status === 'optional') return 'not configured';
+  if (root.status !== 'running') return 'not connected';
+
+  const nodes = architecture.components.filter(component => component.parent === service);
+  const healthy = nodes.filter(component => component.status === 'running').length;
+  const mode = service === 'mongodb'
+    ? MONGO_TOPOLOGIES[architecture.topology.mongodb] || architecture.topology.mongodb
+    : architecture.topology.redis;
+  return `${mode} (${healthy}/${nodes.length} nodes healthy)`;
+};
+
+// The mounted docker-compose file next to what is actually running, with drift flagged
+const DeclaredTopology = ({ architecture }) => {
+  const { compose = null, drift = [] } = architecture;
+  if (!compose && drift.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-1">Declared vs Actual Topology</h3>
+      <p className="text-xs text-gray-500 mb-4">{compose ? compose.file : 'compose file'}</p>
+
+      {drift.length > 0 ? (
+        <div className="space-y-2 mb-4">
+          {drift.map((entry, idx) => (
+            <div
+              key={idx}
+              className={`text-sm rounded px-3 py-2 ${entry.severity === 'critical' ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'}`}
+            >
+              {entry.severity === 'critical' ? '🔴' : '🟡'} {entry.message}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm rounded px-3 py-2 mb-4 bg-green-50 text-green-800">✅ Live topology matches the compose file</div>
+      )}
+
+      {compose && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            {['mongodb', 'redis'].map((service) => (
+              <div key={service} className="bg-gray-50 rounded-lg p-4 text-sm">
+                <p className="font-semibold text-gray-800 mb-2">{service === 'mongodb' ? 'MongoDB' : 'Redis'}</p>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Declared:</span>
+                  <span className="text-gray-800">{describeDeclared(service, compose.expected[service])}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Actual:</span>
+                  <span className="text-gray-800">{describeActual(service, architecture)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4">Service</th>
+                  <th className="py-2 pr-4">Kind</th>
+                  <th className="py-2 pr-4">Ports</th>
+                  <th className="py-2 pr-4">Health check</th>
+                  <th className="py-2 pr-4">Depends on</th>
+                  <th className="py-2 pr-4">Live node</th>
+                  <th className="py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {compose.services.map((service) => {
+                  const live = architecture.components.find(component => component.id === service.component);
+                  return (
+                    <tr key={service.name} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-medium text-gray-800">
+                        {service.name}
+                        {service.replicas !== 1 && <span className="text-gray-500"> ×{service.replicas}</span>}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {service.kind}{service.replicaSet ? ` (${service.replicaSet})` : ''}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {service.ports.map(port => (port.published ? `${port.published}→${port.target}` : port.target)).join(', ') || '—'}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {service.healthcheck ? `every ${service.healthcheck.interval || '30s'}` : '—'}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {service.dependsOn.map(entry => entry.service).join(', ') || '—'}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {live ? live.name : '—'}
+                        {service.matchedBy === 'role' && <span className="text-gray-400" title="Matched by role; the node announces a different address"> ≈</span>}
+                      </td>
+                      <td className="py-2">
+                        <span className={`px-2 py-1 rounded-full ${STATUS_STYLES[service.status] || STATUS_STYLES.unknown}`}>
+                          {service.status}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeclaredTopology;
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { login } from '../services/api';
+
+const Login = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const result = await login(username, password);
+    setSubmitting(false);
+
+    if (result.success) {
+      onLogin(result.data);
+    } else {
+      setError(result.details?.message || result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl p-8 max-w-sm w-full">
+        <div className="text-center mb-6">
+          <span className="text-5xl">🚀</span>
+          <h1 className="mt-3 text-2xl font-bold text-gray-800">MERN DevOps Demo</h1>
+          <p className="text-gray-600 text-sm mt-1">Sign in to view the dashboard</p>
+        </div>
+
+        <label className="block text-sm text-gray-700 mb-1" htmlFor="username">Username</label>
+        <input
+          id="username"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="w-full mb-4 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+          required
+        />
+
+        <label className="block text-sm text-gray-700 mb-1" htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full mb-4 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:border-blue-500"
+          required
+        />
+
+        {error && (
+          <div className="mb-4 text-sm text-red-600 bg-red-50 p-2 rounded">
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
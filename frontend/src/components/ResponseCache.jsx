@@ -0,0 +1,70 @@
+const COUNTERS = [
+  { key: 'hits', label: 'Hits', className: 'text-green-700' },
+  { key: 'stale', label: 'Stale', className: 'text-yellow-700' },
+  { key: 'misses', label: 'Misses', className: 'text-blue-700' },
+  { key: 'bypassed', label: 'Bypassed', className: 'text-gray-700' },
+  { key: 'errors', label: 'Errors', className: 'text-red-700' }
+];
+
+// Redis response cache counters from /api/status
+const ResponseCache = ({ cache }) => {
+  if (!cache) return null;
+
+  const namespaces = Object.entries(cache.namespaces || {});
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center">
+          <span className="text-2xl mr-2">⚡</span>
+          Response Cache
+        </h3>
+        <span className={`px-2 py-1 text-xs rounded-full ${cache.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+          {!cache.enabled ? 'disabled' : cache.active ? `active (Redis ${cache.mode || 'unknown'})` : 'bypassed (Redis unavailable)'}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-4">
+        {COUNTERS.map(({ key, label, className }) => (
+          <div key={key} className="bg-gray-50 rounded-lg p-3 text-center">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className={`text-xl font-semibold ${className}`}>{cache[key]}</p>
+          </div>
+        ))}
+        <div className="bg-gray-50 rounded-lg p-3 text-center">
+          <p className="text-xs text-gray-500">Hit ratio</p>
+          <p className="text-xl font-semibold text-gray-900">
+            {cache.hitRatio === null ? '—' : `${Math.round(cache.hitRatio * 100)}%`}
+          </p>
+        </div>
+      </div>
+
+      {namespaces.length > 0 && (
+        <table className="min-w-full text-xs mb-2">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4">Namespace</th>
+              {COUNTERS.map(({ key, label }) => <th key={key} className="py-2 pr-4">{label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {namespaces.map(([namespace, counters]) => (
+              <tr key={namespace} className="border-b border-gray-100">
+                <td className="py-2 pr-4 font-medium text-gray-800">{namespace}</td>
+                {COUNTERS.map(({ key }) => <td key={key} className="py-2 pr-4 text-gray-700">{counters[key]}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Fresh for {cache.ttl / 1000}s, then served stale for up to {cache.staleTtl / 1000}s while refreshing;
+        {' '}{cache.invalidations} entr{cache.invalidations === 1 ? 'y' : 'ies'} invalidated by topology events
+        {cache.lastError && <span className="text-red-600"> — last error: {cache.lastError}</span>}
+      </p>
+    </div>
+  );
+};
+
+export default ResponseCache;
@@ -11,9 +11,61 @@ const apiClient = axios.create({
   },
 });
 
+// Session tokens from /auth/login, kept in this browser
+const SESSION_KEY = 'session';
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const setSession = (session) => {
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+};
+
+// App shows the login screen when this fires
+const notifyAuthRequired = () => {
+  setSession(null);
+  window.dispatchEvent(new Event('auth:required'));
+};
+
+// Correlates browser and backend logs; crypto.randomUUID is missing outside secure contexts (plain http)
+const createRequestId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// W3C trace context: a fresh trace per request lets the backend spans join the browser's trace ID.
+// Unsampled unless VITE_TRACE_SAMPLED=true, so the backend's TRACING_SAMPLE_RATIO decides what is kept
+const TRACE_SAMPLED = import.meta.env.VITE_TRACE_SAMPLED === 'true';
+
+const randomHex = (bytes) => {
+  const values = new Uint8Array(bytes);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(values);
+  } else {
+    values.forEach((_, i) => { values[i] = Math.floor(Math.random() * 256); });
+  }
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+};
+
+const createTraceparent = () => {
+  const traceId = randomHex(16);
+  return { traceId, header: `00-${traceId}-${randomHex(8)}-${TRACE_SAMPLED ? '01' : '00'}` };
+};
+
 // Retry configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000;
+const MAX_RATE_LIMIT_WAIT = 10000;
 
 // Sleep helper
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -27,6 +79,14 @@ const axiosRetry = async (config, retryCount = 0) => {
       throw error;
     }
 
+    // Rate limited: wait as long as the backend asks, unless that is longer than a poll interval
+    const retryAfter = error.response?.status === 429 ? parseInt(error.response.headers['retry-after']) : NaN;
+    if (retryAfter > 0 && retryAfter * 1000 <= MAX_RATE_LIMIT_WAIT) {
+      console.log(`Rate limited; retrying (${retryCount + 1}/${MAX_RETRIES}) after ${retryAfter}s...`);
+      await sleep(retryAfter * 1000);
+      return axiosRetry(config, retryCount + 1);
+    }
+
     const shouldRetry = 
       !error.response || // Network error
       error.response.status >= 500 || // Server error
@@ -48,8 +108,17 @@ const axiosRetry = async (config, retryCount = 0) => {
 // Request interceptor
 apiClient.interceptors.request.use(
   (config) => {
-    console.log(`🔵 API Request: ${config.method.toUpperCase()} ${config.url}`);
-    config.metadata = { startTime: Date.now() };
+    const requestId = createRequestId();
+    const trace = createTraceparent();
+    config.headers['X-Request-Id'] = requestId;
+    config.headers.traceparent = trace.header;
+    console.log(`🔵 API Request: ${config.method.toUpperCase()} ${config.url} [${requestId}] trace=${trace.traceId}`);
+    config.metadata = { startTime: Date.now(), requestId, traceId: trace.traceId };
+
+    const session = getSession();
+    if (session?.accessToken && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${session.accessToken}`;
+    }
     return config;
   },
   (error) => {
@@ -58,19 +127,55 @@ apiClient.interceptors.request.use(
   }
 );
 
+// One refresh at a time; concurrent 401s wait for the same one
+let refreshPromise = null;
+
+const refreshSession = async () => {
+  const session = getSession();
+  if (!session?.refreshToken) throw new Error('No refresh token');
+
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken: session.refreshToken });
+  const { accessToken, refreshToken, user } = response.data;
+  setSession({ accessToken, refreshToken, user });
+  console.log('🔑 Session refreshed');
+  return accessToken;
+};
+
 // Response interceptor
 apiClient.interceptors.response.use(
   (response) => {
     const duration = Date.now() - response.config.metadata.startTime;
-    console.log(`✅ API Response: ${response.status} ${response.config.url} (${duration}ms)`);
+    console.log(`✅ API Response: ${response.status} ${response.config.url} (${duration}ms) [${response.config.metadata.requestId}]`);
     return response;
   },
-  (error) => {
+  async (error) => {
     const duration = error.config?.metadata?.startTime 
       ? Date.now() - error.config.metadata.startTime 
       : 0;
     
-    console.error(`❌ API Response Error: ${error.message} (${duration}ms)`);
+    console.error(`❌ API Response Error: ${error.message} (${duration}ms) [${error.config?.metadata?.requestId}]`);
+
+    // Expired or missing session: refresh once and replay, otherwise ask for a login
+    const { config } = error;
+    if (error.response?.status === 401 && config && !config.skipAuthRefresh) {
+      if (!getSession()?.refreshToken) {
+        notifyAuthRequired();
+        return Promise.reject(error);
+      }
+
+      try {
+        refreshPromise = refreshPromise || refreshSession().finally(() => { refreshPromise = null; });
+        const accessToken = await refreshPromise;
+        return apiClient.request({
+          ...config,
+          skipAuthRefresh: true,
+          headers: { ...config.headers, Authorization: `Bearer ${accessToken}` }
+        });
+      } catch (refreshError) {
+        notifyAuthRequired();
+      }
+    }
+
     return Promise.reject(error);
   }
 );
@@ -86,7 +191,8 @@ export const fetchBackendStatus = async () => {
       error: error.message,
       details: error.response?.data || null,
       code: error.code,
-      statusCode: error.response?.status
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
     };
   }
 };
@@ -101,7 +207,8 @@ export const fetchDetailedStatus = async () => {
       error: error.message,
       details: error.response?.data || null,
       code: error.code,
-      statusCode: error.response?.status
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
     };
   }
 };
@@ -116,7 +223,8 @@ export const fetchHealthCheck = async () => {
       error: error.message,
       details: error.response?.data || null,
       code: error.code,
-      statusCode: error.response?.status
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
     };
   }
 };
@@ -131,9 +239,257 @@ export const fetchArchitecture = async () => {
       error: error.message,
       details: error.response?.data || null,
       code: error.code,
-      statusCode: error.response?.status
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+// Diagram source (Mermaid, DOT, PlantUML) or SVG markup as text
+export const fetchArchitectureExport = async (format) => {
+  try {
+    const response = await axiosRetry({
+      method: 'GET',
+      url: '/architecture',
+      params: { format },
+      responseType: 'text'
+    });
+    return {
+      success: true,
+      data: response.data,
+      contentType: response.headers['content-type']
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+export const fetchTopologyEvents = async () => {
+  try {
+    const response = await axiosRetry({ method: 'GET', url: '/topology/events' });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+export const fetchShardingDetails = async () => {
+  try {
+    const response = await axiosRetry({ method: 'GET', url: '/topology/sharding' });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+export const fetchHistory = async (params = {}) => {
+  try {
+    const response = await axiosRetry({ method: 'GET', url: '/history', params });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
     };
   }
 };
 
+export const fetchInstances = async () => {
+  try {
+    const response = await axiosRetry({ method: 'GET', url: '/instances' });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+export const fetchClusterEvents = async () => {
+  try {
+    const response = await axiosRetry({ method: 'GET', url: '/events' });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+export const fetchAuthConfig = async () => {
+  try {
+    const response = await apiClient.request({ method: 'GET', url: '/auth/config', skipAuthRefresh: true });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+export const login = async (username, password) => {
+  try {
+    const response = await apiClient.request({
+      method: 'POST',
+      url: '/auth/login',
+      data: { username, password },
+      skipAuthRefresh: true
+    });
+    const { accessToken, refreshToken, user } = response.data;
+    setSession({ accessToken, refreshToken, user });
+    return { success: true, data: user };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+// Revokes the refresh token server-side; the local session is dropped either way
+export const logout = async () => {
+  try {
+    await apiClient.request({ method: 'POST', url: '/auth/logout', skipAuthRefresh: true });
+  } catch (error) {
+    console.error('❌ Logout Error:', error.message);
+  }
+  setSession(null);
+};
+
+// Legacy admin token for /api/admin when authentication is disabled
+const ADMIN_TOKEN_KEY = 'adminToken';
+
+export const getAdminToken = () => localStorage.getItem(ADMIN_TOKEN_KEY);
+
+export const setAdminToken = (token) => {
+  if (token) {
+    localStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(ADMIN_TOKEN_KEY);
+  }
+};
+
+// reconnect | disconnect | reset | refresh | connection (PUT with { uri })
+// Not retried: a reconnect or disconnect must not be repeated behind the operator's back
+export const runConnectionAction = async (service, action, body) => {
+  try {
+    const response = await apiClient.request({
+      method: action === 'connection' ? 'PUT' : 'POST',
+      url: `/admin/${service}/${action}`,
+      data: body,
+      timeout: 30000,
+      headers: getAdminToken() ? { 'X-Admin-Token': getAdminToken() } : {}
+    });
+    return { success: true, data: response.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+      code: error.code,
+      statusCode: error.response?.status,
+      requestId: error.config?.metadata?.requestId
+    };
+  }
+};
+
+// Live status over Server-Sent Events; returns an unsubscribe function
+export const subscribeToStatusStream = ({ onOpen, onError, onSnapshot, onConnection, onTopology, onTopologyEvent, onClusterEvent }) => {
+  if (typeof EventSource === 'undefined') {
+    onError?.(new Error('EventSource not supported'));
+    return () => {};
+  }
+
+  const parse = (handler) => (event) => {
+    try {
+      handler?.(JSON.parse(event.data));
+    } catch (error) {
+      console.error('❌ Stream Parse Error:', error);
+    }
+  };
+
+  let source;
+  let reopenTimer = null;
+
+  const open = () => {
+    // EventSource cannot send headers, so the access token rides in the query string
+    const accessToken = getSession()?.accessToken;
+    source = new EventSource(`${API_BASE_URL}/stream${accessToken ? `?access_token=${encodeURIComponent(accessToken)}` : ''}`);
+
+    source.onopen = () => {
+      console.log('🟢 Status stream connected');
+      onOpen?.();
+    };
+    // EventSource reconnects by itself; callers fall back to polling meanwhile
+    source.onerror = (error) => {
+      console.error('❌ Status stream error');
+      onError?.(error);
+      // A rejected token (401) closes the stream for good; reopen once polling has refreshed the session
+      if (source.readyState === EventSource.CLOSED && !reopenTimer) {
+        reopenTimer = setTimeout(() => {
+          reopenTimer = null;
+          open();
+        }, 5000);
+      }
+    };
+    source.addEventListener('snapshot', parse(onSnapshot));
+    source.addEventListener('connection', parse(onConnection));
+    source.addEventListener('topology', parse(onTopology));
+    source.addEventListener('topology-event', parse(onTopologyEvent));
+    // Replayed on every (re)connect, then live; ids are stable so callers can de-duplicate
+    source.addEventListener('cluster-event', parse(onClusterEvent));
+  };
+
+  open();
+
+  return () => {
+    clearTimeout(reopenTimer);
+    source.close();
+  };
+};
+
 export default apiClient;
\ No newline at end of file